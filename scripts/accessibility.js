@@ -0,0 +1,360 @@
+// ARIA roles, accessible names and descriptions of page elements, following
+// the W3C accname 1.2 algorithm and the HTML-AAM role mappings. Shared by the
+// content script's event descriptions and the selector engine.
+
+import { getComposedParent } from './shadow_dom.js';
+
+// Longest name returned; anything longer is a region's text, not a name
+const MAX_NAME_LENGTH = 100;
+// Ancestors searched for the widget an event target belongs to
+const MAX_WIDGET_DEPTH = 6;
+
+// Roles whose name comes from their content (accname step 2F)
+const NAME_FROM_CONTENT = [
+  'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+  'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+  'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+];
+// Controls that contribute their value, not their name, to a label they are part of (step 2E)
+const EMBEDDED_CONTROLS = ['textbox', 'searchbox', 'combobox', 'listbox', 'slider', 'spinbutton', 'progressbar', 'meter'];
+// Roles users act on; a click inside one (on an icon, say) is a click on it
+const WIDGET_ROLES = [
+  'button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'option', 'treeitem', 'gridcell', 'textbox', 'searchbox', 'combobox',
+  'listbox', 'slider', 'spinbutton'
+];
+const LABELABLE_TAGS = ['INPUT', 'SELECT', 'TEXTAREA', 'METER', 'PROGRESS', 'OUTPUT', 'BUTTON'];
+const TEXT_INPUT_TYPES = ['', 'text', 'email', 'tel', 'url', 'password'];
+
+/**
+ * Whether a header or footer belongs to a section rather than the page
+ * @param {Element} el - header or footer
+ * @returns {boolean}
+ */
+function isScopedToSection(el) {
+  return Boolean(el.parentElement?.closest('article, aside, main, nav, section'));
+}
+
+/**
+ * Role of an input element by type
+ * @param {HTMLInputElement} el - Input
+ * @returns {string|null} Role
+ */
+function inputRole(el) {
+  const type = (el.getAttribute('type') || '').toLowerCase();
+  const hasList = el.hasAttribute('list');
+  if (['button', 'submit', 'reset', 'image'].includes(type)) return 'button';
+  if (type === 'checkbox' || type === 'radio') return type;
+  if (type === 'range') return 'slider';
+  if (type === 'number') return 'spinbutton';
+  if (type === 'search') return hasList ? 'combobox' : 'searchbox';
+  if (TEXT_INPUT_TYPES.includes(type)) return hasList ? 'combobox' : 'textbox';
+  return null;
+}
+
+// Implicit ARIA roles of HTML elements (HTML-AAM)
+const IMPLICIT_ROLES = {
+  a: (el) => (el.hasAttribute('href') ? 'link' : null),
+  area: (el) => (el.hasAttribute('href') ? 'link' : null),
+  article: () => 'article',
+  aside: () => 'complementary',
+  button: () => 'button',
+  datalist: () => 'listbox',
+  dd: () => 'definition',
+  details: () => 'group',
+  dialog: () => 'dialog',
+  dt: () => 'term',
+  fieldset: () => 'group',
+  figure: () => 'figure',
+  footer: (el) => (isScopedToSection(el) ? null : 'contentinfo'),
+  form: () => 'form',
+  header: (el) => (isScopedToSection(el) ? null : 'banner'),
+  hr: () => 'separator',
+  img: (el) => (el.getAttribute('alt') === '' ? 'presentation' : 'img'),
+  input: inputRole,
+  li: () => 'listitem',
+  main: () => 'main',
+  menu: () => 'list',
+  meter: () => 'meter',
+  nav: () => 'navigation',
+  ol: () => 'list',
+  optgroup: () => 'group',
+  option: () => 'option',
+  output: () => 'status',
+  progress: () => 'progressbar',
+  search: () => 'search',
+  section: (el) => (el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby') ? 'region' : null),
+  select: (el) => (el.multiple || el.size > 1 ? 'listbox' : 'combobox'),
+  table: () => 'table',
+  tbody: () => 'rowgroup',
+  td: (el) => (['grid', 'treegrid'].includes(el.closest('table')?.getAttribute('role')) ? 'gridcell' : 'cell'),
+  textarea: () => 'textbox',
+  tfoot: () => 'rowgroup',
+  th: (el) => (el.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader'),
+  thead: () => 'rowgroup',
+  tr: () => 'row',
+  ul: () => 'list',
+  h1: () => 'heading', h2: () => 'heading', h3: () => 'heading',
+  h4: () => 'heading', h5: () => 'heading', h6: () => 'heading'
+};
+
+/**
+ * Returns the ARIA role of an element, explicit or implied by its tag
+ * @param {Element} el - Element
+ * @returns {string|null} Role
+ */
+export function getAriaRole(el) {
+  const explicit = el.getAttribute('role')?.trim();
+  if (explicit) return explicit.split(/\s+/)[0];
+  return IMPLICIT_ROLES[el.localName]?.(el) || null;
+}
+
+/**
+ * Builds a selector for the elements that may have a role; getAriaRole
+ * decides for each match
+ * @param {string} role - ARIA role
+ * @returns {string} CSS selector
+ */
+export function roleSelector(role) {
+  return [`[role~="${CSS.escape(role)}"]`, ...Object.keys(IMPLICIT_ROLES)].join(', ');
+}
+
+/**
+ * Whether an element is hidden from assistive technology
+ * @param {Element} el - Element
+ * @returns {boolean}
+ */
+function isHidden(el) {
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+  const style = el.ownerDocument.defaultView?.getComputedStyle(el);
+  return style?.display === 'none' || style?.visibility === 'hidden';
+}
+
+/**
+ * Finds elements referenced by an id list attribute, in the element's own root
+ * @param {Element} el - Element
+ * @param {string} attribute - aria-labelledby or aria-describedby
+ * @returns {Array<Element>} Referenced elements
+ */
+function getReferences(el, attribute) {
+  const ids = el.getAttribute(attribute)?.trim();
+  if (!ids) return [];
+  const root = el.getRootNode();
+  return ids.split(/\s+/).map(id => root.getElementById?.(id)).filter(Boolean);
+}
+
+/**
+ * Child nodes in the flat tree: shadow content for hosts, assigned nodes for slots
+ * @param {Element} el - Element
+ * @returns {Array<Node>} Children
+ */
+function getFlatChildren(el) {
+  if (el.shadowRoot) return Array.from(el.shadowRoot.childNodes);
+  if (el.localName === 'slot') {
+    const assigned = el.assignedNodes({ flatten: true });
+    if (assigned.length) return assigned;
+  }
+  return Array.from(el.childNodes);
+}
+
+/**
+ * Value an embedded control contributes to a label it is part of (step 2E)
+ * @param {Element} el - Control
+ * @param {string} role - Its role
+ * @returns {string} Value text
+ */
+function getEmbeddedValue(el, role) {
+  if (role === 'combobox' || role === 'listbox') {
+    if (el.selectedOptions) return Array.from(el.selectedOptions).map(opt => opt.text).join(' ');
+    const selected = el.querySelector('[aria-selected="true"]');
+    return selected ? selected.textContent : el.value || '';
+  }
+  if (['slider', 'spinbutton', 'progressbar', 'meter'].includes(role)) {
+    return el.getAttribute('aria-valuetext') || el.getAttribute('aria-valuenow') || el.value || '';
+  }
+  return el.value ?? el.textContent;
+}
+
+/**
+ * Name from the host language's own labelling (step 2D)
+ * @param {Element} el - Element
+ * @param {Object} context - Traversal state
+ * @returns {string} Name, empty when the element has none
+ */
+function getNativeName(el, context) {
+  const inner = { ...context, recursion: true };
+  const textOf = (node) => (node ? computeText(node, inner) : '');
+
+  if (el.localName === 'input') {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (['button', 'submit', 'reset'].includes(type)) {
+      return el.value || { submit: 'Submit', reset: 'Reset' }[type] || '';
+    }
+    if (type === 'image') return el.getAttribute('alt') || el.value || 'Submit';
+  }
+  if (LABELABLE_TAGS.includes(el.tagName) && el.labels?.length) {
+    const text = Array.from(el.labels).map(textOf).join(' ');
+    if (text.trim()) return text;
+  }
+  if (el.localName === 'img' || el.localName === 'area') return el.getAttribute('alt') || '';
+  if (el.localName === 'fieldset') return textOf(el.querySelector(':scope > legend'));
+  if (el.localName === 'table') return textOf(el.querySelector(':scope > caption'));
+  if (el.localName === 'figure') return textOf(el.querySelector(':scope > figcaption'));
+  if (el.localName === 'svg') return el.querySelector(':scope > title')?.textContent || '';
+  return '';
+}
+
+/**
+ * Text of a node's flat-tree children, with block elements set apart (step 2F)
+ * @param {Element} el - Element
+ * @param {Object} context - Traversal state
+ * @returns {string} Text
+ */
+function getContentText(el, context) {
+  const inner = { ...context, recursion: true };
+  return getFlatChildren(el).map(child => {
+    const text = computeText(child, inner);
+    if (child.nodeType !== Node.ELEMENT_NODE) return text;
+    const display = child.ownerDocument.defaultView?.getComputedStyle(child).display;
+    return display && display !== 'inline' ? ` ${text} ` : text;
+  }).join('');
+}
+
+/**
+ * The text alternative computation of accname 1.2 for one node
+ * @param {Node} node - Node
+ * @param {Object} context - { visited, inReference, recursion, tooltips }
+ * @returns {string} Text alternative, not yet normalized
+ */
+function computeText(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+  if (node.nodeType !== Node.ELEMENT_NODE || context.visited.has(node)) return '';
+  context.visited.add(node);
+  const el = node;
+
+  // 2A: hidden nodes count only when referenced directly
+  if (!context.inReference && isHidden(el)) return '';
+
+  // 2B: aria-labelledby, not followed again from a referenced node
+  if (!context.inReference) {
+    const references = getReferences(el, 'aria-labelledby');
+    if (references.length) {
+      const text = references
+        .map(ref => computeText(ref, { ...context, inReference: true, recursion: true }))
+        .join(' ');
+      if (text.trim()) return text;
+    }
+  }
+
+  const role = getAriaRole(el);
+  const isEmbedded = context.recursion && EMBEDDED_CONTROLS.includes(role);
+
+  // 2C: aria-label, except on controls inside another element's label
+  const ariaLabel = el.getAttribute('aria-label');
+  if (ariaLabel?.trim() && !isEmbedded) return ariaLabel;
+
+  // 2E: a control inside a label contributes its value
+  if (isEmbedded) return getEmbeddedValue(el, role);
+
+  // 2D: native labelling, unless the element is presentational
+  if (role !== 'presentation' && role !== 'none') {
+    const native = getNativeName(el, context);
+    if (native.trim()) return native;
+  }
+
+  // 2F: content, for roles named by it and inside labels
+  if (context.recursion || NAME_FROM_CONTENT.includes(role)) {
+    const text = getContentText(el, context);
+    if (text.trim()) return text;
+  }
+
+  // 2I: tooltip
+  return context.tooltips ? el.getAttribute('title') || '' : '';
+}
+
+/**
+ * Collapses whitespace and caps the length of a computed name
+ * @param {string} text - Computed text
+ * @returns {string} Name
+ */
+function normalizeName(text) {
+  return (text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+/**
+ * Returns the accessible name of an element. Containers with no name of
+ * their own get none, rather than the text of everything inside them.
+ * @param {Element} el - Element
+ * @returns {string} Name, at most 100 characters
+ */
+export function getAccessibleName(el) {
+  const name = normalizeName(computeText(el, { visited: new Set(), inReference: false, recursion: false, tooltips: true }));
+  if (name) return name;
+  // HTML-AAM: fields fall back to their placeholder
+  return ['INPUT', 'TEXTAREA'].includes(el.tagName) ? normalizeName(el.getAttribute('placeholder')) : '';
+}
+
+/**
+ * Returns the accessible description of an element, from aria-describedby,
+ * or its title when the title isn't already its name
+ * @param {Element} el - Element
+ * @returns {string} Description
+ */
+export function getAccessibleDescription(el) {
+  const references = getReferences(el, 'aria-describedby');
+  if (references.length) {
+    return normalizeName(references
+      .map(ref => computeText(ref, { visited: new Set(), inReference: true, recursion: true, tooltips: true }))
+      .join(' '));
+  }
+  const title = normalizeName(el.getAttribute('title'));
+  return title && title !== getAccessibleName(el) ? title : '';
+}
+
+/**
+ * Finds the label of a form field: its accessible name without the title
+ * and placeholder fallbacks, or a label-like element just before it
+ * @param {Element} el - Form field
+ * @returns {string} Label text, empty when none was found
+ */
+export function findFieldLabel(el) {
+  const label = normalizeName(computeText(el, { visited: new Set(), inReference: false, recursion: false, tooltips: false }));
+  if (label) return label;
+
+  // Not a label to assistive technology, but often meant as one
+  const previousEl = el.previousElementSibling;
+  if (previousEl && (
+      previousEl.tagName === 'LABEL' ||
+      previousEl.classList.contains('label') ||
+      previousEl.classList.contains('field-label')
+    )) {
+    return normalizeName(previousEl.textContent);
+  }
+
+  return '';
+}
+
+/**
+ * Names the group a radio button or checkbox belongs to: its fieldset's
+ * legend or the name of an enclosing radiogroup or group
+ * @param {Element} el - Radio button or checkbox
+ * @returns {string} Group label, empty when it has none
+ */
+export function findGroupLabel(el) {
+  const group = el.parentElement?.closest('fieldset, [role="radiogroup"], [role="group"]');
+  return group ? getAccessibleName(group) : '';
+}
+
+/**
+ * Finds the widget an event target belongs to, so a click on the icon in a
+ * button counts as a click on the button
+ * @param {Element} el - Event target
+ * @returns {Element} Nearest element with a widget role, the target itself otherwise
+ */
+export function findWidget(el) {
+  let node = el;
+  for (let depth = 0; node && depth <= MAX_WIDGET_DEPTH; depth++, node = getComposedParent(node)) {
+    if (WIDGET_ROLES.includes(getAriaRole(node))) return node;
+  }
+  return el;
+}
@@ -0,0 +1,157 @@
+// Structured screenshot analyses: the JSON schema the vision model's output is
+// constrained to, validation and repair of what comes back, and a one-line
+// rendering for summaries.
+
+import { parseJsonReply, toText, toTextList } from './summary_schema.js';
+
+export const INTERACTION_CATEGORIES = [
+  'Form Input',
+  'Navigation',
+  'UI Control',
+  'Data Manipulation',
+  'Media Control'
+];
+
+const stringFields = (names) => Object.fromEntries(names.map(name => [name, { type: 'string' }]));
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    interaction: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', enum: INTERACTION_CATEGORIES },
+        action: { type: 'object', properties: stringFields(['type', 'target', 'location']) },
+        state_change: { type: 'object', properties: stringFields(['before', 'after', 'impact']) },
+        sequence: { type: 'array', items: { type: 'string' } },
+        visual_evidence: {
+          type: 'object',
+          properties: {
+            confirms_action: { type: 'string', enum: ['yes', 'no'] },
+            ...stringFields(['visible_changes', 'ui_feedback'])
+          }
+        },
+        context: { type: 'object', properties: stringFields(['parent_container', 'related_elements', 'user_flow']) }
+      },
+      required: ['category', 'action', 'context']
+    }
+  },
+  required: ['interaction']
+};
+
+// Words models use for a category, mapped onto INTERACTION_CATEGORIES
+const CATEGORY_SYNONYMS = [
+  [/form|input|field|typing|text entry/i, 'Form Input'],
+  [/navigat|link|page load|redirect/i, 'Navigation'],
+  [/data|drag|drop|copy|paste|edit/i, 'Data Manipulation'],
+  [/media|video|audio|play/i, 'Media Control'],
+  [/ui|control|button|menu|toggle|click/i, 'UI Control']
+];
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates an analysis against ANALYSIS_SCHEMA
+ * @param {*} analysis - Parsed analysis
+ * @returns {Array} Error messages, empty when valid
+ */
+export function validateAnalysis(analysis) {
+  if (!isObject(analysis) || !isObject(analysis.interaction)) {
+    return ['Analysis must be an object with an interaction'];
+  }
+
+  const { interaction } = analysis;
+  const errors = [];
+  const checkStrings = (key, names) => {
+    if (interaction[key] === undefined) return;
+    if (!isObject(interaction[key]) || names.some(name =>
+      interaction[key][name] !== undefined && typeof interaction[key][name] !== 'string')) {
+      errors.push(`${key} must be an object of strings (${names.join(', ')})`);
+    }
+  };
+
+  if (!INTERACTION_CATEGORIES.includes(interaction.category)) {
+    errors.push(`category must be one of ${INTERACTION_CATEGORIES.join(', ')}`);
+  }
+  if (!isObject(interaction.action)) errors.push('action is required');
+  if (!isObject(interaction.context)) errors.push('context is required');
+  checkStrings('action', ['type', 'target', 'location']);
+  checkStrings('state_change', ['before', 'after', 'impact']);
+  checkStrings('visual_evidence', ['confirms_action', 'visible_changes', 'ui_feedback']);
+  checkStrings('context', ['parent_container', 'related_elements', 'user_flow']);
+  if (interaction.sequence !== undefined &&
+      !(Array.isArray(interaction.sequence) && interaction.sequence.every(step => typeof step === 'string'))) {
+    errors.push('sequence must be a list of strings');
+  }
+
+  return errors;
+}
+
+/**
+ * Keeps the named fields of an object as strings, dropping empty ones
+ * @param {*} value - Object to pick from
+ * @param {Array} names - Field names
+ * @returns {Object} Object of strings
+ */
+function pickStrings(value, names) {
+  if (!isObject(value)) return {};
+  return Object.fromEntries(names
+    .map(name => [name, toText(value[name])])
+    .filter(([, text]) => text));
+}
+
+/**
+ * Repairs common deviations: a missing interaction wrapper, wrong types,
+ * free-form categories. Returns null when there is nothing to repair from.
+ * @param {*} analysis - Parsed analysis
+ * @returns {Object|null} Repaired analysis
+ */
+export function repairAnalysis(analysis) {
+  if (!isObject(analysis)) return null;
+  const interaction = isObject(analysis.interaction) ? analysis.interaction : analysis;
+
+  const category = toText(interaction.category);
+  const repaired = {
+    category: INTERACTION_CATEGORIES.find(c => c.toLowerCase() === category.toLowerCase()) ||
+      CATEGORY_SYNONYMS.find(([pattern]) => pattern.test(category))?.[1] ||
+      'UI Control',
+    action: pickStrings(interaction.action, ['type', 'target', 'location']),
+    state_change: pickStrings(interaction.state_change, ['before', 'after', 'impact']),
+    sequence: toTextList(interaction.sequence),
+    visual_evidence: pickStrings(interaction.visual_evidence, ['confirms_action', 'visible_changes', 'ui_feedback']),
+    context: pickStrings(interaction.context, ['parent_container', 'related_elements', 'user_flow'])
+  };
+  if (repaired.visual_evidence.confirms_action) {
+    repaired.visual_evidence.confirms_action = /^y/i.test(repaired.visual_evidence.confirms_action) ? 'yes' : 'no';
+  }
+
+  return { interaction: repaired };
+}
+
+/**
+ * Parses, validates and if needed repairs a vision model reply
+ * @param {string} text - Model output
+ * @returns {Object} { analysis } when usable, { errors } otherwise
+ */
+export function parseAnalysis(text) {
+  const parsed = parseJsonReply(text);
+  if (parsed === null) return { errors: ['Reply is not a JSON object'] };
+  if (validateAnalysis(parsed).length === 0) return { analysis: parsed };
+
+  const repaired = repairAnalysis(parsed);
+  const errors = validateAnalysis(repaired);
+  return errors.length === 0 ? { analysis: repaired } : { errors };
+}
+
+/**
+ * Renders an analysis as one line for summaries
+ * @param {Object} analysis - Valid analysis
+ * @returns {string} Description
+ */
+export function describeAnalysis(analysis) {
+  const { category, action = {}, state_change: change = {} } = analysis.interaction;
+  const what = [action.type, action.target && `"${action.target}"`].filter(Boolean).join(' ') || category;
+  const where = action.location ? ` in ${action.location}` : '';
+  const changed = change.before || change.after ? ` (${change.before || '(empty)'} → ${change.after || '(empty)'})` : '';
+  return `${category}: ${what}${where}${changed}`;
+}
@@ -1,39 +1,82 @@
+import { recordBatch, recordDescription, pruneHistory } from './session_store.js';
+import { createReplay } from './replay_engine.js';
+import { createMLClient, RPC_ERRORS } from './ml_client.js';
+import { contextKey, createWorkflowTracker, recordWorkflowRequest } from './workflow_tracker.js';
+import { resolvePatterns } from './workflow_patterns.js';
+import { createScreenshotDeduper } from './screenshot_dedup.js';
+import { createFrameRegistry } from './frame_registry.js';
+import { composeMask } from './screenshot_mask.js';
+import { buildSummaryInput } from './summary_input.js';
+import { createNetworkTracker, describeRequest, toUrlPattern, TRACKED_REQUEST_TYPES } from './network_tracker.js';
+import { createRedactor, resolveRedactionConfig } from './redaction.js';
+import {
+  DEFAULT_SETTINGS,
+  CAPTURE_MODES,
+  loadSettings,
+  watchSettings,
+  resolveCaptureMode,
+  isEventCaptured
+} from './settings.js';
+
 console.log('🔧 background worker boot');
 
 const MAX_BATCH_SIZE = 10;
-let queue = [];
+// Recent interactions kept per tab to pair with later screenshot analyses
+const MAX_RECENT_EVENTS = 50;
+// How long after an interaction a screenshot still shows its outcome
+const ANALYSIS_MATCH_WINDOW = 5000;
+// How far apart the tab and the page may report the same navigation
+const NAVIGATION_DEDUP_WINDOW = 3000;
+// How long after an interaction the requests it triggered start
+const REQUEST_MATCH_WINDOW = 2000;
+// Requests recorded per interaction at most, so polling doesn't flood batches
+const MAX_REQUESTS_PER_EVENT = 10;
+// How long a frame has to report the regions a screenshot must mask
+const MASK_REPORT_TIMEOUT = 500;
 let port = null;
+let activeReplay = null;
 
-// Track workflow state
-let currentWorkflow = {
-  type: null,
-  target: null,
-  steps: [],
-  startTime: null,
-  lastEventTime: null
-};
-
-// Workflow classification patterns
-const WORKFLOW_PATTERNS = {
-  FIELD_UPDATE: {
-    name: 'Field Update',
-    startTriggers: ['select', 'click'],  // select for dropdowns, click for other fields
-    endTriggers: ['change'],
-    targetTypes: ['select', 'input', 'textarea']
-  },
-  FORM_SUBMISSION: {
-    name: 'Form Submission',
-    startTriggers: ['change'],
-    endTriggers: ['submit'],
-    targetTypes: ['form']
-  },
-  NAVIGATION: {
-    name: 'Navigation',
-    startTriggers: ['click'],
-    endTriggers: ['navigation'],
-    targetTypes: ['a', 'button']
-  }
-};
+// Requests to the offscreen workers; survives reconnects of the port
+const mlClient = createMLClient();
+
+// Settings; the options page changes apply live through watchSettings
+let settings = DEFAULT_SETTINGS;
+const settingsReady = loadSettings()
+  .then(loaded => { settings = loaded; })
+  .catch(error => console.error('Failed to load settings:', error));
+watchSettings(next => {
+  const workersChanged = ['backend', 'summarizer']
+    .some(key => JSON.stringify(next[key]) !== JSON.stringify(settings[key]));
+  settings = next;
+  console.log('⚙️ Settings updated');
+  if (workersChanged) sendWorkerConfig();
+});
+
+// Workflows and batches are kept per tab and frame, so events from
+// different tabs and iframes don't interleave
+const workflowTracker = createWorkflowTracker({
+  getPatterns: () => resolvePatterns(settings.workflows),
+  onWorkflow: (workflow, key) => getBatch(key).push(workflow)
+});
+const batches = new Map();
+// tabId -> recent interaction events, oldest first
+const recentEvents = new Map();
+
+// Near-identical captures of a tab never reach the model
+const screenshotDeduper = createScreenshotDeduper({ getConfig: () => settings.capture.dedup });
+
+// Where each frame sits in its tab, for events from iframes
+const frameRegistry = createFrameRegistry();
+chrome.webNavigation.onCommitted.addListener(details => frameRegistry.update(details));
+
+// Requests pages make, recorded with the interaction that triggered them
+const networkTracker = createNetworkTracker({ onRequest: handleRequest });
+const requestFilter = { urls: ['<all_urls>'], types: TRACKED_REQUEST_TYPES };
+chrome.webRequest.onBeforeRequest.addListener(details => networkTracker.start(details), requestFilter);
+chrome.webRequest.onCompleted.addListener(details => networkTracker.complete(details), requestFilter);
+chrome.webRequest.onErrorOccurred.addListener(details => networkTracker.fail(details), requestFilter);
+// Interaction event -> requests recorded for it
+const requestCounts = new WeakMap();
 
 // Ensure the offscreen document is active
 async function ensureOffscreen() {
@@ -51,6 +94,7 @@ async function ensureOffscreen() {
 // Connect to the offscreen controller
 async function connectToMLPipe() {
   await ensureOffscreen();
+  await settingsReady;
   console.log('🔌 Connecting to ML pipe...');
 
   port = chrome.runtime.connect({ name: 'mlPipe' });
@@ -58,6 +102,7 @@ async function connectToMLPipe() {
 
   port.onDisconnect.addListener(() => {
     console.warn('⚠ mlPipe disconnected, reconnecting...');
+    mlClient.detach();
     port = null;
     connectToMLPipe();
   });
@@ -68,122 +113,100 @@ async function connectToMLPipe() {
       console.log('📝 [FINAL SUMMARY]', msg.summary);
     }
   });
+
+  // First message on the pipe, so no job runs on a stale backend; then
+  // whatever was in flight when the previous pipe closed
+  sendWorkerConfig();
+  mlClient.attach(port);
+}
+
+/**
+ * Sends the inference backend and summarizer settings to the offscreen
+ * workers, which can't read chrome.storage themselves
+ */
+function sendWorkerConfig() {
+  if (!port) return;
+  port.postMessage({ cmd: 'configure', backend: settings.backend, summarizer: settings.summarizer });
 }
 
 connectToMLPipe();
 
-// Detect workflow transitions
-function updateWorkflow(evt) {
-  const now = Date.now();
-  
-  // Check if this event starts a new workflow
-  for (const [type, pattern] of Object.entries(WORKFLOW_PATTERNS)) {
-    if (pattern.startTriggers.includes(evt.type) && 
-        pattern.targetTypes.includes(evt.elementType)) {
-      
-      // If we have an existing workflow that's too old, finish it
-      if (currentWorkflow.type && 
-          (now - currentWorkflow.lastEventTime > 5000)) { // 5 second timeout
-        finishWorkflow();
-      }
-      
-      // Start new workflow if we don't have one
-      if (!currentWorkflow.type) {
-        currentWorkflow = {
-          type,
-          target: evt.fieldDetails?.fieldLabel || evt.identifier,
-          steps: [],
-          startTime: now,
-          lastEventTime: now
-        };
-      }
-    }
-  }
-  
-  // Add step to current workflow if we have one
-  if (currentWorkflow.type) {
-    const stepDetails = {
-      action: evt.description || evt.type,
-      timestamp: now,
-      details: {
-        type: evt.type,
-        elementType: evt.elementType,
-        fieldDetails: evt.fieldDetails,
-        actionType: evt.actionType,
-        // Add field change details if available
-        fieldChange: evt.fieldChange ? {
-          field: evt.fieldChange.field,
-          from: evt.fieldChange.from,
-          to: evt.fieldChange.to,
-          options: evt.fieldChange.options
-        } : null,
-        // Add form data if available
-        formData: evt.formData
-      }
-    };
-
-    currentWorkflow.steps.push(stepDetails);
-    currentWorkflow.lastEventTime = now;
-    
-    // Check if this event ends the workflow
-    const pattern = WORKFLOW_PATTERNS[currentWorkflow.type];
-    if (pattern.endTriggers.includes(evt.type)) {
-      finishWorkflow();
-    }
-  }
+/**
+ * Creates a redactor for what the browser reports about a page (tab and
+ * frame URLs, titles), which the content script never saw to redact
+ * @param {string} url - Raw page URL, for site overrides
+ * @returns {Object} Redactor (see createRedactor)
+ */
+function redactorFor(url) {
+  return createRedactor(resolveRedactionConfig(settings.redaction, url || ''));
 }
 
-// Finish current workflow and add to queue
-function finishWorkflow() {
-  if (currentWorkflow.type && currentWorkflow.steps.length > 0) {
-    // Extract field changes for the summary
-    const fieldChanges = currentWorkflow.steps
-      .filter(step => step.details.fieldChange)
-      .map(step => step.details.fieldChange);
-    
-    queue.push({
-      type: 'workflow',
-      workflowType: currentWorkflow.type,
-      target: currentWorkflow.target,
-      steps: currentWorkflow.steps,
-      startTime: currentWorkflow.startTime,
-      endTime: currentWorkflow.lastEventTime,
-      duration: currentWorkflow.lastEventTime - currentWorkflow.startTime,
-      fieldChanges // Add field changes to the workflow summary
-    });
-    
-    // Reset workflow
-    currentWorkflow = {
-      type: null,
-      target: null,
-      steps: [],
-      startTime: null,
-      lastEventTime: null
-    };
-  }
-}
+// Drop history past the retention window
+pruneHistory()
+  .then(deleted => deleted && console.log(`🧹 Pruned ${deleted} old history records`))
+  .catch(error => console.error('Failed to prune history:', error));
 
 // Listen for tab navigations
-chrome.tabs.onUpdated.addListener((tabId, info, tab) => {
+chrome.tabs.onUpdated.addListener(async (tabId, info, tab) => {
   if (info.status !== 'complete') return;
+  await settingsReady;
+  if (!isEventCaptured(settings.capture, tab.url, 'tabNavigate')) return;
   console.log('🌐 Tab updated:', tab.url);
+  const redactor = redactorFor(tab.url);
   handleEvent({
     type: 'tabNavigate',
-    url: tab.url,
-    title: tab.title,
+    tabId,
+    frameId: 0,
+    url: redactor.redactText(tab.url),
+    title: redactor.redactText(tab.title),
     ts: Date.now(),
   });
 });
 
+// A closed tab finishes its workflows and flushes its batches
+chrome.tabs.onRemoved.addListener((tabId) => {
+  workflowTracker.finishTab(tabId);
+  // Failures are logged by the flush; the tab's other state goes right away
+  flushTabBatches(tabId);
+  recentEvents.delete(tabId);
+  screenshotDeduper.forgetTab(tabId);
+  frameRegistry.forgetTab(tabId);
+  recentNavigations.delete(tabId);
+  networkTracker.forgetTab(tabId);
+});
+
 // Listen for content script events
 chrome.runtime.onMessage.addListener(async (msg, sender) => {
   console.log('📨 Received message:', msg.kind, 'from tab:', sender.tab?.id);
+  await settingsReady;
+
+  // Content scripts check the settings too, but may not have seen a change yet
+  if (['evt', 'screenshot', 'process_batch'].includes(msg.kind) && sender.tab) {
+    const mode = resolveCaptureMode(settings.capture, sender.tab.url);
+    if (msg.kind === 'evt' && !isEventCaptured(settings.capture, sender.url || sender.tab.url, msg.type)) {
+      console.log('⏭️ Dropping event, capture disabled:', msg.type);
+      return;
+    }
+    if (msg.kind !== 'evt' && mode !== CAPTURE_MODES.EVENTS_SCREENSHOTS) {
+      console.log('⏭️ Skipping screenshot - screenshots disabled for this site');
+      return { skipped: true };
+    }
+  }
   
   if (msg.kind === 'evt') {
+    const frameId = sender.frameId ?? 0;
+    const redactor = redactorFor(sender.tab.url);
+    // Frame URLs come from webNavigation, unredacted
+    const { frameAncestors, ...frame } = await frameRegistry.describe(sender.tab.id, frameId);
     await handleEvent({
       ...msg,
       tabId: sender.tab.id,
-      url: sender.tab.url
+      frameId,
+      // The frame's own page; url stays the tab's page
+      frameUrl: redactor.redactText(msg.url || sender.url || null),
+      ...frame,
+      frameAncestors: frameAncestors.map(ancestor => ({ ...ancestor, url: redactor.redactText(ancestor.url) })),
+      url: redactor.redactText(sender.tab.url)
     });
   } else if (msg.kind === 'screenshot') {
     try {
@@ -200,56 +223,145 @@ chrome.runtime.onMessage.addListener(async (msg, sender) => {
         console.log('⏭️ Skipping screenshot - tab not active');
         return { skipped: true };
       }
-      
+
+      // The screenshot shows every frame; only the top frame asks for one
+      if (sender.frameId) {
+        console.log('⏭️ Skipping screenshot - requested from a subframe');
+        return { skipped: true, reason: 'subframe' };
+      }
+
+      const mask = await collectScreenshotMask(sender.tab.id);
+      if (mask.unplaceable) {
+        console.log('⏭️ Skipping screenshot - sensitive regions in a frame that cannot be masked');
+        return { skipped: true, reason: 'unmaskable' };
+      }
+
       const screenshot = await chrome.tabs.captureVisibleTab(sender.tab.windowId, { format: 'png' });
-      const imgBase64 = screenshot.split(',')[1];
+      let imgBase64 = screenshot.split(',')[1];
+
+      // Mask sensitive regions before the image is stored or described
+      if (mask.rects.length) {
+        try {
+          imgBase64 = await maskScreenshot(imgBase64, mask);
+        } catch (error) {
+          console.error('Failed to mask screenshot, dropping it:', error);
+          return { skipped: true, error: error.message };
+        }
+      }
+
+      // Interaction screenshots are kept even when little changed: the
+      // change is around the element, which the crop shows. They stay out
+      // of the dedup history too, so they don't hide the next capture.
+      if (!msg.focus && settings.capture.dedup.enabled && await isDuplicateScreenshot(sender.tab.id, imgBase64)) {
+        return { skipped: true, reason: 'duplicate' };
+      }
+
+      // Close-up of the interacted element, from the masked image
+      let crop = null;
+      if (msg.focus?.rect) {
+        try {
+          crop = await cropScreenshot(imgBase64, msg.focus.rect);
+        } catch (error) {
+          console.warn('⚠ Failed to crop screenshot, keeping the full one only:', error.message);
+        }
+      }
       
-      // Add screenshot event to queue
+      // Add screenshot event to its batch
       await handleEvent({
         type: 'screenshot',
         imgBase64,
+        focus: msg.focus || null,
         timestamp: Date.now(),
         tabId: sender.tab.id,
-        url: sender.tab.url
+        frameId: sender.frameId ?? 0,
+        url: redactorFor(sender.tab.url).redactText(sender.tab.url)
       });
       
-      return { screenshot: imgBase64 };
+      return { screenshot: imgBase64, crop };
     } catch (error) {
       console.error('Failed to capture screenshot:', error);
       return { error: error.message };
     }
+  } else if (msg.kind === 'replay_start') {
+    // Only one replay at a time
+    activeReplay?.stop();
+    console.log('▶️ Starting replay:', msg.workflow?.workflowType, msg.mode);
+    activeReplay = createReplay({
+      workflow: msg.workflow,
+      mode: msg.mode,
+      onUpdate: (replayStatus) => chrome.storage.local.set({ replayStatus })
+    });
+    activeReplay.start();
+    return { started: true };
+  } else if (msg.kind === 'replay_next') {
+    await activeReplay?.next();
+    return { ok: true };
+  } else if (msg.kind === 'replay_stop') {
+    activeReplay?.stop();
+    return { ok: true };
   } else if (msg.kind === 'process_batch') {
     try {
       console.log('🔄 Processing batch of screenshots:', msg.screenshots.length);
       
-      // Process each screenshot with VLM
-      const descriptions = [];
-      for (const screenshot of msg.screenshots) {
-        const description = await describeWithVLM({
-          type: 'screenshot',
-          imgBase64: screenshot,
-          ...msg.metadata
-        });
-        descriptions.push(description);
+      // Process each screenshot with VLM; a failed description drops only that screenshot
+      const described = [];
+      for (const [i, screenshot] of msg.screenshots.entries()) {
+        try {
+          const { description, structuredAnalysis } = await describeWithVLM({
+            type: 'screenshot',
+            imgBase64: screenshot,
+            cropBase64: msg.crops?.[i] || null,
+            ...msg.metadata,
+            rect: msg.metadata.triggers[i]?.focus?.rect
+          });
+          described.push({ description, structuredAnalysis, ...msg.metadata.triggers[i] });
+        } catch (error) {
+          if (error.code === RPC_ERRORS.BUSY) {
+            console.warn('⏭️ Dropping screenshot, engine busy:', error.message);
+          } else {
+            console.error('Failed to describe screenshot:', error);
+          }
+        }
       }
-      
-      // Generate a summary of the batch
-      const summary = await summariseBatch(descriptions.map((desc, i) => ({
+      if (described.length === 0) {
+        return { error: 'No screenshot could be described' };
+      }
+
+      const events = described.map(({ description, structuredAnalysis, timestamp, trigger }) => ({
         type: 'screenshot',
-        description: desc,
-        timestamp: msg.metadata.triggers[i].timestamp,
-        trigger: msg.metadata.triggers[i].trigger,
+        description,
+        structuredAnalysis,
+        timestamp,
+        trigger,
+        tabId: sender.tab.id,
         url: msg.metadata.url
-      })));
+      }));
+
+      // Generate a summary of the batch, with the interactions the
+      // screenshots show so the analyses group them
+      let summary = null;
+      let structuredSummary = null;
+      try {
+        const interactions = matchAnalysedEvents(sender.tab.id, events);
+        ({ summary, structuredSummary } = await summariseBatch([...interactions, ...events]));
+      } catch (error) {
+        console.error('Failed to summarise screenshot batch:', error);
+      }
       
-      // Store the summary
+      // Keep every description and the batch in the history store
+      await Promise.all(events.map(({ description, timestamp, trigger }) => recordDescription({
+        tabId: sender.tab.id,
+        url: msg.metadata.url,
+        timestamp,
+        trigger,
+        description
+      })));
+      await recordBatch({ events, summary, structuredSummary });
+
+      // Latest summary for the popup, timestamp for live history views
       await chrome.storage.local.set({
-        log: summary,
-        lastBatch: {
-          timestamp: Date.now(),
-          url: msg.metadata.url,
-          descriptions
-        }
+        ...(summary ? { log: summary } : {}),
+        historyUpdatedAt: Date.now()
       });
       
       return { success: true };
@@ -263,9 +375,60 @@ chrome.runtime.onMessage.addListener(async (msg, sender) => {
   return true;
 });
 
+/**
+ * Maps submitted fields to their values by label; fields sharing a label
+ * are told apart by name
+ * @param {Array} formFields - Fields serialized by the content script
+ * @returns {Object} Values by field label
+ */
+function formDataOf(formFields) {
+  const formData = {};
+  formFields.forEach(field => {
+    const key = field.fieldLabel in formData && field.name ? `${field.fieldLabel} (${field.name})` : field.fieldLabel;
+    formData[key] = field.value;
+  });
+  return formData;
+}
+
+// Last top-frame navigation of each tab: tabId -> { url, type, ts }
+const recentNavigations = new Map();
+
+/**
+ * Whether a navigation was already recorded the other way. Chrome reports
+ * some history navigations as a completed tab update as well, so the same
+ * URL change can arrive both as tabNavigate and from the page's hook.
+ * @param {Object} evt - navigation or tabNavigate event
+ * @returns {boolean} True when the other kind just recorded the same URL
+ */
+function isDuplicateNavigation(evt) {
+  if (evt.frameId) return false;
+
+  const previous = recentNavigations.get(evt.tabId);
+  const now = Date.now();
+  if (previous && previous.url === evt.url && previous.type !== evt.type &&
+      now - previous.ts < NAVIGATION_DEDUP_WINDOW) {
+    return true;
+  }
+  recentNavigations.set(evt.tabId, { url: evt.url, type: evt.type, ts: now });
+  return false;
+}
+
 async function handleEvent(evt) {
   console.log('🎯 Processing event:', evt.type, evt.actionType || '');
 
+  if ((evt.type === 'navigation' || evt.type === 'tabNavigate') && isDuplicateNavigation(evt)) {
+    console.log('⏭️ Navigation already recorded:', evt.url);
+    return;
+  }
+
+  // Requests refer to the interaction that triggered them by this id
+  evt.eventId = evt.eventId || crypto.randomUUID();
+
+  // Submitted values by field label, for workflow steps and summaries
+  if (evt.formFields) {
+    evt.formData = formDataOf(evt.formFields);
+  }
+
   // Add meaningful context based on action type
   if (evt.actionType) {
     switch (evt.actionType) {
@@ -285,103 +448,297 @@ async function handleEvent(evt) {
     }
   }
 
-  // Update workflow state
-  updateWorkflow(evt);
+  const key = contextKey(evt.tabId, evt.frameId);
+  rememberEvent(evt);
+
+  // A workflow that finished before its request did still gets the outcome
+  if (evt.type === 'request') {
+    (batches.get(key) || [])
+      .filter(e => e.type === 'workflow' && e.steps.some(step => step.details.eventId === evt.triggeredBy))
+      .forEach(workflow => recordWorkflowRequest(workflow, evt.request));
+  }
 
-  // Add event to queue
-  queue.push(evt);
+  // Update the workflow of the event's tab and frame
+  workflowTracker.track(evt);
+
+  // Navigating closes open workflows: the whole tab on a page load,
+  // the frame on an in-page navigation
+  if (evt.type === 'tabNavigate') {
+    workflowTracker.finishTab(evt.tabId);
+    // The old page's iframes are gone, so are their batches. Not awaited:
+    // summarising them mustn't hold up this event; failures are logged.
+    flushTabBatches(evt.tabId, { keepTopFrame: true });
+  } else if (evt.type === 'navigation') {
+    workflowTracker.finish(key);
+  }
+
+  // Add event to its tab and frame's batch
+  const batch = getBatch(key);
+  batch.push(evt);
 
   // Check if we should process the batch
-  if (queue.length >= MAX_BATCH_SIZE || evt.type === 'screenshot') {
-    // Finish any ongoing workflow
-    finishWorkflow();
-    
-    console.log(`🔄 Processing batch of ${queue.length} events...`);
-    const summary = await summariseBatch(queue);
+  if (batch.length >= MAX_BATCH_SIZE || evt.type === 'screenshot') {
+    await flushBatch(key);
+  }
+}
+
+/**
+ * Keeps an interaction event so a later screenshot analysis can be attached to it
+ * @param {Object} evt - Event
+ */
+function rememberEvent(evt) {
+  if (evt.tabId == null || ['screenshot', 'workflow', 'request'].includes(evt.type)) return;
+  if (!recentEvents.has(evt.tabId)) recentEvents.set(evt.tabId, []);
+  const events = recentEvents.get(evt.tabId);
+  events.push(evt);
+  if (events.length > MAX_RECENT_EVENTS) events.shift();
+}
+
+/**
+ * Finds the interaction a request followed: the tab's latest user event
+ * shortly before the request started. Page loads start requests of their
+ * own, so navigations don't count.
+ * @param {Object} request - Finished request from the network tracker
+ * @returns {Object|undefined} Triggering event
+ */
+function findTriggeringEvent(request) {
+  const events = recentEvents.get(request.tabId) || [];
+  return events.findLast(e => {
+    if (['navigation', 'tabNavigate'].includes(e.type)) return false;
+    const time = e.timestamp || e.ts;
+    return time <= request.startTime && request.startTime - time <= REQUEST_MATCH_WINDOW;
+  });
+}
+
+/**
+ * Records a finished request as an event of the interaction that triggered
+ * it; requests no interaction explains (polling, analytics) are dropped
+ * @param {Object} request - Finished request from the network tracker
+ */
+async function handleRequest(request) {
+  await settingsReady;
+  const trigger = findTriggeringEvent(request);
+  if (!trigger || !isEventCaptured(settings.capture, trigger.url, 'request')) return;
+
+  const count = requestCounts.get(trigger) || 0;
+  if (count >= MAX_REQUESTS_PER_EVENT) return;
+  requestCounts.set(trigger, count + 1);
+
+  // Paths can hold emails and tokens too
+  const redactor = redactorFor(trigger.url);
+  const summary = {
+    method: request.method,
+    urlPattern: redactor.redactText(toUrlPattern(request.url)),
+    resourceType: request.resourceType,
+    status: request.status,
+    ok: request.ok,
+    error: request.error,
+    duration: request.duration
+  };
+
+  await handleEvent({
+    type: 'request',
+    tabId: request.tabId,
+    // Batched with the interaction, even when an iframe made the request
+    frameId: trigger.frameId ?? 0,
+    url: trigger.url,
+    pageTitle: trigger.pageTitle,
+    timestamp: request.startTime,
+    triggeredBy: trigger.eventId,
+    request: summary,
+    description: `${describeRequest(summary)} after "${trigger.description || trigger.type}"`
+  });
+}
+
+/**
+ * Pairs analysed screenshots with the interaction each one shows the outcome
+ * of: the tab's latest event shortly before the screenshot
+ * @param {number} tabId - Tab the screenshots were taken in
+ * @param {Array} screenshots - Screenshot events with structuredAnalysis
+ * @returns {Array} Copies of the matched interaction events, with the analysis attached
+ */
+function matchAnalysedEvents(tabId, screenshots) {
+  const events = recentEvents.get(tabId) || [];
+  const matched = new Map();
+
+  screenshots
+    .filter(shot => shot.structuredAnalysis)
+    .forEach(shot => {
+      const evt = events.findLast(e => {
+        const time = e.timestamp || e.ts;
+        return time <= shot.timestamp && shot.timestamp - time <= ANALYSIS_MATCH_WINDOW;
+      });
+      if (evt) matched.set(evt, { ...evt, imgBase64: null, structuredAnalysis: shot.structuredAnalysis });
+    });
+
+  return [...matched.values()];
+}
+
+/**
+ * Returns the pending batch of a tab/frame context
+ * @param {string} key - Context key
+ * @returns {Array} Batch events
+ */
+function getBatch(key) {
+  if (!batches.has(key)) batches.set(key, []);
+  return batches.get(key);
+}
+
+/**
+ * Flushes the batches of every frame of a tab
+ * @param {number} tabId - Tab id
+ * @param {Object} [options] - Flush options
+ * @param {boolean} [options.keepTopFrame] - Leave the top frame's batch pending
+ * @returns {Promise<void>} Resolves once every batch is handled; never rejects
+ */
+async function flushTabBatches(tabId, { keepTopFrame = false } = {}) {
+  const topFrame = contextKey(tabId, 0);
+  const keys = [...batches.keys()]
+    .filter(key => key.startsWith(`${tabId}:`) && !(keepTopFrame && key === topFrame));
+  const results = await Promise.allSettled(keys.map(key => flushBatch(key)));
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to flush batch:', result.reason));
+}
+
+/**
+ * Finishes a context's workflow, then summarises and stores its batch
+ * @param {string} key - Context key
+ */
+async function flushBatch(key) {
+  // Finish any ongoing workflow
+  workflowTracker.finish(key);
+
+  // Hand the batch over before awaiting so new events start a fresh one
+  const batch = batches.get(key);
+  batches.delete(key);
+  if (!batch?.length) return;
+
+  console.log(`🔄 Processing batch of ${batch.length} events for ${key}...`);
+  let summary = null;
+  let structuredSummary = null;
+  try {
+    ({ summary, structuredSummary } = await summariseBatch(batch));
     console.log('📝 Generated summary:', summary);
+  } catch (error) {
+    // The events are still worth keeping without a summary
+    console.error('Failed to summarise batch:', error);
+  }
 
-    // Store both summary and raw events
-    await chrome.storage.local.set({ 
-      log: summary,
-      events: queue.map(e => ({
-        ...e,
-        imgBase64: null // Don't store images in local storage
-      }))
+  try {
+    // Keep the batch, its workflows and summary in the history store
+    await recordBatch({ events: batch, summary, structuredSummary });
+  } catch (error) {
+    console.error('Failed to store batch history:', error);
+  }
+
+  try {
+    // Latest summary for the popup, timestamp for live history views
+    await chrome.storage.local.set({
+      ...(summary ? { log: summary } : {}),
+      historyUpdatedAt: Date.now()
     });
+  } catch (error) {
+    console.error('Failed to publish batch summary:', error);
+  }
 
-    queue = [];
-    console.log('🧹 Queue cleared');
+  console.log('🧹 Batch cleared');
+}
+
+/**
+ * Asks one frame for the regions a screenshot must hide
+ * @param {number} tabId - Tab id
+ * @param {number} frameId - Frame id
+ * @returns {Promise<Object|null>} Frame's report, null when it doesn't answer in time
+ */
+async function requestMaskRegions(tabId, frameId) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), MASK_REPORT_TIMEOUT);
+  });
+  const report = chrome.tabs.sendMessage(tabId, { kind: 'mask_regions' }, { frameId }).catch(() => null);
+  const result = await Promise.race([report, timeout]);
+  clearTimeout(timer);
+  return result?.rects ? result : null;
+}
+
+/**
+ * Collects the regions to mask in a screenshot of a tab from all its frames
+ * @param {number} tabId - Tab id
+ * @returns {Promise<Object>} Mask from composeMask
+ */
+async function collectScreenshotMask(tabId) {
+  const frames = await frameRegistry.listFrames(tabId);
+  if (!frames.some(frame => frame.frameId === 0)) frames.push({ frameId: 0, parentFrameId: -1 });
+  const reports = await Promise.all(frames.map(async frame => [frame.frameId, await requestMaskRegions(tabId, frame.frameId)]));
+  return composeMask(frames, new Map(reports.filter(([, report]) => report)));
+}
+
+async function maskScreenshot(imgBase64, mask) {
+  const response = await mlClient.request('mask', {
+    imgBase64,
+    rects: mask.rects,
+    style: mask.style,
+    devicePixelRatio: mask.devicePixelRatio
+  });
+  return response.imgBase64;
+}
+
+/**
+ * Checks a capture against the tab's recent screenshots. Captures that can't
+ * be fingerprinted are kept.
+ * @param {number} tabId - Tab the screenshot was taken in
+ * @param {string} imgBase64 - Masked base64 PNG
+ * @returns {Promise<boolean>} Whether the capture is a near-duplicate
+ */
+async function isDuplicateScreenshot(tabId, imgBase64) {
+  try {
+    const { hash, thumbnail } = await mlClient.request('fingerprint', { imgBase64 });
+    const { duplicate, distance, diffRatio } = screenshotDeduper.check(tabId, { hash, thumbnail });
+    if (duplicate) {
+      console.log(`⏭️ Skipping screenshot - near-duplicate (hash distance ${distance}, ${(diffRatio * 100).toFixed(2)}% pixels changed)`);
+    }
+    return duplicate;
+  } catch (error) {
+    console.warn('⚠ Failed to fingerprint screenshot, keeping it:', error.message);
+    return false;
   }
 }
 
-async function describeWithVLM(evt) {
-  return new Promise((resolve) => {
-    const id = crypto.randomUUID();
-    
-    port.postMessage({
-      cmd: 'describe',
-      id,
-      imgBase64: evt.imgBase64,
-      eventContext: {
-        type: evt.type,
-        timestamp: evt.timestamp,
-        url: evt.url,
-        actionType: evt.actionType,
-        fieldDetails: evt.fieldDetails,
-        description: evt.description
-      }
-    });
+async function cropScreenshot(imgBase64, rect) {
+  const response = await mlClient.request('crop', {
+    imgBase64,
+    rect: { x: rect.viewportX, y: rect.viewportY, width: rect.width, height: rect.height },
+    devicePixelRatio: rect.devicePixelRatio
+  });
+  return response.imgBase64;
+}
 
-    port.onMessage.addListener(function listener(msg) {
-      if (msg.id === id && msg.description) {
-        port.onMessage.removeListener(listener);
-        resolve(msg.description);
-      }
-    });
+async function describeWithVLM(evt) {
+  const response = await mlClient.request('describe', {
+    imgBase64: evt.imgBase64,
+    cropBase64: evt.cropBase64 || null,
+    eventContext: {
+      type: evt.type,
+      timestamp: evt.timestamp,
+      url: evt.url,
+      actionType: evt.actionType,
+      fieldDetails: evt.fieldDetails,
+      description: evt.description,
+      rect: evt.rect
+    }
   });
+  return { description: response.description, structuredAnalysis: response.structuredAnalysis || null };
 }
 
 async function summariseBatch(events) {
-  return new Promise((resolve) => {
-    const id = crypto.randomUUID();
-    console.log('📊 Preparing batch summary for', events.length, 'events');
-    
-    // Group events by workflow
-    const workflows = events.filter(e => e.type === 'workflow');
-    const otherEvents = events.filter(e => e.type !== 'workflow');
-    
-    // Enhance events with workflow context
-    const enhancedEvents = {
-      workflows: workflows.map(w => ({
-        type: WORKFLOW_PATTERNS[w.workflowType]?.name || w.workflowType,
-        target: w.target,
-        duration: w.duration,
-        steps: w.steps.map(s => ({
-          action: s.action,
-          details: s.details
-        }))
-      })),
-      otherEvents: otherEvents.map(evt => ({
-        contextualDescription: evt.description || evt.label,
-        actionType: evt.actionType || 'interaction',
-        fieldDetails: evt.fieldDetails || null,
-        timestamp: evt.timestamp || evt.ts
-      }))
-    };
-
-    console.log('📤 Sending to summarizer:', enhancedEvents);
-    port.postMessage({
-      cmd: 'summarise',
-      id,
-      events: enhancedEvents,
-    });
+  console.log('📊 Preparing batch summary for', events.length, 'events');
+  
+  // Enhance events with workflow context
+  const enhancedEvents = buildSummaryInput(events);
 
-    port.onMessage.addListener(function listener(msg) {
-      if (msg.id === id && msg.summary) {
-        console.log('📥 Received summary from worker');
-        port.onMessage.removeListener(listener);
-        resolve(msg.summary);
-      }
-    });
-  });
+  console.log('📤 Sending to summarizer:', enhancedEvents);
+  const response = await mlClient.request('summarise', { events: enhancedEvents });
+  console.log('📥 Received summary from worker');
+  return { summary: response.summary, structuredSummary: response.structuredSummary || null };
 }
@@ -1,4 +1,28 @@
 // capture curated events, attach rect + tabId, send to background
+import { performReplayAction, isReplaying } from './replay_runner.js';
+import {
+  DEFAULT_SETTINGS,
+  CAPTURE_MODES,
+  loadSettings,
+  watchSettings,
+  resolveCaptureMode,
+  isEventCaptured
+} from './settings.js';
+import { createRedactor, resolveRedactionConfig } from './redaction.js';
+import { collectSelectors } from './workflow_patterns.js';
+import { watchDrags, describeContainer } from './drag_tracker.js';
+import { SHADOW_SEPARATOR, getEventTarget, getComposedParent, listenInShadowRoots } from './shadow_dom.js';
+import {
+  getAriaRole,
+  getAccessibleName,
+  getAccessibleDescription,
+  findFieldLabel,
+  findGroupLabel,
+  findWidget
+} from './accessibility.js';
+import { buildLocators, collectRoots } from './selector_engine.js';
+import { rememberForm, serializeForm, describeForm, describeSubmitter } from './form_capture.js';
+
 console.log('🔄 Content script loaded and initializing...');
 
 const KEEP = new Set([
@@ -21,6 +45,10 @@ const MIN_SCREENSHOT_INTERVAL = 2000; // Minimum 2 seconds between screenshots
 let lastDOMHash = '';
 let screenshotTimeout = null;
 
+// Interaction screenshots wait this long for the page to react
+const INTERACTION_SCREENSHOT_DELAY = 300;
+let interactionScreenshotTimer = null;
+
 // Calculate a simple hash of the page's main content
 function getPageContentHash() {
   // Get the main content, excluding highly dynamic elements
@@ -54,6 +82,7 @@ function checkAndTakeScreenshot(reason = 'content_change') {
   }
 
   screenshotTimeout = setTimeout(() => {
+    if (!screenshotsEnabled()) return;
     const currentHash = getPageContentHash();
     if (currentHash !== lastDOMHash && canTakeScreenshot()) {
       captureScreenshot(reason);
@@ -101,10 +130,11 @@ function startDOMObservation() {
   });
 }
 
-// Enhanced DOM path capture
+// Enhanced DOM path capture; shadow roots are crossed with SHADOW_SEPARATOR
 function domPath(el) {
-  const parts = [];
-  while (el && parts.length < 6 && el.nodeType === 1) {
+  let path = '';
+  let separator = '';
+  for (let depth = 0; el && depth < 6 && el.nodeType === 1; depth++) {
     let part = el.nodeName.toLowerCase();
     
     // Capture all relevant attributes that help identify the element
@@ -146,10 +176,11 @@ function domPath(el) {
       if (classes) part += '.' + classes;
     }
     
-    parts.unshift(part);
-    el = el.parentNode;
+    path = `${part}${separator}${path}`;
+    separator = el.parentElement ? ' > ' : SHADOW_SEPARATOR;
+    el = getComposedParent(el);
   }
-  return parts.join(' > ');
+  return path;
 }
 
 // Enhanced element state capture
@@ -203,9 +234,89 @@ function getElementState(el) {
   return state;
 }
 
+// Settings; defaults apply until the stored settings are loaded
+let settings = DEFAULT_SETTINGS;
+let redactor = null;
+let redactorUrl = null;
+let redactionConfig = null;
+
+// Get a redactor for the current URL (site overrides depend on it)
+function getRedactor() {
+  if (!redactor || redactorUrl !== window.location.href) {
+    redactorUrl = window.location.href;
+    redactionConfig = resolveRedactionConfig(settings.redaction, redactorUrl);
+    redactor = createRedactor(redactionConfig);
+  }
+  return redactor;
+}
+
+function applySettings(next) {
+  settings = next;
+  redactor = null;
+  updateScreenshotCapture();
+}
+
+// Whether this page gets screenshots under the current capture settings
+// Screenshots show the whole tab, so only the top frame takes them; the
+// background masks every frame's sensitive regions (see getMaskRegions)
+function screenshotsEnabled() {
+  return window === window.top &&
+    resolveCaptureMode(settings.capture, window.location.href) === CAPTURE_MODES.EVENTS_SCREENSHOTS;
+}
+
+// Start or stop screenshot capture to match the settings for the current URL
+function updateScreenshotCapture() {
+  if (screenshotsEnabled()) {
+    if (!document.hidden && document.readyState === 'complete') startScreenshotCapture();
+  } else {
+    stopScreenshotCapture();
+    screenshotBatch = [];
+  }
+}
+
+loadSettings()
+  .then(applySettings)
+  .catch(error => console.error('Failed to load settings:', error));
+watchSettings(applySettings);
+
+// Typing is coalesced into one event per field, sent once the user pauses,
+// leaves the field or acts on what they typed
+const TYPING_IDLE_DELAY = 1500;
+// Longest typed text kept from contenteditable regions
+const MAX_TYPED_LENGTH = 500;
+const TEXT_INPUT_TYPES = ['text', 'email', 'search', 'url', 'tel', 'password', 'number'];
+
 // Track input debouncing
 let inputDebounceTimer = null;
-let lastInputValue = new Map(); // Track last value for change detection
+let lastInputValue = new WeakMap(); // Last known value per field, for change detection
+// Value of each form field before its last change; kept off the DOM so page
+// scripts and domPath never see it
+const previousValues = new WeakMap();
+// Open typing session: { target, startValue, startTime, edits, pasted }
+let typingSession = null;
+
+// Longest text of an unnamed element used as its identifier
+const MAX_IDENTIFIER_TEXT = 50;
+
+// Shortcuts worth recording; Mod is Ctrl, or Cmd on macOS
+const KEYBOARD_SHORTCUTS = {
+  'Enter': 'Submit',
+  'Mod+Enter': 'Submit',
+  'Escape': 'Cancel',
+  'Mod+S': 'Save',
+  'Mod+Z': 'Undo',
+  'Mod+Shift+Z': 'Redo',
+  'Mod+Y': 'Redo',
+  'Mod+F': 'Find',
+  'Mod+P': 'Print',
+  'Mod+K': 'Open search or command palette'
+};
+
+// Fields whose values are never remembered: passwords and whatever redaction masks
+function isSecretField(fieldDetails) {
+  if (fieldDetails.type === 'password' || fieldDetails.fieldType === 'password') return true;
+  return getRedactor().classifyField(fieldDetails) === 'mask';
+}
 
 // Get form field value in a smart way
 function getFormFieldValue(el) {
@@ -216,9 +327,10 @@ function getFormFieldValue(el) {
     type,
     name: el.name || '',
     id: el.id || '',
-    fieldLabel: el.getAttribute('aria-label') || 
-                el.getAttribute('placeholder') || 
-                findFieldLabel(el) ||
+    autocomplete: el.getAttribute('autocomplete') || '',
+    fieldLabel: findFieldLabel(el) ||
+                el.getAttribute('placeholder') ||
+                el.getAttribute('title') ||
                 el.name ||
                 el.id ||
                 type,
@@ -249,6 +361,9 @@ function getFormFieldValue(el) {
       details.checked = el.checked;
       details.value = el.value;
       details.fieldType = type;
+      // The question a radio button or checkbox answers, e.g. a fieldset's legend
+      const groupLabel = findGroupLabel(el);
+      if (groupLabel) details.groupLabel = groupLabel;
       // Get all related options for radio buttons
       if (type === 'radio' && el.name) {
         const radioGroup = document.querySelectorAll(`input[type="radio"][name="${el.name}"]`);
@@ -279,33 +394,114 @@ function getFormFieldValue(el) {
   return details;
 }
 
-// Helper to find associated label text
-function findFieldLabel(el) {
-  // Check for explicit label
-  if (el.id) {
-    const label = document.querySelector(`label[for="${el.id}"]`);
-    if (label) return label.textContent.trim();
-  }
-  
-  // Check for wrapping label
-  const wrapper = el.closest('label');
-  if (wrapper) {
-    const labelText = wrapper.textContent.trim();
-    // Remove the field's own value from the label if it's there
-    return labelText.replace(el.value || '', '').trim();
+// Adds what user-defined workflow patterns match on: role, accessible name
+// and the pattern selectors the target (or an ancestor) matches
+function addPatternContext(context, target) {
+  if (!(target instanceof Element)) return;
+  context.role = getAriaRole(target);
+  context.accessibleName = getAccessibleName(target);
+  const accessibleDescription = getAccessibleDescription(target);
+  if (accessibleDescription) context.accessibleDescription = accessibleDescription;
+
+  const matchedSelectors = collectSelectors(settings.workflows, window.location.href).filter(selector => {
+    try {
+      return Boolean(target.closest(selector));
+    } catch (e) {
+      return false;
+    }
+  });
+  if (matchedSelectors.length) context.matchedSelectors = matchedSelectors;
+}
+
+// Fields whose keystrokes make up a typing session
+function isTextEntryField(el) {
+  if (!el?.tagName) return false;
+  if (el.isContentEditable) return true;
+  if (el.tagName === 'TEXTAREA') return true;
+  return el.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(el.type);
+}
+
+// Current text of a field
+function getTextValue(el) {
+  if (!el.isContentEditable) return el.value;
+  const text = el.innerText || '';
+  return text.length > MAX_TYPED_LENGTH ? `${text.slice(0, MAX_TYPED_LENGTH)}…` : text;
+}
+
+// Starts a typing session for a field, or continues the open one
+function touchTypingSession(target) {
+  if (typingSession && typingSession.target !== target) flushTyping();
+  if (!typingSession) {
+    typingSession = {
+      target,
+      startValue: lastInputValue.has(target) ? lastInputValue.get(target) : '',
+      startTime: Date.now(),
+      edits: 0,
+      pasted: false
+    };
   }
-  
-  // Check for preceding label-like elements
-  const previousEl = el.previousElementSibling;
-  if (previousEl && (
-      previousEl.tagName === 'LABEL' ||
-      previousEl.classList.contains('label') ||
-      previousEl.classList.contains('field-label')
-    )) {
-    return previousEl.textContent.trim();
+  clearTimeout(inputDebounceTimer);
+  inputDebounceTimer = setTimeout(flushTyping, TYPING_IDLE_DELAY);
+  return typingSession;
+}
+
+// Sends the open typing session as one "typed into field" event
+function flushTyping() {
+  clearTimeout(inputDebounceTimer);
+  inputDebounceTimer = null;
+  const session = typingSession;
+  typingSession = null;
+  if (!session || !session.target.isConnected) return;
+
+  const { target } = session;
+  const value = getTextValue(target);
+  if (value === session.startValue) return;
+
+  const context = getEventContext(target, 'input');
+  if (target.isContentEditable) {
+    // Editable regions aren't form fields; describe them as one
+    const label = getAccessibleName(target) || target.id || 'text area';
+    context.identifier = label;
+    context.fieldDetails = { type: 'contenteditable', fieldType: 'contenteditable', fieldLabel: label, value, rawValue: value };
+    context.fieldChange = { field: label, from: session.startValue, to: value, type: 'contenteditable' };
   }
-  
-  return '';
+
+  const label = context.fieldDetails.fieldLabel;
+  const shown = context.fieldDetails.value; // Already masked for passwords
+  const pastedOnly = session.pasted && session.edits <= 1;
+  context.description = `${pastedOnly ? 'Pasted' : 'Typed'} "${shown}" into ${label}${session.pasted && !pastedOnly ? ' (partly pasted)' : ''}`;
+  context.actionType = 'text_entry';
+  context.typing = {
+    edits: session.edits,
+    pasted: session.pasted,
+    duration: Date.now() - session.startTime
+  };
+  lastInputValue.set(target, target.isContentEditable ? value : target.value);
+
+  sendEvent(context, target);
+}
+
+// Keyboard shortcut of a keydown event, e.g. "Mod+S", if it is one we record
+function matchShortcut(e) {
+  // Autofill and some IME input send keydowns without a key
+  if (!e.key) return null;
+  const parts = [];
+  if (e.ctrlKey || e.metaKey) parts.push('Mod');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  parts.push(e.key.length === 1 ? e.key.toUpperCase() : e.key);
+  const combo = parts.join('+');
+
+  // Plain Enter only submits from single-line fields
+  const target = getEventTarget(e);
+  if (combo === 'Enter' && !(target?.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type))) return null;
+  if (!KEYBOARD_SHORTCUTS[combo]) return null;
+
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+  return {
+    combo: combo.replace('Mod', e.metaKey && isMac ? 'Cmd' : 'Ctrl'),
+    action: KEYBOARD_SHORTCUTS[combo]
+  };
 }
 
 // Enhanced context capture
@@ -314,8 +510,7 @@ function getEventContext(target, type) {
     url: window.location.href,
     pageTitle: document.title,
     timestamp: Date.now(),
-    type: type,
-    frameId: window.frameElement ? window.frameElement.id : 'main'
+    type: type
   };
 
   if (type === 'navigation') {
@@ -327,7 +522,10 @@ function getEventContext(target, type) {
     // Get element details
     context.elementType = target.tagName.toLowerCase();
     context.path = domPath(target);
+    // Ranked locators, checked for uniqueness while the element is still there
+    context.locators = buildLocators(target);
     context.state = getElementState(target);
+    context.rect = getInteractionRect(target);
     
     // Get field details if it's a form element
     if (target.tagName === 'SELECT' || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
@@ -341,7 +539,7 @@ function getEventContext(target, type) {
             context.description = `Opened ${fieldDetails.fieldLabel} menu (current: "${fieldDetails.value}")`;
             context.actionType = 'dropdown_open';
           } else if (type === 'change') {
-            const previousValue = target.dataset.previousValue || '';
+            const previousValue = previousValues.get(target) || '';
             context.description = `Changed ${fieldDetails.fieldLabel} to "${fieldDetails.value}"`;
             context.actionType = 'field_change';
             context.fieldChange = {
@@ -354,7 +552,7 @@ function getEventContext(target, type) {
           break;
           
         case 'checkbox':
-          context.description = `${fieldDetails.checked ? 'Checked' : 'Unchecked'} ${fieldDetails.fieldLabel}`;
+          context.description = `${fieldDetails.checked ? 'Checked' : 'Unchecked'} ${fieldDetails.fieldLabel}${fieldDetails.groupLabel ? ` in ${fieldDetails.groupLabel}` : ''}`;
           context.actionType = 'checkbox_change';
           context.fieldChange = {
             field: fieldDetails.fieldLabel,
@@ -365,7 +563,9 @@ function getEventContext(target, type) {
           break;
           
         case 'radio':
-          context.description = `Selected "${fieldDetails.value}" for ${fieldDetails.fieldLabel}`;
+          context.description = fieldDetails.groupLabel
+            ? `Selected "${fieldDetails.fieldLabel}" for ${fieldDetails.groupLabel}`
+            : `Selected "${fieldDetails.value}" for ${fieldDetails.fieldLabel}`;
           context.actionType = 'radio_selection';
           context.fieldChange = {
             field: fieldDetails.fieldLabel,
@@ -377,7 +577,7 @@ function getEventContext(target, type) {
           
         default:
           if (type === 'change' || type === 'input') {
-            const previousValue = target.dataset.previousValue || '';
+            const previousValue = previousValues.get(target) || '';
             context.description = `Updated ${fieldDetails.fieldLabel}`;
             context.actionType = 'field_input';
             context.fieldChange = {
@@ -390,19 +590,23 @@ function getEventContext(target, type) {
       }
       
       // Store current value for next change
-      target.dataset.previousValue = fieldDetails.rawValue;
+      if (!isSecretField(fieldDetails)) previousValues.set(target, fieldDetails.rawValue);
     } else {
       // Handle non-form elements
+      // Unnamed elements fall back to short text; long text is a container's content
+      const text = target.textContent?.replace(/\s+/g, ' ').trim() || '';
       const identifier = (
-        target.getAttribute('aria-label') ||
-        target.getAttribute('title') ||
-        target.getAttribute('alt') ||
+        getAccessibleName(target) ||
         target.getAttribute('name') ||
         target.getAttribute('placeholder') ||
-        target.textContent?.trim() ||
+        (text.length <= MAX_IDENTIFIER_TEXT ? text : '') ||
         target.id ||
         ''
       ).trim();
+      context.identifier = identifier;
+      if (target.tagName === 'A' && target.href) {
+        context.href = target.href;
+      }
 
       if (type === 'click') {
         if (target.tagName === 'BUTTON' || target.tagName === 'A' || target.getAttribute('role') === 'button') {
@@ -421,7 +625,7 @@ function getEventContext(target, type) {
 
 // Start collecting screenshots
 function startScreenshotCapture() {
-  if (screenshotInterval) return;
+  if (screenshotInterval || !screenshotsEnabled()) return;
   
   console.log('📸 Starting batched screenshot capture');
   screenshotInterval = setInterval(async () => {
@@ -460,13 +664,15 @@ async function processBatch() {
     await chrome.runtime.sendMessage({
       kind: 'process_batch',
       screenshots: screenshotBatch.map(item => item.screenshot), // Send just the screenshot content
+      crops: screenshotBatch.map(item => item.crop),
       metadata: {
         url: window.location.href,
         title: document.title,
         timestamp: Date.now(),
         triggers: screenshotBatch.map(item => ({ 
           timestamp: item.timestamp,
-          trigger: item.trigger 
+          trigger: item.trigger,
+          focus: item.focus
         }))
       }
     });
@@ -478,20 +684,129 @@ async function processBatch() {
   }
 }
 
-// Capture and store screenshot in batch
-async function captureScreenshot(trigger) {
+// Offset of this frame's viewport inside the top-level viewport
+function getFrameOffset() {
+  const offset = { x: 0, y: 0 };
+  let win = window;
+  try {
+    while (win !== win.top) {
+      const frame = win.frameElement;
+      if (!frame) return null; // Cross-origin parent, position unknown
+      const rect = frame.getBoundingClientRect();
+      offset.x += rect.left + frame.clientLeft;
+      offset.y += rect.top + frame.clientTop;
+      win = win.parent;
+    }
+  } catch (e) {
+    return null;
+  }
+  return offset;
+}
+
+// Bounding rect of an element in page coordinates (x, y) and in the
+// top-level viewport the screenshot shows (viewportX, viewportY), in CSS pixels
+function getInteractionRect(target) {
+  if (!target?.getBoundingClientRect) return null;
+  const rect = target.getBoundingClientRect();
+  const offset = getFrameOffset();
+  return {
+    x: Math.round(rect.left + window.scrollX),
+    y: Math.round(rect.top + window.scrollY),
+    // Unknown inside cross-origin frames
+    viewportX: offset ? Math.round(rect.left + offset.x) : null,
+    viewportY: offset ? Math.round(rect.top + offset.y) : null,
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    devicePixelRatio: window.devicePixelRatio
+  };
+}
+
+// Take a screenshot shortly after an interaction, focused on its target
+function scheduleInteractionScreenshot(target, eventType) {
+  if (!screenshotsEnabled() || document.hidden) return;
+
+  clearTimeout(interactionScreenshotTimer);
+  interactionScreenshotTimer = setTimeout(() => {
+    interactionScreenshotTimer = null;
+    // Measured again, the element may have moved once the page reacted
+    const rect = target.isConnected ? getInteractionRect(target) : null;
+    const visible = rect && rect.viewportX !== null && rect.width > 0 && rect.height > 0;
+    captureScreenshot('interaction', visible ? { rect, eventType } : null);
+    lastScreenshotTime = Date.now();
+  }, INTERACTION_SCREENSHOT_DELAY);
+}
+
+// Regions a screenshot must hide in this frame: password fields, fields
+// flagged by redaction rules and user-specified selectors, in this frame's
+// viewport coordinates. Child frames are listed with their boxes, so the
+// background can place each frame's regions in the tab's screenshot.
+function getMaskRegions() {
+  const redactor = getRedactor();
+  const config = redactionConfig.screenshots || {};
+  const elements = new Set();
+
+  if (redactionConfig.enabled && config.enabled) {
+    document.querySelectorAll('input, textarea, select, [contenteditable="true"]').forEach(el => {
+      const field = el.isContentEditable
+        ? { fieldType: 'contenteditable', fieldLabel: el.getAttribute('aria-label') || '', value: el.textContent }
+        : getFormFieldValue(el);
+      const treatment = redactor.classifyField(field);
+      const value = field.value;
+      if (treatment === 'mask' ||
+          (treatment === 'scan' && typeof value === 'string' && redactor.redactText(value) !== value)) {
+        elements.add(el);
+      }
+    });
+
+    (config.selectors || []).forEach(selector => {
+      try {
+        document.querySelectorAll(selector).forEach(el => elements.add(el));
+      } catch (e) {
+        console.warn('Ignoring invalid mask selector:', selector);
+      }
+    });
+  }
+
+  const rects = Array.from(elements)
+    .map(el => el.getBoundingClientRect())
+    .filter(r => r.width > 0 && r.height > 0 &&
+                 r.bottom > 0 && r.right > 0 && r.top < window.innerHeight && r.left < window.innerWidth)
+    .map(r => ({ x: r.left, y: r.top, width: r.width, height: r.height }));
+
+  // Content boxes of the frames embedded here, by extension frame id
+  const frames = collectRoots(document)
+    .flatMap(root => Array.from(root.querySelectorAll('iframe, frame')))
+    .map(frame => {
+      const rect = frame.getBoundingClientRect();
+      return {
+        frameId: chrome.runtime.getFrameId(frame),
+        x: rect.left + frame.clientLeft,
+        y: rect.top + frame.clientTop,
+        width: frame.clientWidth,
+        height: frame.clientHeight
+      };
+    })
+    .filter(frame => frame.frameId >= 0);
+
+  return { rects, frames, style: config.style, devicePixelRatio: window.devicePixelRatio };
+}
+
+// Capture and store screenshot in batch; focus ({ rect, eventType }) asks
+// for a close-up of the interacted element too
+async function captureScreenshot(trigger, focus = null) {
   try {
     console.log('📸 Taking screenshot, trigger:', trigger);
     
-    // Request screenshot from background script
+    // Request screenshot from background script; it collects the regions to mask from every frame
     const response = await chrome.runtime.sendMessage({
       kind: 'screenshot',
       trigger,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      focus
     });
     
     if (response.skipped) {
-      console.log('⏭️ Screenshot skipped - tab not active');
+      console.log('⏭️ Screenshot skipped:', response.reason || response.error || 'tab not active or capture disabled');
       return;
     }
     
@@ -500,8 +815,10 @@ async function captureScreenshot(trigger) {
       if (typeof response.screenshot === 'string') {
         screenshotBatch.push({
           screenshot: response.screenshot,
+          crop: response.crop || null,
           timestamp: Date.now(),
-          trigger: trigger
+          trigger: trigger,
+          focus
         });
       } else {
         console.error('Screenshot response was not a string:', typeof response.screenshot);
@@ -512,17 +829,67 @@ async function captureScreenshot(trigger) {
   }
 }
 
+// Shadow roots handler listens to directly, see listenInShadowRoots
+const observedShadowRoots = new WeakSet();
+
 // Main event handler
 async function handler(e) {
   console.log('🎯 Event captured:', e.type);
+  listenInShadowRoots(e, handler, observedShadowRoots);
   
   if (!KEEP.has(e.type)) {
     console.log('❌ Event type not in KEEP set:', e.type);
     return;
   }
 
-  const target = e.target;
+  // Honour the site's capture mode and the enabled event kinds
+  if (!isEventCaptured(settings.capture, window.location.href, e.type)) {
+    console.log('⏭️ Capture disabled for', e.type, 'on this site');
+    return;
+  }
+
+  // Don't record the events a replay dispatches
+  if (isReplaying() && e.type !== 'navigation') {
+    console.log('⏭️ Ignoring replayed event:', e.type);
+    return;
+  }
+
+  // A click on the icon inside a button is a click on the button
+  const target = findWidget(getEventTarget(e));
+
+  // Whatever was typed happened before this event
+  if (typingSession) flushTyping();
+
+  // A change right after typing repeats what the typing event reported
+  if (e.type === 'change' && isTextEntryField(target) && lastInputValue.get(target) === target.value) {
+    console.log('⏭️ Change already recorded as typing');
+    return;
+  }
+
   const context = getEventContext(target, e.type);
+  if (e.type === 'submit' && target instanceof HTMLFormElement) addFormSubmission(context, target, e.submitter);
+  sendEvent(context, target);
+}
+
+// Adds the submitted fields, what changed in them and the button used
+function addFormSubmission(context, form, submitter) {
+  context.formFields = serializeForm(form);
+  context.submitter = describeSubmitter(submitter);
+  const changed = context.formFields.filter(field => field.changed).length;
+  const name = describeForm(form);
+  if (name) context.identifier = name;
+  const formName = name ? `"${name}"` : 'form';
+  context.description = `Submitted ${formName}${context.submitter ? ` with "${context.submitter.label}"` : ''}` +
+    ` (${context.formFields.length} fields, ${changed} changed)`;
+  context.actionType = 'form_submit';
+}
+
+// Redacts an event and sends it to the background
+function sendEvent(context, target) {
+  if (context.type !== 'navigation') addPatternContext(context, target);
+
+  // Strip PII before the event leaves the page
+  getRedactor().redactContext(context);
   console.log('📦 Event context:', context);
   
   // Send event to background script
@@ -533,6 +900,111 @@ async function handler(e) {
   }).catch((error) => {
     console.error('Failed to send event to background:', error);
   });
+
+  if (context.type !== 'navigation') scheduleInteractionScreenshot(target, context.type);
+}
+
+// Whether an event kind is recorded here and now
+function shouldCapture(type) {
+  return isEventCaptured(settings.capture, window.location.href, type) && !isReplaying();
+}
+
+// Keystrokes in a field extend its typing session
+function handleInput(e) {
+  const target = getEventTarget(e);
+  if (!isTextEntryField(target) || !shouldCapture('input')) return;
+  const session = touchTypingSession(target);
+  session.edits++;
+  if (e.inputType === 'insertFromPaste' && shouldCapture('paste')) session.pasted = true;
+}
+
+// Pastes into a field are noted on its typing session; elsewhere they are
+// events of their own. The clipboard content itself is never read.
+function handlePaste(e) {
+  const target = getEventTarget(e);
+  if (isTextEntryField(target) && shouldCapture('input')) {
+    if (shouldCapture('paste')) touchTypingSession(target).pasted = true;
+    return;
+  }
+  if (!shouldCapture('paste')) return;
+
+  if (typingSession) flushTyping();
+  const context = getEventContext(target, 'paste');
+  context.description = `Pasted into ${context.identifier ? `"${context.identifier}"` : context.elementType}`;
+  context.actionType = 'paste';
+  sendEvent(context, target);
+}
+
+// Records meaningful keyboard shortcuts
+function handleKeydown(e) {
+  if (e.repeat || e.isComposing) return;
+  const shortcut = matchShortcut(e);
+  if (!shortcut) return;
+
+  // The shortcut acts on what was typed so far
+  if (typingSession) flushTyping();
+  if (!shouldCapture('keydown')) return;
+
+  const target = getEventTarget(e);
+  const context = getEventContext(target, 'keydown');
+  const where = context.fieldDetails?.fieldLabel || context.identifier;
+  context.description = `Pressed ${shortcut.combo} (${shortcut.action})${where ? ` in ${where}` : ''}`;
+  context.actionType = 'keyboard_shortcut';
+  context.shortcut = shortcut;
+  sendEvent(context, target);
+}
+
+// Remember a field's value before it is edited, so typing reports what changed
+function handleFocusIn(e) {
+  // Changes in web components only reach listeners inside their shadow root
+  listenInShadowRoots(e, handler, observedShadowRoots);
+  const target = getEventTarget(e);
+  // The form's values before the user touches it, to diff at submission
+  if (target.form) rememberForm(target.form);
+  if (!isTextEntryField(target)) return;
+  if (!lastInputValue.has(target)) lastInputValue.set(target, getTextValue(target));
+  if (!target.isContentEditable && !previousValues.has(target) && !isSecretField(getFormFieldValue(target))) {
+    previousValues.set(target, target.value);
+  }
+}
+
+// A finished drag becomes one event saying what moved where
+function handleDrag(drag) {
+  if (typingSession) flushTyping();
+  const target = drag.source || drag.dropTarget;
+  if (!(target instanceof Element)) return;
+
+  const context = getEventContext(target, 'drop');
+  const item = drag.source ? getAccessibleName(drag.source) : '';
+  const dropTarget = drag.dropTarget instanceof Element
+    ? describeContainer(drag.dropTarget) || getAccessibleName(drag.dropTarget)
+    : '';
+  const from = drag.from && { container: describeContainer(drag.from.container), position: drag.from.index + 1 };
+  const to = drag.to && { container: describeContainer(drag.to.container), position: drag.to.index + 1 };
+  context.drag = { method: drag.method, item, dropTarget, from, to, files: drag.files, duration: drag.duration };
+
+  const quoted = (text, fallback) => (text ? `"${text}"` : fallback);
+  if (drag.files) {
+    const { count, types } = drag.files;
+    context.description = `Dropped ${count} file${count === 1 ? '' : 's'} (${types.join(', ')}) onto ${quoted(dropTarget, 'the page')}`;
+    context.actionType = 'file_drop';
+  } else if (from && to && drag.from.container !== drag.to.container) {
+    context.description = `Moved ${quoted(item, 'an item')} from ${quoted(from.container, 'one list')} to ${quoted(to.container, 'another list')} (position ${to.position})`;
+    context.actionType = 'move';
+  } else if (from && to && from.position !== to.position) {
+    context.description = `Reordered ${quoted(item, 'an item')}${to.container ? ` in "${to.container}"` : ''} from position ${from.position} to ${to.position}`;
+    context.actionType = 'reorder';
+  } else {
+    context.description = `Dragged ${quoted(item, 'an item')}${dropTarget ? ` onto "${dropTarget}"` : ''}`;
+    context.actionType = 'drag_drop';
+  }
+
+  sendEvent(context, target);
+}
+
+// Leaving a field ends its typing session
+function handleFocusOut(e) {
+  if (typingSession?.target === getEventTarget(e)) flushTyping();
 }
 
 // Add listeners for all events we want to track
@@ -540,6 +1012,18 @@ console.log('📡 Setting up event listeners for:', Array.from(KEEP));
 KEEP.forEach(eventType => {
   document.addEventListener(eventType, handler, { capture: true, passive: true });
 });
+document.addEventListener('input', handleInput, { capture: true, passive: true });
+document.addEventListener('paste', handlePaste, { capture: true, passive: true });
+document.addEventListener('keydown', handleKeydown, { capture: true, passive: true });
+document.addEventListener('focusin', handleFocusIn, { capture: true, passive: true });
+document.addEventListener('focusout', handleFocusOut, { capture: true, passive: true });
+watchDrags(document, { onDrag: handleDrag, isEnabled: () => shouldCapture('drop') });
+// Forms in the page as loaded; later ones are remembered on first focus
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => Array.from(document.forms).forEach(rememberForm));
+} else {
+  Array.from(document.forms).forEach(rememberForm);
+}
 console.log('✅ Event listeners attached');
 
 // Start screenshot capture when page is ready
@@ -552,6 +1036,7 @@ if (document.readyState === 'complete') {
 // Handle visibility changes
 document.addEventListener('visibilitychange', () => {
   if (document.hidden) {
+    if (typingSession) flushTyping();
     // Process any remaining screenshots before stopping
     if (screenshotBatch.length > 0) {
       processBatch();
@@ -562,20 +1047,66 @@ document.addEventListener('visibilitychange', () => {
   }
 });
 
-// Track URL changes
-let lastUrl = window.location.href;
-console.log('🌐 Starting navigation tracking from:', lastUrl);
+// Same-document navigations, reported by the main-world navigation hook
+// (navigation_hook.js; the event name is defined there too)
+const NAVIGATION_EVENT = '8flow:navigation';
+// Routers update the title shortly after the URL
+const NAVIGATION_TITLE_DELAY = 250;
+const NAVIGATION_KIND_NOTES = {
+  traverse: 'back/forward',
+  replace: 'URL replaced',
+  reload: 'reload'
+};
 
-new MutationObserver(() => {
-  if (window.location.href !== lastUrl) {
-    console.log('🔄 URL changed from', lastUrl, 'to', window.location.href);
-    // Process any remaining screenshots before navigation
-    if (screenshotBatch.length > 0) {
-      processBatch();
-    }
-    lastUrl = window.location.href;
-    handler({ type: 'navigation', target: document.body });
+// Records a navigation from the hook's { from, to, kind, hashOnly, timestamp, duration }
+function handleNavigation(nav) {
+  console.log('🔄 URL changed from', nav.from, 'to', nav.to, `(${nav.kind})`);
+  if (typingSession) flushTyping();
+  // Process any remaining screenshots before navigation
+  if (screenshotBatch.length > 0) {
+    processBatch();
   }
-}).observe(document, { subtree: true, childList: true });
+  // Capture mode may differ on the new URL
+  updateScreenshotCapture();
+
+  if (!isEventCaptured(settings.capture, window.location.href, 'navigation')) {
+    console.log('⏭️ Capture disabled for navigation on this site');
+    return;
+  }
+
+  setTimeout(() => {
+    const context = getEventContext(null, 'navigation');
+    const note = nav.hashOnly ? 'in-page anchor' : NAVIGATION_KIND_NOTES[nav.kind];
+    if (note) context.description += ` (${note})`;
+    context.navigation = nav;
+    sendEvent(context, null);
+  }, NAVIGATION_TITLE_DELAY);
+}
+
+window.addEventListener(NAVIGATION_EVENT, (e) => {
+  let nav;
+  try {
+    nav = JSON.parse(e.detail);
+  } catch (error) {
+    return;
+  }
+  if (typeof nav?.from === 'string' && typeof nav.to === 'string') handleNavigation(nav);
+});
+
+// Requests from the background: regions to mask and replay actions
+chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+  // The background masks these regions in the next screenshot of the tab
+  if (msg.kind === 'mask_regions') {
+    sendResponse(getMaskRegions());
+    return;
+  }
+  if (msg.kind !== 'replay_step') return;
+
+  console.log('▶️ Replaying action:', msg.action.kind);
+  performReplayAction(msg.action)
+    .then(sendResponse)
+    .catch(error => sendResponse({ ok: false, error: error.message }));
+  return true; // Keep the channel open for the async response
+});
 
 console.log('🎉 Content script initialization complete');
@@ -0,0 +1,541 @@
+import { queryRecords, listSessions, buildRecordQuery, RECORD_KINDS } from './session_store.js';
+import { exportWorkflow, exportSession, EXPORT_FORMATS } from './script_exporter.js';
+import { REPLAY_MODES } from './replay_engine.js';
+import { describeLocator } from './selector_engine.js';
+import { describeRequest } from './network_tracker.js';
+
+// Searchable, filterable timeline over the stored history
+
+const MAX_RECORDS = 2000;
+const RELOAD_DEBOUNCE = 500;
+
+const $ = (id) => document.getElementById(id);
+const filters = {
+  search: $('search'),
+  kind: $('kind'),
+  workflowType: $('workflowType'),
+  completionStatus: $('completionStatus'),
+  domain: $('domain'),
+  from: $('from'),
+  to: $('to')
+};
+const $timeline = $('timeline');
+const $status = $('status');
+const $replay = $('replay');
+const $tasks = $('tasks');
+
+let reloadTimer = null;
+
+/**
+ * Creates an element with attributes and children
+ * @param {string} tag - Tag name
+ * @param {Object} [attrs] - Attributes and properties
+ * @param {...(Node|string)} children - Child nodes or text
+ * @returns {HTMLElement} Created element
+ */
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  Object.entries(attrs).forEach(([key, value]) => {
+    if (value == null || value === false) return;
+    if (key === 'className') node.className = value;
+    else if (key.startsWith('on')) node.addEventListener(key.slice(2), value);
+    else node.setAttribute(key, value);
+  });
+  children.flat().forEach(child => {
+    if (child == null || child === false) return;
+    node.append(child instanceof Node ? child : String(child));
+  });
+  return node;
+}
+
+/**
+ * Formats a timestamp for the timeline
+ * @param {number} ts - Timestamp
+ * @returns {string} Formatted time
+ */
+function formatTime(ts) {
+  return ts ? new Date(ts).toLocaleTimeString() : '';
+}
+
+/**
+ * Formats a millisecond duration
+ * @param {number} ms - Duration
+ * @returns {string} Human readable duration
+ */
+function formatDuration(ms) {
+  if (!ms && ms !== 0) return '';
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+/**
+ * Offers a generated script as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} source - Script source
+ */
+function downloadScript(filename, source) {
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  const link = el('a', { href: url, download: filename });
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Turns text into a file name friendly slug
+ * @param {string} text - Text to convert
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return String(text || 'recording').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+}
+
+/**
+ * Renders Playwright/Puppeteer export buttons
+ * @param {Function} exportFn - Returns the script source for a format
+ * @param {string} name - Base file name
+ * @returns {HTMLElement} Button group
+ */
+function renderExportButtons(exportFn, name) {
+  const exportAs = (format, ext) => async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    try {
+      downloadScript(`${slugify(name)}${ext}`, await exportFn(format));
+    } catch (error) {
+      console.error('Failed to export script:', error);
+      $status.textContent = `Export failed: ${error.message}`;
+    }
+  };
+  return el('span', { className: 'exports' },
+    el('button', { type: 'button', onclick: exportAs(EXPORT_FORMATS.PLAYWRIGHT, '.spec.js') }, 'Playwright'),
+    el('button', { type: 'button', onclick: exportAs(EXPORT_FORMATS.PUPPETEER, '.puppeteer.mjs') }, 'Puppeteer')
+  );
+}
+
+/**
+ * Renders buttons that replay a workflow in a new tab
+ * @param {Object} workflow - Recorded workflow
+ * @returns {HTMLElement} Button group
+ */
+function renderReplayButtons(workflow) {
+  const replay = (mode) => (e) => {
+    e.preventDefault();
+    chrome.runtime.sendMessage({ kind: 'replay_start', workflow, mode }).catch(error => {
+      $status.textContent = `Replay failed to start: ${error.message}`;
+    });
+  };
+  return el('span', { className: 'exports' },
+    el('button', { type: 'button', onclick: replay(REPLAY_MODES.CONTINUOUS) }, 'Replay'),
+    el('button', { type: 'button', onclick: replay(REPLAY_MODES.STEP) }, 'Step through')
+  );
+}
+
+/**
+ * Renders the progress of the current replay
+ * @param {Object} replay - Replay state stored by the background replay engine
+ */
+function renderReplayStatus(replay) {
+  if (!replay) {
+    $replay.hidden = true;
+    return;
+  }
+
+  const active = ['running', 'paused'].includes(replay.status);
+  const send = (kind) => () => chrome.runtime.sendMessage({ kind }).catch(error => {
+    $status.textContent = `Replay control failed: ${error.message}`;
+  });
+
+  $replay.hidden = false;
+  $replay.replaceChildren(
+    el('div', { className: 'replay-head' },
+      el('strong', {}, `Replay: ${replay.title}`),
+      el('span', { className: `badge replay-${replay.status}` }, replay.status),
+      replay.status === 'paused' && el('button', { type: 'button', onclick: send('replay_next') }, 'Next step'),
+      active && el('button', { type: 'button', onclick: send('replay_stop') }, 'Stop'),
+      !active && el('button', { type: 'button', onclick: () => chrome.storage.local.remove('replayStatus') }, 'Dismiss')
+    ),
+    replay.error && el('div', { className: 'replay-error' }, replay.error),
+    el('ol', {}, replay.steps.map((step, i) => el('li', { className: `replay-step ${step.status}${i === replay.current && active ? ' current' : ''}` },
+      `${step.description} — ${step.status}`,
+      step.note && el('span', { className: 'time' }, ` (${step.note})`),
+      step.error && el('div', { className: 'replay-error' }, step.error)
+    )))
+  );
+}
+
+/**
+ * Renders a field change as from → to
+ * @param {Object} change - Field change ({ field, from, to })
+ * @returns {HTMLElement} Rendered change
+ */
+function renderFieldChange(change) {
+  return el('div', { className: 'change' },
+    `${change.field}: `,
+    el('span', { className: 'from' }, JSON.stringify(change.from ?? '')),
+    ' → ',
+    el('span', { className: 'to' }, JSON.stringify(change.to ?? ''))
+  );
+}
+
+/**
+ * Renders a definition list of the non-empty entries
+ * @param {Array} pairs - [label, value] pairs
+ * @returns {HTMLElement} Rendered list
+ */
+function renderDetails(pairs) {
+  return el('dl', {}, pairs
+    .filter(([, value]) => value != null && value !== '')
+    .map(([label, value]) => [el('dt', {}, label), el('dd', {}, value)]));
+}
+
+/**
+ * Renders a completion status badge
+ * @param {string} status - One of COMPLETION_STATUSES
+ * @returns {HTMLElement} Badge
+ */
+function renderStatusBadge(status) {
+  return el('span', { className: `badge status-${status}` }, status);
+}
+
+/**
+ * Renders the fields of a structured summary
+ * @param {Object} structured - Summary fields (see SUMMARY_SCHEMA)
+ * @returns {HTMLElement} Rendered summary
+ */
+function renderStructuredSummary(structured) {
+  return el('div', {},
+    renderDetails([
+      ['Task', structured.mainTask],
+      ['Status', structured.completionDetail
+        ? `${structured.completionStatus} (${structured.completionDetail})`
+        : structured.completionStatus],
+      ['Start', structured.startPoint],
+      ['End', structured.endPoint],
+      ['Patterns', structured.patterns.join('; ')]
+    ]),
+    structured.steps.length > 0 && el('ol', {}, structured.steps.map(step => el('li', {}, step))),
+    structured.keyInteractions.map(renderFieldChange)
+  );
+}
+
+/**
+ * Renders the generated summary belonging to a batch
+ * @param {Object} summaryRecord - Summary record
+ * @returns {HTMLElement|null} Rendered summary
+ */
+function renderSummary(summaryRecord) {
+  if (!summaryRecord?.summary) return null;
+  return el('div', {}, el('strong', {}, 'Summary'), summaryRecord.structuredSummary
+    ? renderStructuredSummary(summaryRecord.structuredSummary)
+    : el('pre', {}, summaryRecord.summary));
+}
+
+/**
+ * Renders a workflow entry with its steps
+ * @param {Object} record - Workflow record
+ * @param {Map} summaries - Summary records by batch id
+ * @returns {HTMLElement} Rendered entry
+ */
+function renderWorkflow(record, summaries) {
+  const wf = record.workflow;
+  const steps = wf.steps || [];
+
+  return el('details', { className: 'entry' },
+    el('summary', {},
+      el('span', { className: 'time' }, formatTime(record.timestamp)),
+      el('span', { className: 'badge' }, wf.patternName || record.workflowType),
+      el('span', { className: 'title' }, `${wf.target || '(unknown target)'} — ${steps.length} step${steps.length === 1 ? '' : 's'}`)
+    ),
+    el('div', { className: 'body' },
+      renderDetails([
+        ['URL', record.url],
+        ['Duration', formatDuration(wf.duration)],
+        ['Status', wf.completed === undefined ? null : (wf.completed ? 'All pattern steps seen' : 'Ended before the last pattern step')],
+        ['Outcome', wf.outcome ? `${wf.outcome.status} (${wf.outcome.detail})` : null]
+      ]),
+      renderExportButtons(format => exportWorkflow(wf, { format }), `${record.workflowType}-${wf.target}`),
+      renderReplayButtons(wf),
+      el('ol', {}, steps.map(step => el('li', {},
+        el('div', {}, `${formatTime(step.timestamp)} — ${step.action}`),
+        step.details?.fieldChange && renderFieldChange(step.details.fieldChange),
+        step.details?.path && el('div', { className: 'path' }, step.details.path),
+        step.details?.url && step.details.url !== record.url && el('div', { className: 'path' }, step.details.url)
+      ))),
+      renderSummary(summaries.get(record.batchId))
+    )
+  );
+}
+
+/**
+ * Renders a single captured event from a batch
+ * @param {Object} evt - Captured event
+ * @param {Object} batch - Batch record the event belongs to
+ * @param {Map} summaries - Summary records by batch id
+ * @returns {HTMLElement} Rendered entry
+ */
+function renderEvent(evt, batch, summaries) {
+  return el('details', { className: 'entry' },
+    el('summary', {},
+      el('span', { className: 'time' }, formatTime(evt.timestamp || evt.ts)),
+      el('span', { className: 'badge event' }, evt.type),
+      el('span', { className: 'title' }, evt.label || evt.description || evt.title || evt.url || '')
+    ),
+    el('div', { className: 'body' },
+      renderDetails([
+        ['URL', evt.url || batch.url],
+        ['Page', evt.pageTitle || evt.title],
+        ['Element', evt.elementType],
+        ['Locator', evt.locators?.[0] && describeLocator(evt.locators[0])],
+        ['Request', evt.request && describeRequest(evt.request)],
+        ['Action', evt.actionType]
+      ]),
+      evt.fieldChange && renderFieldChange(evt.fieldChange),
+      evt.path && el('div', { className: 'path' }, evt.path),
+      renderSummary(summaries.get(batch.id))
+    )
+  );
+}
+
+/**
+ * Renders a summary entry
+ * @param {Object} record - Summary record
+ * @returns {HTMLElement} Rendered entry
+ */
+function renderSummaryEntry(record) {
+  const structured = record.structuredSummary;
+  // Summaries stored before structured output only have their text
+  const firstLine = (record.summary || '').split('\n').find(line => line.trim()) || '(empty summary)';
+  return el('details', { className: 'entry' },
+    el('summary', {},
+      el('span', { className: 'time' }, formatTime(record.timestamp)),
+      el('span', { className: 'badge summary' }, 'summary'),
+      structured && renderStatusBadge(structured.completionStatus),
+      el('span', { className: 'title' }, structured?.mainTask || firstLine)
+    ),
+    el('div', { className: 'body' },
+      renderDetails([['URL', record.url]]),
+      structured ? renderStructuredSummary(structured) : el('pre', {}, record.summary || '')
+    )
+  );
+}
+
+/**
+ * Renders the tasks of the loaded summaries with how often each ended in
+ * each completion status
+ * @param {Array} records - Stored records
+ */
+function renderTaskOverview(records) {
+  const tasks = new Map();
+  records
+    .filter(r => r.kind === RECORD_KINDS.SUMMARY && r.mainTask)
+    .forEach(r => {
+      if (!tasks.has(r.mainTask)) tasks.set(r.mainTask, { total: 0, statuses: {} });
+      const task = tasks.get(r.mainTask);
+      task.total++;
+      task.statuses[r.completionStatus] = (task.statuses[r.completionStatus] || 0) + 1;
+    });
+
+  if (tasks.size === 0) {
+    $tasks.hidden = true;
+    return;
+  }
+
+  const rows = Array.from(tasks.entries()).sort((a, b) => b[1].total - a[1].total);
+  $tasks.hidden = false;
+  $tasks.replaceChildren(
+    el('h2', {}, 'Tasks'),
+    el('table', {},
+      el('tr', {}, el('th', {}, 'Task'), el('th', {}, 'Times'), el('th', {}, 'Outcome')),
+      rows.map(([mainTask, { total, statuses }]) => el('tr', {},
+        el('td', {}, mainTask),
+        el('td', { className: 'count' }, total),
+        el('td', {}, Object.entries(statuses).map(([status, count]) => [renderStatusBadge(status), `${count} `]))
+      ))
+    )
+  );
+}
+
+/**
+ * Renders a screenshot description entry
+ * @param {Object} record - Description record
+ * @returns {HTMLElement} Rendered entry
+ */
+function renderDescription(record) {
+  return el('details', { className: 'entry' },
+    el('summary', {},
+      el('span', { className: 'time' }, formatTime(record.timestamp)),
+      el('span', { className: 'badge description' }, 'screenshot'),
+      el('span', { className: 'title' }, `${record.trigger || 'capture'} — ${record.url || ''}`)
+    ),
+    el('div', { className: 'body' }, el('pre', {}, record.description || ''))
+  );
+}
+
+/**
+ * Builds the searchable text of a timeline item
+ * @param {Object} item - Timeline item
+ * @returns {string} Lower-cased text
+ */
+function searchableText(item) {
+  const { record, evt } = item;
+  const parts = [record.url, record.workflowType, record.summary, record.mainTask, record.description];
+
+  if (record.workflow) {
+    parts.push(record.workflow.target);
+    record.workflow.steps?.forEach(step => {
+      parts.push(step.action, step.details?.path, step.details?.url);
+      if (step.details?.fieldChange) {
+        const { field, from, to } = step.details.fieldChange;
+        parts.push(field, from, to);
+      }
+    });
+  }
+
+  if (evt) {
+    parts.push(evt.url, evt.type, evt.label, evt.description, evt.path, evt.pageTitle, evt.title);
+    if (evt.fieldChange) parts.push(evt.fieldChange.field, evt.fieldChange.from, evt.fieldChange.to);
+  }
+
+  return parts.filter(p => p != null).join(' ').toLowerCase();
+}
+
+/**
+ * Expands records into timeline items (batches become one item per event)
+ * @param {Array} records - Stored records
+ * @returns {Array} Timeline items sorted newest first
+ */
+function toTimelineItems(records) {
+  const items = [];
+  records.forEach(record => {
+    if (record.kind === RECORD_KINDS.BATCH) {
+      (record.events || [])
+        .filter(evt => evt.type !== 'screenshot')
+        .forEach(evt => items.push({
+          kind: 'event',
+          record,
+          evt,
+          timestamp: evt.timestamp || evt.ts || record.timestamp
+        }));
+    } else {
+      items.push({ kind: record.kind, record, timestamp: record.timestamp });
+    }
+  });
+  return items.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+/**
+ * Reads the current filter inputs into a store query
+ * @returns {Object} Query for queryRecords
+ */
+function readQuery() {
+  return buildRecordQuery({
+    workflowType: filters.workflowType.value,
+    completionStatus: filters.completionStatus.value,
+    domain: filters.domain.value.trim(),
+    from: filters.from.value ? new Date(`${filters.from.value}T00:00:00`).getTime() : null,
+    to: filters.to.value ? new Date(`${filters.to.value}T23:59:59.999`).getTime() : null,
+    limit: MAX_RECORDS
+  });
+}
+
+/**
+ * Keeps the workflow type filter in sync with the types present in history
+ * @param {Array} records - Stored records
+ */
+function updateWorkflowTypeOptions(records) {
+  const select = filters.workflowType;
+  const known = new Set(Array.from(select.options).map(o => o.value));
+  records
+    .filter(r => r.kind === RECORD_KINDS.WORKFLOW && r.workflowType && !known.has(r.workflowType))
+    .forEach(r => {
+      known.add(r.workflowType);
+      select.append(el('option', { value: r.workflowType }, r.workflowType));
+    });
+}
+
+/**
+ * Loads history and renders the timeline
+ */
+async function render() {
+  $status.textContent = 'Loading…';
+
+  const query = readQuery();
+  const [records, sessions] = await Promise.all([
+    queryRecords(query),
+    listSessions()
+  ]);
+  updateWorkflowTypeOptions(records);
+  renderTaskOverview(records);
+
+  const summaries = new Map(records
+    .filter(r => r.kind === RECORD_KINDS.SUMMARY && r.batchId)
+    .map(r => [r.batchId, r]));
+
+  const search = filters.search.value.trim().toLowerCase();
+  const kind = filters.kind.value;
+  const items = toTimelineItems(records)
+    .filter(item => !kind || item.kind === kind)
+    .filter(item => !search || searchableText(item).includes(search));
+
+  // Group items by session, keeping sessions newest first
+  const bySession = new Map();
+  items.forEach(item => {
+    if (!bySession.has(item.record.sessionId)) bySession.set(item.record.sessionId, []);
+    bySession.get(item.record.sessionId).push(item);
+  });
+  const sessionsById = new Map(sessions.map(s => [s.id, s]));
+
+  $timeline.replaceChildren(...Array.from(bySession.entries()).map(([sessionId, sessionItems]) => {
+    const session = sessionsById.get(sessionId);
+    const started = session ? new Date(session.startTime).toLocaleString() : 'Unknown session';
+    return el('section', { className: 'session' },
+      el('h2', {}, `Session ${started} `,
+        el('small', {}, `${sessionItems.length} entr${sessionItems.length === 1 ? 'y' : 'ies'}${session?.domains?.length ? ` · ${session.domains.join(', ')}` : ''}`),
+        renderExportButtons(async format => exportSession(
+          await queryRecords({ sessionId, kinds: [RECORD_KINDS.BATCH], order: 'asc' }),
+          { format }
+        ), `session-${started}`)),
+      sessionItems.map(item => {
+        switch (item.kind) {
+          case RECORD_KINDS.WORKFLOW: return renderWorkflow(item.record, summaries);
+          case RECORD_KINDS.SUMMARY: return renderSummaryEntry(item.record);
+          case RECORD_KINDS.DESCRIPTION: return renderDescription(item.record);
+          default: return renderEvent(item.evt, item.record, summaries);
+        }
+      })
+    );
+  }));
+
+  if (items.length === 0) {
+    $timeline.replaceChildren(el('div', { className: 'empty' }, 'No captured activity matches these filters.'));
+  }
+  $status.textContent = `${items.length} entr${items.length === 1 ? 'y' : 'ies'} · updated ${new Date().toLocaleTimeString()}`;
+}
+
+/**
+ * Re-renders shortly after the last trigger
+ */
+function scheduleRender() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => {
+    render().catch(error => {
+      console.error('Failed to load history:', error);
+      $status.textContent = `Failed to load history: ${error.message}`;
+    });
+  }, RELOAD_DEBOUNCE);
+}
+
+Object.values(filters).forEach(input => {
+  input.addEventListener(input.tagName === 'SELECT' || input.type === 'date' ? 'change' : 'input', scheduleRender);
+});
+
+// Background bumps historyUpdatedAt whenever it stores a batch
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes.historyUpdatedAt) scheduleRender();
+  if (changes.replayStatus) renderReplayStatus(changes.replayStatus.newValue);
+});
+
+scheduleRender();
+chrome.storage.local.get('replayStatus').then(({ replayStatus }) => renderReplayStatus(replayStatus));
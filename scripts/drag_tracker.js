@@ -0,0 +1,229 @@
+// Drag-and-drop tracking for the content script. Native HTML5 drags, pointer
+// drags run by libraries (kanban boards, sortable lists) and files dropped
+// from the desktop each end in one report: what was dragged, where it was
+// dropped and where it ended up.
+
+import { getEventTarget } from './shadow_dom.js';
+
+// Pointer movement (px) after which a press counts as a drag
+const DRAG_THRESHOLD = 8;
+// Libraries animate and re-render after a drop; positions are read this much later
+const SETTLE_DELAY = 250;
+
+// Items made draggable by common libraries
+const DRAGGABLE_SELECTOR = [
+  '[draggable="true"]',
+  '[data-rbd-draggable-id]',              // react-beautiful-dnd
+  '[data-rfd-draggable-id]',              // @hello-pangea/dnd
+  '[aria-roledescription="sortable"]',    // dnd-kit
+  '[aria-roledescription="draggable"]',
+  '[data-sortable-id]',
+  '[data-draggable]',
+  '.ui-sortable-handle',                  // jQuery UI
+  '.ui-draggable',
+  '.sortable-item',
+  '.draggable'
+].join(', ');
+
+// Attributes that identify an item when a re-render replaces its element
+const ITEM_KEY_ATTRIBUTES = [
+  'id',
+  'data-id',
+  'data-rbd-draggable-id',
+  'data-rfd-draggable-id',
+  'data-sortable-id',
+  'data-testid',
+  'data-key'
+];
+
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"], header, legend, caption';
+
+/**
+ * Records where an element sits among its siblings
+ * @param {Element} el - Element
+ * @returns {Object|null} { container, index }
+ */
+function getPosition(el) {
+  const container = el?.parentElement;
+  if (!container) return null;
+  return { container, index: Array.prototype.indexOf.call(container.children, el) };
+}
+
+/**
+ * Finds an attribute that identifies an item across re-renders
+ * @param {Element} el - Dragged item
+ * @returns {Object|null} { name, value }
+ */
+function getItemKey(el) {
+  const name = ITEM_KEY_ATTRIBUTES.find(attr => el.getAttribute(attr));
+  return name ? { name, value: el.getAttribute(name) } : null;
+}
+
+/**
+ * Finds the dragged item after the drop, which may be a new element
+ * @param {Document} doc - Document being watched
+ * @param {Object} drag - Drag in progress
+ * @returns {Element|null} Item as it is now
+ */
+function findItem(doc, drag) {
+  if (drag.item.isConnected) return drag.item;
+  if (!drag.key) return null;
+  return doc.querySelector(`[${drag.key.name}="${CSS.escape(drag.key.value)}"]`);
+}
+
+/**
+ * Finds the element the pointer released over, ignoring the dragged item
+ * and any ghost following the pointer
+ * @param {Document} doc - Document being watched
+ * @param {Object} drag - Drag in progress
+ * @param {PointerEvent} e - pointerup event
+ * @returns {Element|null} Drop target
+ */
+function findDropTarget(doc, drag, e) {
+  return doc.elementsFromPoint(e.clientX, e.clientY)
+    .find(el => !drag.item.contains(el) && getComputedStyle(el).pointerEvents !== 'none') || null;
+}
+
+/**
+ * Whether a press starts on something that handles its own pointer drags
+ * @param {Element} el - Pressed element
+ * @returns {boolean}
+ */
+function isTextControl(el) {
+  return Boolean(el.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+}
+
+/**
+ * Names a list or column from its label or the heading just before it
+ * @param {Element} container - Element holding the dragged items
+ * @returns {string} Label, empty when none was found
+ */
+export function describeContainer(container) {
+  let el = container;
+  for (let depth = 0; el && el !== el.ownerDocument.body && depth < 3; depth++, el = el.parentElement) {
+    const heading = Array.from(el.querySelectorAll(HEADING_SELECTOR))
+      .filter(h => !container.contains(h) && (h.compareDocumentPosition(container) & Node.DOCUMENT_POSITION_FOLLOWING))
+      .pop();
+    const label = el.getAttribute('aria-label') || heading?.textContent;
+    if (label?.trim()) return label.replace(/\s+/g, ' ').trim().slice(0, 100);
+  }
+  return '';
+}
+
+/**
+ * Watches a document for drags and reports each finished one. A report is
+ * { method: 'native'|'pointer'|'file', source, dropTarget, from, to, files, duration }
+ * where from and to are { container, index } and source is the dragged
+ * element as it is after the drop (null for files).
+ * @param {Document} doc - Document to watch
+ * @param {Object} options - Tracker options
+ * @param {Function} options.onDrag - Called with each report
+ * @param {Function} [options.isEnabled] - Whether drags are recorded right now
+ * @returns {Function} Stops watching
+ */
+export function watchDrags(doc, { onDrag, isEnabled = () => true }) {
+  // Drag in progress: { method, item, key, from, startTime, dropTarget }
+  let current = null;
+  // Pointer press that may turn into a drag: { item, draggable, x, y, from, startTime }
+  let press = null;
+
+  const finish = (drag) => {
+    setTimeout(() => {
+      if (!isEnabled()) return;
+      const source = findItem(doc, drag);
+      const to = source ? getPosition(source) : null;
+      const moved = to && (to.container !== drag.from?.container || to.index !== drag.from?.index);
+
+      // A pointer drag on something that doesn't look draggable and moved
+      // nothing is panning, drawing or selecting, not drag and drop
+      if (drag.method === 'pointer' && !drag.draggable && !moved) return;
+
+      onDrag({
+        method: drag.method,
+        source,
+        dropTarget: drag.dropTarget || null,
+        from: drag.from,
+        to,
+        files: null,
+        duration: Date.now() - drag.startTime
+      });
+    }, SETTLE_DELAY);
+  };
+
+  const listeners = {
+    dragstart(e) {
+      press = null;
+      const item = getEventTarget(e);
+      if (!(item instanceof Element)) return;
+      current = { method: 'native', item, key: getItemKey(item), from: getPosition(item), startTime: Date.now() };
+    },
+
+    drop(e) {
+      if (current) {
+        current.dropTarget = getEventTarget(e);
+        return;
+      }
+      // Dropped from outside the page; only file counts and types are kept
+      const files = Array.from(e.dataTransfer?.files || []);
+      if (!files.length || !isEnabled()) return;
+      onDrag({
+        method: 'file',
+        source: null,
+        dropTarget: getEventTarget(e),
+        from: null,
+        to: null,
+        files: { count: files.length, types: [...new Set(files.map(file => file.type || 'unknown'))] },
+        duration: 0
+      });
+    },
+
+    dragend(e) {
+      const drag = current;
+      current = null;
+      // Cancelled with Escape or released where nothing accepts the drop
+      if (!drag || (e.dataTransfer?.dropEffect === 'none' && !drag.dropTarget)) return;
+      finish(drag);
+    },
+
+    pointerdown(e) {
+      const target = getEventTarget(e);
+      if (e.button !== 0 || !e.isPrimary || !(target instanceof Element) || isTextControl(target)) return;
+      const draggable = target.closest(DRAGGABLE_SELECTOR);
+      const item = draggable || target;
+      press = { item, draggable: Boolean(draggable), x: e.clientX, y: e.clientY, from: getPosition(item), startTime: Date.now() };
+    },
+
+    pointermove(e) {
+      if (!press || press.dragging) return;
+      if (!(e.buttons & 1)) {
+        press = null;
+        return;
+      }
+      if (Math.hypot(e.clientX - press.x, e.clientY - press.y) >= DRAG_THRESHOLD) press.dragging = true;
+    },
+
+    pointerup(e) {
+      const drag = press;
+      press = null;
+      if (!drag?.dragging) return;
+      if (!drag.draggable && doc.getSelection()?.toString()) return;
+      finish({
+        method: 'pointer',
+        item: drag.item,
+        key: getItemKey(drag.item),
+        draggable: drag.draggable,
+        from: drag.from,
+        startTime: drag.startTime,
+        dropTarget: findDropTarget(doc, drag, e)
+      });
+    },
+
+    pointercancel() {
+      press = null;
+    }
+  };
+
+  const options = { capture: true, passive: true };
+  Object.entries(listeners).forEach(([type, listener]) => doc.addEventListener(type, listener, options));
+  return () => Object.entries(listeners).forEach(([type, listener]) => doc.removeEventListener(type, listener, options));
+}
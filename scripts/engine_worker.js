@@ -0,0 +1,37 @@
+import { configureEngine } from './getEngine.js';
+import { describeScreenshot, clearDescriptionCache } from './vlm.js';
+import { summariseEvents, configureSummarizer } from './summarizer.js';
+
+// Single host for the inference backend: describe and summarise jobs share
+// one engine, so the model is loaded (and held in GPU memory) once. Job
+// order and concurrency are decided by the offscreen controller.
+
+const HANDLERS = {
+  describe: describeScreenshot,
+  summarise: summariseEvents
+};
+
+self.onmessage = async ({ data }) => {
+  if (data.cmd === 'configure') {
+    configureEngine(data.backend);
+    configureSummarizer(data.summarizer);
+    clearDescriptionCache();
+    return;
+  }
+
+  const handler = HANDLERS[data.cmd];
+  if (!handler) return;
+
+  try {
+    const response = await handler(data);
+    // Cached responses carry the id of the request that produced them
+    self.postMessage({ ...response, id: data.id });
+  } catch (error) {
+    console.error(`Error in engine worker (${data.cmd}):`, error);
+    self.postMessage({
+      id: data.id,
+      error: error.message,
+      eventContext: data.eventContext
+    });
+  }
+};
@@ -0,0 +1,136 @@
+// Serializes forms for submit events. Each form's values are remembered the
+// first time it is seen, so a submission can tell which fields the user
+// changed from what the page filled in.
+
+import { getAccessibleName, findFieldLabel, findGroupLabel } from './accessibility.js';
+
+// Controls that submit or reset a form rather than hold a value
+const SKIPPED_TYPES = ['hidden', 'submit', 'button', 'reset', 'image'];
+const SKIPPED_TAGS = ['BUTTON', 'FIELDSET', 'OUTPUT', 'OBJECT'];
+const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"], legend';
+
+// form -> Map(field key -> value) when the form was first seen
+const initialValues = new WeakMap();
+
+/**
+ * Reads one field's value the way summaries show it
+ * @param {Element} el - Form field
+ * @returns {*} Selected option texts, checked state, file count or the value
+ */
+function readValue(el) {
+  switch (el.type) {
+    case 'select-one':
+    case 'select-multiple':
+      return Array.from(el.selectedOptions).map(opt => opt.text).join(', ');
+    case 'checkbox':
+      return el.checked;
+    case 'password':
+      return '*'.repeat(el.value.length);
+    case 'file':
+      // File names can be personal; the count is enough to follow the flow
+      return el.files?.length ? `${el.files.length} file${el.files.length === 1 ? '' : 's'}` : '';
+    default:
+      return el.value;
+  }
+}
+
+/**
+ * Lists a form's fields with their values. Radio buttons sharing a name
+ * become one field holding the checked option.
+ * @param {HTMLFormElement} form - Form
+ * @returns {Array<Object>} Fields ({ key, fieldLabel, name, id, type, fieldType, autocomplete, value })
+ */
+function readFields(form) {
+  const fields = [];
+  const radioGroups = new Map();
+
+  Array.from(form.elements).forEach((el, index) => {
+    if (el.disabled || SKIPPED_TAGS.includes(el.tagName) || SKIPPED_TYPES.includes(el.type)) return;
+
+    if (el.type === 'radio') {
+      const key = `radio:${el.name || index}`;
+      let group = radioGroups.get(key);
+      if (!group) {
+        group = {
+          key,
+          fieldLabel: findGroupLabel(el) || el.name || 'radio',
+          name: el.name || '',
+          id: '',
+          type: 'radio',
+          fieldType: 'radio',
+          autocomplete: '',
+          value: ''
+        };
+        radioGroups.set(key, group);
+        fields.push(group);
+      }
+      if (el.checked) group.value = findFieldLabel(el) || el.value;
+      return;
+    }
+
+    fields.push({
+      key: el.name || el.id || `#${index}`,
+      fieldLabel: findFieldLabel(el) || el.getAttribute('placeholder') || el.name || el.id || el.type,
+      name: el.name || '',
+      id: el.id || '',
+      type: el.type,
+      fieldType: el.type.startsWith('select') ? 'dropdown' : ['checkbox', 'password', 'file'].includes(el.type) ? el.type : 'text',
+      autocomplete: el.getAttribute('autocomplete') || '',
+      value: readValue(el)
+    });
+  });
+
+  return fields;
+}
+
+/**
+ * Remembers a form's values the first time it is seen; later calls keep
+ * the first snapshot
+ * @param {HTMLFormElement} form - Form
+ */
+export function rememberForm(form) {
+  if (!(form instanceof HTMLFormElement) || initialValues.has(form)) return;
+  initialValues.set(form, new Map(readFields(form).map(field => [field.key, field.value])));
+}
+
+/**
+ * Serializes a form at submission, marking the fields whose value differs
+ * from the form's first snapshot
+ * @param {HTMLFormElement} form - Submitted form
+ * @returns {Array<Object>} Fields ({ fieldLabel, name, id, type, fieldType, autocomplete, value, changed }),
+ *   with initialValue on changed fields
+ */
+export function serializeForm(form) {
+  const initial = initialValues.get(form);
+  return readFields(form).map(({ key, ...field }) => {
+    if (!initial) return { ...field, changed: false };
+    // Fields added since the snapshot started out empty
+    const initialValue = initial.has(key) ? initial.get(key) : (field.type === 'checkbox' ? false : '');
+    return initialValue === field.value
+      ? { ...field, changed: false }
+      : { ...field, changed: true, initialValue };
+  });
+}
+
+/**
+ * Names a form: its accessible name, its first heading or its name or id
+ * @param {HTMLFormElement} form - Form
+ * @returns {string} Name, empty when it has none
+ */
+export function describeForm(form) {
+  const heading = form.querySelector(HEADING_SELECTOR)?.textContent;
+  return (getAccessibleName(form) || heading || form.getAttribute('name') || form.id || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Describes the button that submitted a form
+ * @param {Element} submitter - SubmitEvent.submitter
+ * @returns {Object|null} { label, name } or null without a submitter
+ */
+export function describeSubmitter(submitter) {
+  if (!(submitter instanceof Element)) return null;
+  return {
+    label: (getAccessibleName(submitter) || submitter.value || 'Submit').trim(),
+    name: submitter.getAttribute('name') || ''
+  };
+}
@@ -0,0 +1,78 @@
+// Frame hierarchy of each tab, keyed by the extension's frame ids. A content
+// script can't see the frames embedding it once they are cross-origin; the
+// browser reports every frame with its parent.
+
+// Frames walked up from an event's frame at most
+const MAX_FRAME_DEPTH = 10;
+
+/**
+ * Creates a registry of each tab's frames
+ * @param {Object} [options] - Registry options
+ * @param {Function} [options.getAllFrames] - Lists a tab's frames (chrome.webNavigation.getAllFrames)
+ * @returns {Object} Registry with describe, listFrames, update and forgetTab
+ */
+export function createFrameRegistry({ getAllFrames = (details) => chrome.webNavigation.getAllFrames(details) } = {}) {
+  // tabId -> Map(frameId -> { parentFrameId, url })
+  const tabs = new Map();
+
+  const load = async (tabId) => {
+    const frames = await getAllFrames({ tabId }).catch(error => {
+      console.warn('⚠ Failed to list frames of tab', tabId, error.message);
+      return null;
+    });
+    const byId = new Map((frames || []).map(f => [f.frameId, { parentFrameId: f.parentFrameId, url: f.url }]));
+    tabs.set(tabId, byId);
+    return byId;
+  };
+
+  return {
+    /**
+     * Describes where a frame sits in its tab
+     * @param {number} tabId - Tab id
+     * @param {number} frameId - Frame id, 0 for the top frame
+     * @returns {Promise<Object>} { parentFrameId, frameAncestors } with ancestors
+     *   as { frameId, url }, top frame first; parentFrameId is -1 for the top frame
+     */
+    async describe(tabId, frameId) {
+      if (!frameId) return { parentFrameId: -1, frameAncestors: [] };
+
+      let frames = tabs.get(tabId);
+      if (!frames?.has(frameId)) frames = await load(tabId);
+
+      const parentFrameId = frames.get(frameId)?.parentFrameId ?? null;
+      const frameAncestors = [];
+      for (let id = parentFrameId; id != null && id >= 0 && frameAncestors.length < MAX_FRAME_DEPTH; id = frames.get(id)?.parentFrameId) {
+        frameAncestors.unshift({ frameId: id, url: frames.get(id)?.url || null });
+      }
+      return { parentFrameId, frameAncestors };
+    },
+
+    /**
+     * Lists the frames of a tab as the browser reports them now
+     * @param {number} tabId - Tab id
+     * @returns {Promise<Array>} Frames as { frameId, parentFrameId }
+     */
+    async listFrames(tabId) {
+      const frames = await load(tabId);
+      return [...frames.entries()].map(([frameId, { parentFrameId }]) => ({ frameId, parentFrameId }));
+    },
+
+    /**
+     * Records a committed frame navigation
+     * @param {Object} details - webNavigation.onCommitted details
+     */
+    update({ tabId, frameId, parentFrameId, url }) {
+      // A new top document replaces every frame of the tab
+      if (frameId === 0) tabs.set(tabId, new Map());
+      tabs.get(tabId)?.set(frameId, { parentFrameId, url });
+    },
+
+    /**
+     * Drops the frames of a tab
+     * @param {number} tabId - Tab id
+     */
+    forgetTab(tabId) {
+      tabs.delete(tabId);
+    }
+  };
+}
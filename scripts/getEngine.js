@@ -1,13 +1,42 @@
-import { CreateMLCEngine } from "@mlc-ai/web-llm";
+import { createBackend } from './inference_backend.js';
+import { DEFAULT_SETTINGS } from './settings.js';
 
-//const MODEL_NAME = "Llama-3.2-3B-Instruct-q4f16_1-MLC";
-const MODEL_NAME = "Llama-3.1-8B-Instruct-q4f32_1-MLC";
+// Workers have no chrome.storage, so the backend settings arrive by message
+// (see configureEngine) and the backend is created lazily on first use.
 
+let config = DEFAULT_SETTINGS.backend;
+let enginePromise = null;
 
-const enginePromise = CreateMLCEngine(MODEL_NAME);
+/**
+ * Switches to a new backend configuration, disposing of the current backend
+ * when the configuration changed
+ * @param {Object} nextConfig - Backend settings (see DEFAULT_SETTINGS.backend)
+ */
+export function configureEngine(nextConfig) {
+  if (JSON.stringify(nextConfig) === JSON.stringify(config)) return;
 
+  const previous = enginePromise;
+  config = nextConfig;
+  enginePromise = null;
+
+  previous?.then(backend => backend.dispose?.()).catch(() => {});
+}
+
+/**
+ * Returns the backend for the current configuration
+ * @returns {Promise<Object>} Backend (see inference_backend.js)
+ */
 export function getEngine() {
+  if (!enginePromise) {
+    console.log(`🔌 Using ${config.provider} inference backend`);
+    const promise = createBackend(config);
+    enginePromise = promise;
+    // Allow a retry after a failed load (missing WebGPU, model download errors)
+    promise.catch(() => {
+      if (enginePromise === promise) enginePromise = null;
+    });
+  }
   return enginePromise;
 }
 
-export default enginePromise;
\ No newline at end of file
+export default getEngine;
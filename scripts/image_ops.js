@@ -0,0 +1,189 @@
+// Image processing for screenshots, run in the offscreen document with OffscreenCanvas
+
+export const MASK_STYLES = {
+  BLACKOUT: 'blackout',
+  BLUR: 'blur'
+};
+
+const BLUR_RADIUS = 16;
+// Extra pixels around each rect so focus rings and edges are covered too
+const MASK_PADDING = 4;
+// CSS pixels of surroundings kept around an interacted element, and the
+// smallest crop so tiny controls still show their context
+const CROP_PADDING = 48;
+const MIN_CROP_SIZE = 240;
+
+/**
+ * Decodes a base64 PNG into an ImageBitmap
+ * @param {string} imgBase64 - Base64 PNG without data URL prefix
+ * @returns {Promise<ImageBitmap>} Decoded image
+ */
+export async function decodeImage(imgBase64) {
+  const bytes = Uint8Array.from(atob(imgBase64), c => c.charCodeAt(0));
+  return createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+}
+
+/**
+ * Encodes a canvas as base64 PNG
+ * @param {OffscreenCanvas} canvas - Canvas to encode
+ * @returns {Promise<string>} Base64 PNG without data URL prefix
+ */
+export async function encodeCanvas(canvas) {
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Converts a CSS pixel rect into a clamped image pixel rect
+ * @param {Object} rect - { x, y, width, height } in CSS pixels
+ * @param {number} scale - Image pixels per CSS pixel
+ * @param {number} padding - Padding in CSS pixels
+ * @param {Object} bounds - { width, height } of the image
+ * @returns {Object|null} Pixel rect or null when outside the image
+ */
+function toImageRect(rect, scale, padding, bounds) {
+  const x = Math.max(0, Math.floor((rect.x - padding) * scale));
+  const y = Math.max(0, Math.floor((rect.y - padding) * scale));
+  const right = Math.min(bounds.width, Math.ceil((rect.x + rect.width + padding) * scale));
+  const bottom = Math.min(bounds.height, Math.ceil((rect.y + rect.height + padding) * scale));
+  if (right <= x || bottom <= y) return null;
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Blacks out or blurs regions of a screenshot
+ * @param {string} imgBase64 - Base64 PNG screenshot
+ * @param {Array} rects - Regions in viewport CSS pixels ({ x, y, width, height })
+ * @param {Object} [options] - Masking options
+ * @param {string} [options.style] - One of MASK_STYLES
+ * @param {number} [options.devicePixelRatio] - Ratio used when the screenshot was taken
+ * @returns {Promise<string>} Masked base64 PNG
+ */
+export async function maskRegions(imgBase64, rects, { style = MASK_STYLES.BLACKOUT, devicePixelRatio = 1 } = {}) {
+  const image = await decodeImage(imgBase64);
+  const canvas = new OffscreenCanvas(image.width, image.height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+
+  const regions = rects
+    .map(rect => toImageRect(rect, devicePixelRatio, MASK_PADDING, image))
+    .filter(Boolean);
+
+  regions.forEach(region => {
+    if (style === MASK_STYLES.BLUR) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(region.x, region.y, region.width, region.height);
+      ctx.clip();
+      ctx.filter = `blur(${BLUR_RADIUS * devicePixelRatio}px)`;
+      // Draw twice so the blur can't be reversed from faint edges
+      ctx.drawImage(image, 0, 0);
+      ctx.drawImage(canvas, 0, 0);
+      ctx.restore();
+    } else {
+      ctx.fillStyle = '#000';
+      ctx.fillRect(region.x, region.y, region.width, region.height);
+    }
+  });
+
+  image.close();
+  return encodeCanvas(canvas);
+}
+
+/**
+ * Crops a screenshot around an element, padded with its surroundings
+ * @param {string} imgBase64 - Base64 PNG screenshot
+ * @param {Object} rect - Element in viewport CSS pixels ({ x, y, width, height })
+ * @param {Object} [options] - Crop options
+ * @param {number} [options.devicePixelRatio] - Ratio used when the screenshot was taken
+ * @returns {Promise<string|null>} Cropped base64 PNG, or null when the element is off-screen
+ */
+export async function cropRegion(imgBase64, rect, { devicePixelRatio = 1 } = {}) {
+  const image = await decodeImage(imgBase64);
+  const width = Math.max(rect.width + 2 * CROP_PADDING, MIN_CROP_SIZE);
+  const height = Math.max(rect.height + 2 * CROP_PADDING, MIN_CROP_SIZE);
+  const region = toImageRect({
+    x: rect.x + rect.width / 2 - width / 2,
+    y: rect.y + rect.height / 2 - height / 2,
+    width,
+    height
+  }, devicePixelRatio, 0, image);
+
+  if (!region) {
+    image.close();
+    return null;
+  }
+
+  const canvas = new OffscreenCanvas(region.width, region.height);
+  canvas.getContext('2d').drawImage(image, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+  image.close();
+  return encodeCanvas(canvas);
+}
+
+// Downscaled sizes used to compare screenshots
+const THUMBNAIL_SIZE = 64;
+const HASH_WIDTH = 9; // 9x8 pixels give 8x8 horizontal gradients
+const HASH_HEIGHT = 8;
+
+/**
+ * Draws an image downscaled and returns its grayscale pixels
+ * @param {ImageBitmap} image - Image to draw
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {Array<number>} Luminance per pixel (0-255), row by row
+ */
+function grayscalePixels(image, width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const pixels = new Array(width * height);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+  }
+  return pixels;
+}
+
+/**
+ * Computes a difference hash: one bit per horizontally adjacent pixel pair,
+ * set when the left pixel is brighter
+ * @param {Array<number>} gradient - HASH_WIDTH x HASH_HEIGHT luminance pixels, row by row
+ * @returns {string} 64-bit hash as 16 hex digits
+ */
+export function differenceHash(gradient) {
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    let nibble = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = y * HASH_WIDTH + x;
+      nibble = (nibble << 1) | (gradient[i] > gradient[i + 1] ? 1 : 0);
+      if (x % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Computes what screenshot deduplication compares: a difference hash
+ * (64 bits, hex) and a grayscale thumbnail
+ * @param {string} imgBase64 - Base64 PNG screenshot
+ * @returns {Promise<Object>} { hash, thumbnail: { width, height, pixels } }
+ */
+export async function fingerprintImage(imgBase64) {
+  const image = await decodeImage(imgBase64);
+  const hash = differenceHash(grayscalePixels(image, HASH_WIDTH, HASH_HEIGHT));
+
+  const pixels = grayscalePixels(image, THUMBNAIL_SIZE, THUMBNAIL_SIZE);
+  image.close();
+  return { hash, thumbnail: { width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, pixels } };
+}
@@ -0,0 +1,145 @@
+// Inference backends behind a common chat-completion interface, so the
+// workers don't depend on web-llm directly.
+//
+// A backend is { provider, usesModel, supportsVision, complete(request) }
+// where complete() takes { messages, max_tokens, temperature } in the
+// OpenAI chat format and resolves to the reply text. An optional `schema`
+// (a JSON schema) constrains the reply to JSON matching it.
+
+import { BACKEND_PROVIDERS } from './settings.js';
+
+// web-llm's vision models say so in their id, e.g. Phi-3.5-vision-instruct-q4f16_1-MLC
+const WEBLLM_VISION_MODEL = /vision/i;
+
+/**
+ * Creates a web-llm backend running the model in-browser on WebGPU
+ * @param {Object} config - { model }
+ * @returns {Promise<Object>} Backend
+ */
+async function createWebLLMBackend({ model }) {
+  const { CreateMLCEngine } = await import('@mlc-ai/web-llm');
+  const engine = await CreateMLCEngine(model);
+
+  return {
+    provider: BACKEND_PROVIDERS.WEBLLM,
+    usesModel: true,
+    // Text-only models can't take the screenshot's image parts
+    supportsVision: WEBLLM_VISION_MODEL.test(model),
+    async complete({ schema, ...request }) {
+      const result = await engine.chat.completions.create({
+        ...request,
+        ...(schema ? { response_format: { type: 'json_object', schema: JSON.stringify(schema) } } : {})
+      });
+      return result.choices[0].message.content.trim();
+    },
+    async dispose() {
+      await engine.unload();
+    }
+  };
+}
+
+/**
+ * Drops web-llm specific fields from message content parts
+ * @param {Array} messages - Chat messages
+ * @returns {Array} Messages in plain OpenAI format
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(message => ({
+    ...message,
+    content: Array.isArray(message.content)
+      ? message.content.map(part => (part.type === 'image_url'
+        ? { type: 'image_url', image_url: { url: part.image_url.url } }
+        : part))
+      : message.content
+  }));
+}
+
+/**
+ * Creates a backend for an OpenAI-compatible HTTP endpoint (llama.cpp, Ollama, vLLM, ...)
+ * @param {Object} config - { baseUrl, apiKey, model, visionModel, timeout }
+ * @returns {Promise<Object>} Backend
+ */
+async function createOpenAIBackend({ baseUrl, apiKey, model, visionModel, timeout }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    provider: BACKEND_PROVIDERS.OPENAI,
+    usesModel: true,
+    supportsVision: true,
+    async complete({ messages, schema, ...options }) {
+      const hasImage = messages.some(m => Array.isArray(m.content) && m.content.some(p => p.type === 'image_url'));
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+
+      try {
+        const response = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            ...options,
+            ...(schema ? { response_format: { type: 'json_schema', json_schema: { name: 'response', schema } } } : {}),
+            model: (hasImage && visionModel) || model,
+            messages: toOpenAIMessages(messages),
+            stream: false
+          }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const body = await response.text().catch(() => '');
+          throw new Error(`Inference endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+        }
+
+        const result = await response.json();
+        const content = result.choices?.[0]?.message?.content;
+        if (typeof content !== 'string') {
+          throw new Error('Inference endpoint returned no message content');
+        }
+        return content.trim();
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw new Error(`Inference endpoint timed out after ${timeout / 1000}s`);
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  };
+}
+
+/**
+ * Creates the rule-based backend: no model at all, callers produce their
+ * output from the captured data alone
+ * @returns {Promise<Object>} Backend
+ */
+async function createRulesBackend() {
+  return {
+    provider: BACKEND_PROVIDERS.RULES,
+    usesModel: false,
+    supportsVision: false,
+    async complete() {
+      throw new Error('The rule-based backend has no model to run prompts on');
+    }
+  };
+}
+
+/**
+ * Creates a backend for the configured provider
+ * @param {Object} config - Backend settings (see DEFAULT_SETTINGS.backend)
+ * @returns {Promise<Object>} Backend
+ */
+export function createBackend(config) {
+  switch (config.provider) {
+    case BACKEND_PROVIDERS.OPENAI:
+      return createOpenAIBackend(config.openai);
+    case BACKEND_PROVIDERS.RULES:
+      return createRulesBackend();
+    case BACKEND_PROVIDERS.WEBLLM:
+    default:
+      return createWebLLMBackend(config.webllm);
+  }
+}
@@ -0,0 +1,88 @@
+// Prioritized job queue for the engine worker, run in the offscreen document.
+// Lower priority numbers run first, jobs of equal priority in arrival order.
+// Once the queue is deep, sheddable jobs are turned away instead of queued.
+
+/**
+ * Creates a job queue
+ * @param {Object} options - Queue options
+ * @param {Function} options.run - Starts a job; call done(id) when it finishes
+ * @param {number} [options.concurrency] - Jobs allowed to run at once
+ * @param {number} [options.maxDepth] - Queued jobs beyond which sheddable jobs are rejected
+ * @returns {Object} Queue with push, done, cancel and configure
+ */
+export function createJobQueue({ run, concurrency = 1, maxDepth = 20 }) {
+  const queued = [];
+  const running = new Map();
+  let limits = { concurrency, maxDepth };
+
+  /**
+   * Starts queued jobs while there are free slots
+   */
+  function pump() {
+    while (running.size < limits.concurrency && queued.length > 0) {
+      const job = queued.shift();
+      running.set(job.id, job);
+      run(job);
+    }
+  }
+
+  return {
+    /**
+     * Queues a job
+     * @param {Object} job - Job with a unique id
+     * @param {Object} options - Scheduling options
+     * @param {number} options.priority - Lower runs first
+     * @param {boolean} [options.sheddable] - Whether the job may be rejected under load
+     * @returns {Object} { accepted, duplicate, depth }
+     */
+    push(job, { priority, sheddable = false }) {
+      if (running.has(job.id) || queued.some(q => q.id === job.id)) {
+        // A resend of a job we already have (retry or reconnect)
+        return { accepted: true, duplicate: true, depth: queued.length };
+      }
+      if (sheddable && queued.length >= limits.maxDepth) {
+        return { accepted: false, duplicate: false, depth: queued.length };
+      }
+
+      const entry = { ...job, priority };
+      const index = queued.findIndex(q => q.priority > priority);
+      if (index === -1) {
+        queued.push(entry);
+      } else {
+        queued.splice(index, 0, entry);
+      }
+      pump();
+      return { accepted: true, duplicate: false, depth: queued.length };
+    },
+
+    /**
+     * Marks a running job as finished and starts the next ones
+     * @param {string} id - Job id
+     */
+    done(id) {
+      running.delete(id);
+      pump();
+    },
+
+    /**
+     * Removes a job that hasn't started yet; running jobs finish normally
+     * @param {string} id - Job id
+     * @returns {boolean} Whether a queued job was removed
+     */
+    cancel(id) {
+      const index = queued.findIndex(q => q.id === id);
+      if (index === -1) return false;
+      queued.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Changes concurrency and depth limits
+     * @param {Object} next - { concurrency, maxDepth }
+     */
+    configure(next) {
+      limits = { ...limits, ...next };
+      pump();
+    }
+  };
+}
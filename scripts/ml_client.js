@@ -0,0 +1,217 @@
+// Request/response layer over the mlPipe port between the background and the
+// offscreen workers. Every request settles: with the worker's response, its
+// error, a timeout or a cancellation. Requests outlive the port, so anything
+// in flight when the offscreen document goes away is sent again on reconnect.
+
+export const RPC_ERRORS = {
+  TIMEOUT: 'timeout',
+  WORKER: 'worker',
+  BUSY: 'busy',
+  CANCELLED: 'cancelled'
+};
+
+// Per-command defaults; model loading on first use can take minutes
+const DEFAULT_POLICIES = {
+  describe: { timeout: 180000, retries: 1 },
+  summarise: { timeout: 300000, retries: 1 },
+  mask: { timeout: 15000, retries: 0 },
+  crop: { timeout: 15000, retries: 0 },
+  fingerprint: { timeout: 15000, retries: 0 }
+};
+const FALLBACK_POLICY = { timeout: 60000, retries: 0 };
+// Wait before the first retry, doubled for every further one
+const RETRY_DELAY = 1000;
+
+/**
+ * Creates an error carrying an RPC_ERRORS code
+ * @param {string} code - One of RPC_ERRORS
+ * @param {string} message - Error message
+ * @returns {Error} Error with a code property
+ */
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Creates an RPC client for the ML pipe
+ * @param {Object} [options] - Client options
+ * @param {Object} [options.policies] - Per-command { timeout, retries } overrides
+ * @param {number} [options.retryDelay] - Milliseconds before the first retry
+ * @returns {Object} Client with attach, detach and request
+ */
+export function createMLClient({ policies = {}, retryDelay = RETRY_DELAY } = {}) {
+  const pending = new Map();
+  let port = null;
+
+  /**
+   * Posts a pending request on the current port, if any
+   * @param {Object} entry - Pending request
+   */
+  function send(entry) {
+    if (!port) return;
+    try {
+      port.postMessage(entry.message);
+    } catch (error) {
+      // Port closed under us; the request goes out again on reconnect
+      console.warn('⚠ Failed to send ML request, will resend on reconnect:', error.message);
+    }
+  }
+
+  /**
+   * Schedules another attempt after a failed one, if the policy allows it
+   * @param {Object} entry - Pending request
+   * @param {string} reason - Why the last attempt failed, for the log
+   * @returns {boolean} Whether a retry was scheduled
+   */
+  function retry(entry, reason) {
+    if (entry.attempt >= entry.policy.retries) return false;
+    entry.attempt++;
+    const delay = retryDelay * 2 ** (entry.attempt - 1);
+    console.warn(`🔁 ML request ${entry.message.cmd} ${reason}, retrying in ${delay}ms (${entry.attempt}/${entry.policy.retries})`);
+    clearTimeout(entry.timer);
+    entry.backingOff = true;
+    entry.timer = setTimeout(() => {
+      entry.backingOff = false;
+      armTimeout(entry);
+      send(entry);
+    }, delay);
+    return true;
+  }
+
+  /**
+   * Starts the timeout of one attempt, retrying or failing when it fires
+   * @param {Object} entry - Pending request
+   */
+  function armTimeout(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      if (retry(entry, 'timed out')) return;
+      settle(entry.message.id, rpcError(
+        RPC_ERRORS.TIMEOUT,
+        `${entry.message.cmd} timed out after ${entry.policy.timeout / 1000}s`
+      ));
+      notifyCancel(entry.message.id);
+    }, entry.policy.timeout);
+  }
+
+  /**
+   * Settles a pending request
+   * @param {string} id - Request id
+   * @param {Error|null} error - Error to reject with
+   * @param {Object} [response] - Response to resolve with
+   */
+  function settle(id, error, response) {
+    const entry = pending.get(id);
+    if (!entry) return;
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    entry.signal?.removeEventListener('abort', entry.onAbort);
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(response);
+    }
+  }
+
+  /**
+   * Tells the offscreen document to drop a request it may still be running
+   * @param {string} id - Request id
+   */
+  function notifyCancel(id) {
+    if (!port) return;
+    try {
+      port.postMessage({ cmd: 'cancel', id });
+    } catch (e) {
+      // Nothing to cancel on a closed port
+    }
+  }
+
+  /**
+   * Routes responses from the offscreen document to their requests
+   * @param {Object} msg - Port message
+   */
+  function handleMessage(msg) {
+    if (!msg?.id || !pending.has(msg.id)) return;
+    if (msg.error) {
+      // A busy engine is shedding load on purpose; other worker errors may be transient
+      if (!msg.busy && retry(pending.get(msg.id), `failed (${msg.error})`)) return;
+      settle(msg.id, rpcError(msg.busy ? RPC_ERRORS.BUSY : RPC_ERRORS.WORKER, msg.error));
+    } else {
+      settle(msg.id, null, msg);
+    }
+  }
+
+  return {
+    /**
+     * Starts using a (re)connected port and resends requests still in flight
+     * @param {chrome.runtime.Port} nextPort - mlPipe port
+     */
+    attach(nextPort) {
+      port = nextPort;
+      port.onMessage.addListener(handleMessage);
+      if (pending.size > 0) {
+        console.log(`🔁 Resending ${pending.size} ML request(s) after reconnect`);
+      }
+      // Requests waiting to retry go out when their delay is up
+      pending.forEach(entry => {
+        if (!entry.backingOff) send(entry);
+      });
+    },
+
+    /**
+     * Stops using the current port; pending requests wait for the next one
+     */
+    detach() {
+      port?.onMessage.removeListener(handleMessage);
+      port = null;
+    },
+
+    /**
+     * Sends a request and waits for its response
+     * @param {string} cmd - Worker command (describe, summarise, mask, crop, fingerprint)
+     * @param {Object} payload - Request fields
+     * @param {Object} [options] - Request options
+     * @param {number} [options.timeout] - Milliseconds per attempt
+     * @param {number} [options.retries] - Extra attempts after a timeout or worker error
+     * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+     * @returns {Promise<Object>} Worker response
+     */
+    request(cmd, payload, { timeout, retries, signal } = {}) {
+      const base = policies[cmd] || DEFAULT_POLICIES[cmd] || FALLBACK_POLICY;
+      const policy = {
+        timeout: timeout ?? base.timeout,
+        retries: retries ?? base.retries
+      };
+      const id = crypto.randomUUID();
+
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(rpcError(RPC_ERRORS.CANCELLED, `${cmd} cancelled`));
+          return;
+        }
+
+        const entry = {
+          message: { ...payload, cmd, id },
+          policy,
+          attempt: 0,
+          timer: null,
+          backingOff: false,
+          signal,
+          resolve,
+          reject,
+          onAbort: () => {
+            settle(id, rpcError(RPC_ERRORS.CANCELLED, `${cmd} cancelled`));
+            notifyCancel(id);
+          }
+        };
+        signal?.addEventListener('abort', entry.onAbort, { once: true });
+
+        pending.set(id, entry);
+        armTimeout(entry);
+        send(entry);
+      });
+    }
+  };
+}
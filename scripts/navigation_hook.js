@@ -0,0 +1,66 @@
+// Runs in the page's main world (see manifest.json), where it sees the
+// history changes an isolated content script can't: pushState and
+// replaceState, back/forward, hash changes and Navigation API navigations.
+// Each same-document URL change is handed to the content script as a DOM
+// event. Main-world scripts are classic scripts, so nothing is imported.
+
+(() => {
+  // Also defined in content.js, which listens for it
+  const NAVIGATION_EVENT = '8flow:navigation';
+  const INSTALLED = Symbol.for('8flow:navigation-hook');
+
+  if (window[INSTALLED]) return;
+  Object.defineProperty(window, INSTALLED, { value: true });
+
+  let lastUrl = location.href;
+  // performance.now() when the navigation in progress started
+  let startTime = null;
+
+  /**
+   * Reports the current URL if it changed since the last report
+   * @param {string} kind - push, replace, traverse or reload
+   */
+  const report = (kind) => {
+    const to = location.href;
+    if (to === lastUrl) return;
+    const from = lastUrl;
+    lastUrl = to;
+
+    const detail = {
+      from,
+      to,
+      kind,
+      hashOnly: from.split('#')[0] === to.split('#')[0],
+      timestamp: Date.now(),
+      // From the start of the navigation to the URL change, when known
+      duration: startTime === null ? null : Math.round(performance.now() - startTime)
+    };
+    startTime = null;
+    window.dispatchEvent(new CustomEvent(NAVIGATION_EVENT, { detail: JSON.stringify(detail) }));
+  };
+
+  // The Navigation API covers history calls, traversals and fragment links alike
+  if (window.navigation) {
+    window.navigation.addEventListener('navigate', () => {
+      startTime = performance.now();
+    });
+    window.navigation.addEventListener('navigateerror', () => {
+      startTime = null;
+    });
+    window.navigation.addEventListener('currententrychange', (e) => {
+      report(e.navigationType || 'replace');
+    });
+    return;
+  }
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      report(method === 'pushState' ? 'push' : 'replace');
+      return result;
+    };
+  });
+  window.addEventListener('popstate', () => report('traverse'));
+  window.addEventListener('hashchange', () => report('push'));
+})();
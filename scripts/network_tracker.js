@@ -0,0 +1,106 @@
+// Requests a page makes, followed through chrome.webRequest from start to
+// completion, so an action can be told apart from its outcome: a click on
+// "Save" and the 422 the server answered with.
+
+// Resource types worth correlating: fetch/XHR and document loads
+export const TRACKED_REQUEST_TYPES = ['xmlhttprequest', 'main_frame', 'sub_frame'];
+
+// Requests waiting for completion at most; the oldest are dropped first
+const MAX_PENDING_REQUESTS = 500;
+// Path segments that identify a record rather than a resource
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,}|[A-Za-z0-9_-]{24,})$/i;
+
+/**
+ * Reduces a URL to its pattern: no query or fragment, ids replaced with :id
+ * @param {string} url - Request URL
+ * @returns {string} URL pattern, e.g. https://example.com/api/orders/:id
+ */
+export function toUrlPattern(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    const path = pathname.split('/').map(segment => (ID_SEGMENT.test(segment) ? ':id' : segment)).join('/');
+    return `${origin}${path}`;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Describes a request and its outcome
+ * @param {Object} request - { method, urlPattern, status, error, duration }
+ * @returns {string} e.g. POST https://example.com/api/orders → 422 (180 ms)
+ */
+export function describeRequest(request) {
+  const outcome = request.error || request.status;
+  return `${request.method} ${request.urlPattern} → ${outcome}${request.duration != null ? ` (${request.duration} ms)` : ''}`;
+}
+
+/**
+ * Creates a tracker of in-flight requests
+ * @param {Object} options - Tracker options
+ * @param {Function} options.onRequest - Receives each finished request as
+ *   { tabId, frameId, method, url, resourceType, status, ok, error, startTime, duration }
+ * @returns {Object} Tracker with start, complete, fail and forgetTab
+ */
+export function createNetworkTracker({ onRequest }) {
+  // requestId -> webRequest.onBeforeRequest details
+  const pending = new Map();
+
+  const finish = (details, outcome) => {
+    const started = pending.get(details.requestId);
+    if (!started) return;
+    pending.delete(details.requestId);
+
+    onRequest({
+      tabId: started.tabId,
+      frameId: started.frameId,
+      method: started.method,
+      url: started.url,
+      resourceType: started.type,
+      status: outcome.status ?? null,
+      ok: !outcome.error && outcome.status < 400,
+      error: outcome.error || null,
+      startTime: Math.round(started.timeStamp),
+      duration: Math.round(details.timeStamp - started.timeStamp)
+    });
+  };
+
+  return {
+    /**
+     * Records a request as it starts
+     * @param {Object} details - webRequest.onBeforeRequest details
+     */
+    start(details) {
+      // The extension's own requests aren't in a tab
+      if (details.tabId < 0) return;
+      pending.set(details.requestId, details);
+      if (pending.size > MAX_PENDING_REQUESTS) pending.delete(pending.keys().next().value);
+    },
+
+    /**
+     * Records a request's response
+     * @param {Object} details - webRequest.onCompleted details
+     */
+    complete(details) {
+      finish(details, { status: details.statusCode });
+    },
+
+    /**
+     * Records a request that never got a response
+     * @param {Object} details - webRequest.onErrorOccurred details
+     */
+    fail(details) {
+      finish(details, { error: details.error });
+    },
+
+    /**
+     * Drops the pending requests of a tab
+     * @param {number} tabId - Tab id
+     */
+    forgetTab(tabId) {
+      pending.forEach((details, requestId) => {
+        if (details.tabId === tabId) pending.delete(requestId);
+      });
+    }
+  };
+}
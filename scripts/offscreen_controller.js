@@ -1,35 +1,80 @@
+import { cropRegion, fingerprintImage, maskRegions } from './image_ops.js';
+import { createJobQueue } from './job_queue.js';
+import { BACKEND_PROVIDERS, DEFAULT_SETTINGS } from './settings.js';
+
 console.log('offscreen controller boot');
 
-const vlmWorker = new Worker(chrome.runtime.getURL('scripts/vlm_worker.js'), {
-  type: 'module',
-});
-const sumWorker = new Worker(chrome.runtime.getURL('scripts/summarizer_worker.js'), {
+// One worker hosts the engine for both describe and summarise jobs
+const engineWorker = new Worker(chrome.runtime.getURL('scripts/engine_worker.js'), {
   type: 'module',
 });
 
+// Summaries first, so they don't starve behind a backlog of screenshots;
+// descriptions are shed when the queue is deep
+const JOB_POLICIES = {
+  summarise: { priority: 0, sheddable: false },
+  describe: { priority: 1, sheddable: true }
+};
+
+// Canvas work happens right in this document, no worker or queue needed
+const IMAGE_COMMANDS = {
+  mask: async (msg) => ({
+    imgBase64: await maskRegions(msg.imgBase64, msg.rects, { style: msg.style, devicePixelRatio: msg.devicePixelRatio })
+  }),
+  crop: async (msg) => ({
+    imgBase64: await cropRegion(msg.imgBase64, msg.rect, { devicePixelRatio: msg.devicePixelRatio })
+  }),
+  fingerprint: (msg) => fingerprintImage(msg.imgBase64)
+};
+
 const pending = new Map();
 
-function routeResponse(workerName, { data }) {
+const jobs = createJobQueue({
+  run: (job) => engineWorker.postMessage(job.msg),
+  concurrency: DEFAULT_SETTINGS.backend.concurrency,
+  maxDepth: DEFAULT_SETTINGS.backend.maxQueueDepth
+});
+
+/**
+ * Applies the backend's queue limits; web-llm generates one reply at a time,
+ * so extra concurrency only helps HTTP backends
+ * @param {Object} backend - Backend settings
+ */
+function configureJobs(backend) {
+  jobs.configure({
+    concurrency: backend.provider === BACKEND_PROVIDERS.WEBLLM ? 1 : Math.max(1, backend.concurrency),
+    maxDepth: backend.maxQueueDepth
+  });
+}
+
+function routeResponse({ data }) {
+  jobs.done(data.id);
+
   const entry = pending.get(data.id);
   if (!entry) {
-    console.warn(`⚠ No pending entry for id ${data.id}`);
+    // Cancelled or timed out in the background
+    console.log(`⏭️ Dropping response for unknown or cancelled id ${data.id}`);
     return;
   }
 
-  if (workerName === 'vlm' && data.description) {
+  if (data.description) {
     console.log('📸 [VLM DESCRIPTION]', data.description);
-  } else if (workerName === 'sum' && data.summary) {
+  } else if (data.summary) {
     console.log('📝 [SUMMARY]', data.summary);
   } else {
-    console.log(`[${workerName.toUpperCase()} RESPONSE]`, data);
+    console.log(`[${entry.cmd.toUpperCase()} RESPONSE]`, data);
   }
 
-  entry.port.postMessage(data);
   pending.delete(data.id);
+  try {
+    entry.port.postMessage(data);
+  } catch (error) {
+    // The pipe closed; the background resends the request on reconnect
+    console.warn('⚠ Failed to post response, pipe closed:', error.message);
+  }
 }
 
-vlmWorker.onmessage = (msg) => routeResponse('vlm', msg);
-sumWorker.onmessage = (msg) => routeResponse('sum', msg);
+engineWorker.onmessage = routeResponse;
 
 chrome.runtime.onConnect.addListener((port) => {
   if (port.name !== 'mlPipe') return;
@@ -37,16 +82,34 @@ chrome.runtime.onConnect.addListener((port) => {
   console.log('mlPipe connected');
 
   port.onMessage.addListener((msg) => {
-    if (msg.cmd === 'describe') {
-      pending.set(msg.id, { port });
-      vlmWorker.postMessage(msg);
-    } else if (msg.cmd === 'summarise') {
-      pending.set(msg.id, { port });
-      sumWorker.postMessage(msg);
+    if (msg.cmd === 'cancel') {
+      // A running inference can't be aborted; its answer is dropped instead
+      jobs.cancel(msg.id);
+      pending.delete(msg.id);
+    } else if (msg.cmd === 'configure') {
+      // The worker can't read settings itself
+      configureJobs(msg.backend);
+      engineWorker.postMessage(msg);
+    } else if (JOB_POLICIES[msg.cmd]) {
+      const { accepted, depth } = jobs.push({ id: msg.id, msg }, JOB_POLICIES[msg.cmd]);
+      if (!accepted) {
+        console.warn(`⏭️ Engine busy, rejecting ${msg.cmd} (${depth} jobs queued)`);
+        port.postMessage({ id: msg.id, error: `Engine busy: ${depth} jobs queued`, busy: true });
+        return;
+      }
+      // Always answer on the latest port, also for resent jobs
+      pending.set(msg.id, { port, cmd: msg.cmd });
+    } else if (IMAGE_COMMANDS[msg.cmd]) {
+      IMAGE_COMMANDS[msg.cmd](msg)
+        .then(result => port.postMessage({ ...result, id: msg.id }))
+        .catch(error => {
+          console.error(`Failed to ${msg.cmd} screenshot:`, error);
+          port.postMessage({ id: msg.id, error: error.message });
+        });
     }
   });
 
   port.onDisconnect.addListener(() => {
     console.log('mlPipe disconnected');
   });
-});
\ No newline at end of file
+});
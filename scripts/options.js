@@ -0,0 +1,231 @@
+import { loadSettings, saveSettings, watchSettings } from './settings.js';
+import { validatePatterns } from './workflow_patterns.js';
+
+// Options page: inference backend, capture modes, site allow/deny rules,
+// workflow patterns and redaction settings
+
+const STATUS_DURATION = 1500;
+// Hosts the extension's CSP lets it reach over plain http (any https host is allowed)
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+const $ = (id) => document.getElementById(id);
+const $status = $('status');
+let statusTimer = null;
+
+/**
+ * Briefly shows a status message
+ * @param {string} text - Message to show
+ */
+function showStatus(text) {
+  $status.textContent = text;
+  $status.classList.add('visible');
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => $status.classList.remove('visible'), STATUS_DURATION);
+}
+
+/**
+ * Saves a settings patch and reports the outcome
+ * @param {Object} patch - Settings to change
+ */
+async function save(patch) {
+  try {
+    await saveSettings(patch);
+    showStatus('Saved');
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+    showStatus(`Failed to save: ${error.message}`);
+  }
+}
+
+/**
+ * Checks that the extension can reach an inference endpoint
+ * @param {string} baseUrl - Endpoint base URL
+ * @returns {string|null} Why the endpoint can't be used, null when it can
+ */
+function checkEndpoint(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch (error) {
+    return 'not a valid URL';
+  }
+  if (url.protocol === 'https:') return null;
+  if (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)) return null;
+  return 'remote servers must use https://';
+}
+
+/**
+ * Renders one checkbox per event kind
+ * @param {Object} eventKinds - Event kind toggles
+ */
+function renderEventKinds(eventKinds) {
+  $('eventKinds').replaceChildren(...Object.entries(eventKinds).map(([kind, enabled]) => {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = enabled;
+    input.addEventListener('change', () => save({ capture: { eventKinds: { [kind]: input.checked } } }));
+
+    const label = document.createElement('label');
+    label.append(input, kind);
+    return label;
+  }));
+}
+
+/**
+ * Reads the site rules from the table
+ * @returns {Array} Site rules
+ */
+function readSiteRules() {
+  return Array.from($('siteRules').querySelectorAll('tr'))
+    .map(row => ({
+      match: row.querySelector('[name="match"]').value.trim(),
+      list: row.querySelector('[name="list"]').value,
+      mode: row.querySelector('[name="mode"]').value || undefined
+    }))
+    .filter(rule => rule.match);
+}
+
+/**
+ * Adds a site rule row to the table
+ * @param {Object} [rule] - Rule to show
+ * @returns {HTMLElement} The new row
+ */
+function addRuleRow(rule = { match: '', list: 'allow', mode: '' }) {
+  const row = $('ruleRow').content.firstElementChild.cloneNode(true);
+  row.querySelector('[name="match"]').value = rule.match || '';
+  row.querySelector('[name="list"]').value = rule.list || 'allow';
+  row.querySelector('[name="mode"]').value = rule.mode || '';
+
+  const saveRules = () => save({ capture: { siteRules: readSiteRules() } });
+  row.querySelector('[name="match"]').addEventListener('change', saveRules);
+  row.querySelector('[name="list"]').addEventListener('change', saveRules);
+  row.querySelector('[name="mode"]').addEventListener('change', saveRules);
+  row.querySelector('[name="remove"]').addEventListener('click', () => {
+    row.remove();
+    saveRules();
+  });
+
+  $('siteRules').append(row);
+  return row;
+}
+
+/**
+ * Shows only the options of the selected backend provider
+ * @param {string} provider - Selected provider
+ */
+function showProviderOptions(provider) {
+  $('webllmOptions').hidden = provider !== 'webllm';
+  // web-llm runs one job at a time, the rule-based provider needs no queue
+  $('concurrency').disabled = provider !== 'openai';
+  $('openaiOptions').hidden = provider !== 'openai';
+}
+
+/**
+ * Fills the form from settings
+ * @param {Object} settings - Current settings
+ */
+function render(settings) {
+  const { backend } = settings;
+  $('provider').value = backend.provider;
+  $('webllmModel').value = backend.webllm.model;
+  $('openaiBaseUrl').value = backend.openai.baseUrl;
+  $('openaiApiKey').value = backend.openai.apiKey;
+  $('openaiModel').value = backend.openai.model;
+  $('openaiVisionModel').value = backend.openai.visionModel;
+  $('concurrency').value = backend.concurrency;
+  $('maxQueueDepth').value = backend.maxQueueDepth;
+  showProviderOptions(backend.provider);
+  $('summarizerMode').value = settings.summarizer.mode;
+  $('fallbackToRules').checked = settings.summarizer.fallbackToRules;
+
+  $('defaultMode').value = settings.capture.defaultMode;
+  $('allowlistOnly').checked = settings.capture.allowlistOnly;
+  renderEventKinds(settings.capture.eventKinds);
+  $('dedupEnabled').checked = settings.capture.dedup.enabled;
+  $('dedupHashDistance').value = settings.capture.dedup.hashDistance;
+  $('dedupDiffPercent').value = +(settings.capture.dedup.diffRatio * 100).toFixed(2);
+  $('dedupRecent').value = settings.capture.dedup.recent;
+
+  $('siteRules').replaceChildren();
+  settings.capture.siteRules.forEach(rule => addRuleRow(rule));
+
+  $('builtInPatterns').checked = settings.workflows.builtIn;
+  $('patterns').value = settings.workflows.patterns.length
+    ? JSON.stringify(settings.workflows.patterns, null, 2)
+    : '';
+  $('patternsError').textContent = '';
+
+  $('redaction').value = JSON.stringify(settings.redaction, null, 2);
+  $('redactionError').textContent = '';
+}
+
+$('provider').addEventListener('change', (e) => {
+  showProviderOptions(e.target.value);
+  save({ backend: { provider: e.target.value } });
+});
+$('concurrency').addEventListener('change', (e) => save({ backend: { concurrency: Math.max(1, Number(e.target.value) || 1) } }));
+$('maxQueueDepth').addEventListener('change', (e) => save({ backend: { maxQueueDepth: Math.max(1, Number(e.target.value) || 1) } }));
+$('webllmModel').addEventListener('change', (e) => save({ backend: { webllm: { model: e.target.value.trim() } } }));
+$('openaiBaseUrl').addEventListener('change', (e) => {
+  const baseUrl = e.target.value.trim();
+  const problem = checkEndpoint(baseUrl);
+  if (problem) {
+    showStatus(`Not saved: ${problem}`);
+    return;
+  }
+  save({ backend: { openai: { baseUrl } } });
+});
+$('openaiApiKey').addEventListener('change', (e) => save({ backend: { openai: { apiKey: e.target.value.trim() } } }));
+$('openaiModel').addEventListener('change', (e) => save({ backend: { openai: { model: e.target.value.trim() } } }));
+$('openaiVisionModel').addEventListener('change', (e) => save({ backend: { openai: { visionModel: e.target.value.trim() } } }));
+
+$('summarizerMode').addEventListener('change', (e) => save({ summarizer: { mode: e.target.value } }));
+$('fallbackToRules').addEventListener('change', (e) => save({ summarizer: { fallbackToRules: e.target.checked } }));
+
+$('defaultMode').addEventListener('change', (e) => save({ capture: { defaultMode: e.target.value } }));
+$('allowlistOnly').addEventListener('change', (e) => save({ capture: { allowlistOnly: e.target.checked } }));
+$('dedupEnabled').addEventListener('change', (e) => save({ capture: { dedup: { enabled: e.target.checked } } }));
+$('dedupHashDistance').addEventListener('change', (e) => save({ capture: { dedup: { hashDistance: Math.min(64, Math.max(0, Number(e.target.value) || 0)) } } }));
+$('dedupDiffPercent').addEventListener('change', (e) => save({ capture: { dedup: { diffRatio: Math.min(100, Math.max(0, Number(e.target.value) || 0)) / 100 } } }));
+$('dedupRecent').addEventListener('change', (e) => save({ capture: { dedup: { recent: Math.max(1, Number(e.target.value) || 1) } } }));
+$('addRule').addEventListener('click', () => addRuleRow().querySelector('[name="match"]').focus());
+
+$('builtInPatterns').addEventListener('change', (e) => save({ workflows: { builtIn: e.target.checked } }));
+
+$('savePatterns').addEventListener('click', () => {
+  let patterns;
+  try {
+    patterns = $('patterns').value.trim() ? JSON.parse($('patterns').value) : [];
+  } catch (error) {
+    $('patternsError').textContent = `Invalid JSON: ${error.message}`;
+    return;
+  }
+  const errors = validatePatterns(patterns);
+  if (errors.length) {
+    $('patternsError').textContent = errors.join('\n');
+    return;
+  }
+  $('patternsError').textContent = '';
+  save({ workflows: { patterns } });
+});
+
+$('saveRedaction').addEventListener('click', () => {
+  let redaction;
+  try {
+    redaction = JSON.parse($('redaction').value);
+  } catch (error) {
+    $('redactionError').textContent = `Invalid JSON: ${error.message}`;
+    return;
+  }
+  $('redactionError').textContent = '';
+  save({ redaction });
+});
+
+loadSettings().then(render);
+
+// Keep the page in sync with changes made elsewhere (another options tab),
+// without clobbering fields being edited here
+watchSettings(settings => {
+  const editing = document.activeElement?.matches('input[type="text"], input[type="password"], input[type="number"], textarea');
+  if (!editing) render(settings);
+});
@@ -0,0 +1,288 @@
+// PII redaction for captured values. Runs in the content script so nothing
+// sensitive leaves the page: not the background, the LLM prompt or storage.
+
+import { mergeSettings, matchesUrlPattern } from './settings.js';
+import { SHADOW_SEPARATOR } from './shadow_dom.js';
+
+const TOKEN = (type) => `[REDACTED:${type}]`;
+const TOKEN_PATTERN = /\[REDACTED:[^\]]*\]/;
+const PATH_ATTRIBUTE = /([\w-]+)="([^"]*)"/g;
+
+/**
+ * Checks whether a captured value had something redacted from it
+ * @param {*} value - Captured value
+ * @returns {boolean} Whether the value contains a redaction token
+ */
+export function containsRedaction(value) {
+  return typeof value === 'string' && TOKEN_PATTERN.test(value);
+}
+
+/**
+ * Validates a card number with the Luhn checksum
+ * @param {string} match - Candidate card number
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(match) {
+  const digits = match.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in detectors, applied in this order (card numbers before phone numbers)
+const DETECTORS = [
+  {
+    type: 'creditCard',
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    validate: passesLuhn
+  },
+  {
+    type: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g
+  },
+  {
+    type: 'nationalId',
+    // US SSN, UK National Insurance number
+    pattern: /\b(?:\d{3}-\d{2}-\d{4}|[A-CEGHJ-PR-TW-Z]{2} ?\d{2} ?\d{2} ?\d{2} ?[A-D])\b/gi
+  },
+  {
+    type: 'email',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  {
+    type: 'phone',
+    pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}\b/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '').length;
+      if (digits < 7 || digits > 15) return false;
+      // Dates and bare numbers (order ids, amounts) aren't phone numbers
+      if (/^\d{4}[-./]\d{2}[-./]\d{2}$|^\d{2}[-./]\d{2}[-./]\d{4}$/.test(match)) return false;
+      return /\D/.test(match.replace(/^\+/, '')) || match.startsWith('+') || digits >= 10;
+    }
+  }
+];
+
+// Autocomplete tokens that always mark a field as sensitive
+const SENSITIVE_AUTOCOMPLETE = /^(cc-|new-password|current-password|one-time-code|bday)/;
+
+/**
+ * Resolves the redaction settings that apply to a URL
+ * @param {Object} redaction - Redaction settings
+ * @param {string} url - Page URL
+ * @returns {Object} Effective redaction settings
+ */
+export function resolveRedactionConfig(redaction, url) {
+  const { siteOverrides = [], ...base } = redaction;
+  return siteOverrides
+    .filter(override => matchesUrlPattern(override.match, url))
+    .reduce((config, { match, ...override }) => mergeSettings(config, override), base);
+}
+
+/**
+ * Compiles user-defined patterns, skipping invalid ones
+ * @param {Array} customPatterns - [{ name, pattern, flags }]
+ * @returns {Array} Detector-shaped entries
+ */
+function compileCustomPatterns(customPatterns = []) {
+  return customPatterns.flatMap(({ name, pattern, flags = 'gi' }) => {
+    try {
+      const normalizedFlags = flags.includes('g') ? flags : `${flags}g`;
+      return [{ type: name || 'custom', pattern: new RegExp(pattern, normalizedFlags) }];
+    } catch (e) {
+      console.warn('Ignoring invalid redaction pattern:', pattern, e.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Compiles field rules, skipping invalid ones
+ * @param {Array} fieldRules - [{ label, action }]
+ * @returns {Array} Rules with compiled regexes
+ */
+function compileFieldRules(fieldRules = []) {
+  return fieldRules.flatMap(({ label, action = 'redact' }) => {
+    try {
+      return [{ regex: new RegExp(label, 'i'), action }];
+    } catch (e) {
+      console.warn('Ignoring invalid redaction field rule:', label, e.message);
+      return [];
+    }
+  });
+}
+
+/**
+ * Creates a redactor for the given effective settings
+ * @param {Object} config - Effective redaction settings (see resolveRedactionConfig)
+ * @returns {Object} Redactor
+ */
+export function createRedactor(config) {
+  const detectors = [
+    ...DETECTORS.filter(d => config.detectors?.[d.type]),
+    ...compileCustomPatterns(config.customPatterns)
+  ];
+  const fieldRules = compileFieldRules(config.fieldRules);
+
+  /**
+   * Replaces detected PII inside free text
+   * @param {string} text - Text to scan
+   * @returns {string} Redacted text
+   */
+  function redactText(text) {
+    if (!config.enabled || typeof text !== 'string' || !text) return text;
+    return detectors.reduce((result, { type, pattern, validate }) => {
+      pattern.lastIndex = 0;
+      return result.replace(pattern, (match) => (!validate || validate(match) ? TOKEN(type) : match));
+    }, text);
+  }
+
+  /**
+   * Decides how a field's values are treated
+   * @param {Object} field - Field description ({ fieldLabel, name, id, type, fieldType, autocomplete })
+   * @returns {string} 'mask' (hide entirely), 'allow' (keep verbatim) or 'scan' (run detectors)
+   */
+  function classifyField(field) {
+    if (!config.enabled || !field) return 'allow';
+    if (field.fieldType === 'password' || field.type === 'password') return 'mask';
+    if (field.autocomplete && SENSITIVE_AUTOCOMPLETE.test(field.autocomplete)) return 'mask';
+
+    const names = [field.fieldLabel, field.name, field.id].filter(Boolean).join(' ');
+    const rule = fieldRules.find(r => r.regex.test(names));
+    if (rule) return rule.action === 'allow' ? 'allow' : 'mask';
+
+    if (config.maskFreeText && ['text', 'textarea', 'contenteditable'].includes(field.fieldType)) return 'mask';
+    return 'scan';
+  }
+
+  /**
+   * Redacts a single field value
+   * @param {*} value - Captured value
+   * @param {string} treatment - Result of classifyField
+   * @returns {*} Redacted value (non-strings are kept)
+   */
+  function redactValue(value, treatment) {
+    if (typeof value !== 'string' || !value) return value;
+    if (treatment === 'allow') return value;
+    if (treatment === 'mask') return TOKEN('field');
+    return redactText(value);
+  }
+
+  /**
+   * Redacts attribute values inside a DOM path. A masked target (the last
+   * segment) loses every attribute value, not just the ones detectors match.
+   * @param {string} path - Path built by domPath
+   * @param {string} treatment - Treatment of the target field
+   * @returns {string} Redacted path
+   */
+  function redactPath(path, treatment) {
+    if (!config.enabled || !path) return path;
+    let targetStart = path.length;
+    if (treatment === 'mask') {
+      // Separators inside attribute values don't start a segment
+      const skeleton = path.replace(/"[^"]*"/g, (quoted) => `"${'x'.repeat(quoted.length - 2)}"`);
+      const child = skeleton.lastIndexOf(' > ');
+      const shadow = skeleton.lastIndexOf(SHADOW_SEPARATOR);
+      targetStart = Math.max(child < 0 ? 0 : child + ' > '.length, shadow < 0 ? 0 : shadow + SHADOW_SEPARATOR.length);
+    }
+    return path.replace(PATH_ATTRIBUTE, (match, name, value, offset) => (
+      offset >= targetStart ? `${name}="${TOKEN('field')}"` : `${name}="${redactText(value)}"`
+    ));
+  }
+
+  /**
+   * Redacts every captured value of an event context in place
+   * @param {Object} context - Event context built by the content script
+   * @param {Object} [field] - Field description when the target is a form field
+   * @returns {Object} The same context, redacted
+   */
+  function redactContext(context, field = context.fieldDetails) {
+    if (!config.enabled) return context;
+
+    const treatment = field ? classifyField(field) : 'scan';
+    // Raw values that were replaced, so descriptions built from them can be fixed up
+    const replacements = new Map();
+    const redact = (value) => {
+      const result = redactValue(value, treatment);
+      if (typeof value === 'string' && value && result !== value) replacements.set(value, result);
+      return result;
+    };
+
+    const fd = context.fieldDetails;
+    if (fd) {
+      fd.value = redact(fd.value);
+      fd.rawValue = redact(fd.rawValue);
+      if (fd.selectedValue !== undefined) fd.selectedValue = redact(fd.selectedValue);
+      if (fd.allOptions) {
+        fd.allOptions = fd.allOptions.map(opt => ({ ...opt, text: redact(opt.text), value: redact(opt.value) }));
+      }
+    }
+
+    const fc = context.fieldChange;
+    if (fc) {
+      fc.from = redact(fc.from);
+      fc.to = redact(fc.to);
+      if (fc.options) fc.options = fc.options.map(redact);
+    }
+
+    context.identifier = redactText(context.identifier);
+    context.accessibleName = redactText(context.accessibleName);
+    context.accessibleDescription = redactText(context.accessibleDescription);
+    context.path = redactPath(context.path, treatment);
+    context.href = redactText(context.href);
+    context.pageTitle = redactText(context.pageTitle);
+    context.url = redactText(context.url);
+    if (context.locators) {
+      context.locators = context.locators.map(locator => {
+        const redacted = Object.fromEntries(['value', 'name', 'label', 'text', 'css', 'xpath']
+          .filter(key => typeof locator[key] === 'string')
+          .map(key => [key, redactText(locator[key])]));
+        // A redacted locator no longer finds the element
+        const changed = Object.keys(redacted).some(key => redacted[key] !== locator[key]);
+        return { ...locator, ...redacted, ...(changed && { unique: false }) };
+      });
+    }
+    if (context.formFields) {
+      // Each submitted field is treated by its own label and type
+      context.formFields = context.formFields.map(formField => {
+        const fieldTreatment = classifyField(formField);
+        const redacted = { ...formField, value: redactValue(formField.value, fieldTreatment) };
+        if ('initialValue' in formField) redacted.initialValue = redactValue(formField.initialValue, fieldTreatment);
+        return redacted;
+      });
+    }
+    if (context.submitter) context.submitter.label = redactText(context.submitter.label);
+    if (context.navigation) {
+      context.navigation.from = redactText(context.navigation.from);
+      context.navigation.to = redactText(context.navigation.to);
+    }
+    if (context.drag) {
+      const { drag } = context;
+      drag.item = redactText(drag.item);
+      drag.dropTarget = redactText(drag.dropTarget);
+      if (drag.from) drag.from.container = redactText(drag.from.container);
+      if (drag.to) drag.to.container = redactText(drag.to.container);
+    }
+
+    // Descriptions quote the raw values, e.g. Changed Email to "jane@example.com"
+    const fixUp = (text) => {
+      if (typeof text !== 'string') return text;
+      const replaced = [...replacements.entries()]
+        .reduce((result, [raw, redacted]) => result.split(`"${raw}"`).join(`"${redacted}"`), text);
+      return redactText(replaced);
+    };
+    context.description = fixUp(context.description);
+    context.label = fixUp(context.label);
+
+    return context;
+  }
+
+  return { redactText, redactValue, redactPath, redactContext, classifyField };
+}
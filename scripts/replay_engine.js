@@ -0,0 +1,245 @@
+// Replays recorded workflows in a browser tab, continuously or one step at a time
+
+import { buildActions, stepsFromWorkflow } from './script_exporter.js';
+
+export const REPLAY_MODES = {
+  CONTINUOUS: 'continuous',
+  STEP: 'step'
+};
+
+const NAVIGATION_TIMEOUT = 15000;
+const CONTENT_READY_RETRIES = 10;
+const CONTENT_READY_DELAY = 300;
+const STEP_DELAY = 500; // Let the page react before the next continuous step
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Compares URLs ignoring trailing slashes and fragments
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @returns {boolean} Whether the URLs point to the same page
+ */
+function urlsMatch(a, b) {
+  const normalize = (url) => (url || '').split('#')[0].replace(/\/$/, '');
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Waits until a tab has finished loading a page matching a predicate.
+ * Uses the same tabs.onUpdated signal the logger records navigations from.
+ * @param {number} tabId - Tab to watch
+ * @param {Function} [predicate] - Receives the tab, returns whether it's the expected page
+ * @param {Object} [options] - Wait options
+ * @param {boolean} [options.checkCurrent] - Resolve right away if the tab already matches
+ * @param {number} [options.timeout] - Time limit in milliseconds
+ * @returns {Promise<chrome.tabs.Tab>} The loaded tab
+ */
+function waitForTabLoad(tabId, predicate = () => true, { checkCurrent = true, timeout = NAVIGATION_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(async () => {
+      cleanup();
+      const tab = await chrome.tabs.get(tabId).catch(() => null);
+      reject(new Error(`Timed out after ${timeout / 1000}s waiting for navigation (tab is on ${tab?.url || 'unknown page'})`));
+    }, timeout);
+
+    function listener(updatedId, info, tab) {
+      if (updatedId !== tabId || info.status !== 'complete') return;
+      if (!predicate(tab)) return;
+      cleanup();
+      resolve(tab);
+    }
+
+    function cleanup() {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+    if (!checkCurrent) return;
+
+    // The page may already be there
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete' && predicate(tab)) {
+        cleanup();
+        resolve(tab);
+      }
+    }).catch(error => {
+      cleanup();
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Sends an action to the tab's top frame, retrying while the content script loads
+ * @param {number} tabId - Tab to send to
+ * @param {Object} action - Replay action
+ * @returns {Promise<Object>} Result from the content script
+ */
+async function sendActionToTab(tabId, action) {
+  let lastError = null;
+  for (let attempt = 0; attempt < CONTENT_READY_RETRIES; attempt++) {
+    try {
+      const result = await chrome.tabs.sendMessage(tabId, { kind: 'replay_step', action }, { frameId: 0 });
+      if (result) return result;
+      lastError = new Error('No response from page');
+    } catch (error) {
+      lastError = error;
+    }
+    await sleep(CONTENT_READY_DELAY);
+  }
+  throw new Error(`Page did not respond: ${lastError?.message || 'unknown error'}`);
+}
+
+/**
+ * Describes an action for progress reports
+ * @param {Object} action - Replay action
+ * @returns {string} Human readable description
+ */
+function describeAction(action) {
+  switch (action.kind) {
+    case 'goto': return `Open ${action.url}`;
+    case 'waitForUrl': return `Wait for ${action.url}`;
+    default: return action.comment || `${action.kind} ${action.locator?.label || action.locator?.name || action.locator?.css || ''}`.trim();
+  }
+}
+
+/**
+ * Creates a replay of a recorded workflow
+ * @param {Object} options - Replay options
+ * @param {Object} options.workflow - Recorded workflow
+ * @param {string} [options.mode] - One of REPLAY_MODES
+ * @param {number} [options.tabId] - Tab to replay in (a new tab is opened otherwise)
+ * @param {Function} [options.onUpdate] - Called with the replay state after every change
+ * @returns {Object} Replay controller ({ state, start, next, stop })
+ */
+export function createReplay({ workflow, mode = REPLAY_MODES.CONTINUOUS, tabId = null, onUpdate = () => {} }) {
+  const actions = buildActions(stepsFromWorkflow(workflow));
+  const state = {
+    id: crypto.randomUUID(),
+    title: `${workflow.patternName || workflow.workflowType} workflow: ${workflow.target || 'unknown target'}`,
+    mode,
+    tabId,
+    status: 'ready', // ready | running | paused | completed | failed | stopped
+    current: 0,
+    steps: actions.map(action => ({ description: describeAction(action), status: 'pending' })),
+    failedStep: null,
+    error: null,
+    updatedAt: Date.now()
+  };
+  let busy = false;
+
+  const update = (changes = {}) => {
+    Object.assign(state, changes, { updatedAt: Date.now() });
+    onUpdate({ ...state, steps: state.steps.map(s => ({ ...s })) });
+  };
+
+  const isFinished = () => ['completed', 'failed', 'stopped'].includes(state.status);
+
+  /**
+   * Executes one action against the replay tab
+   * @param {Object} action - Replay action
+   * @returns {Promise<Object>} Step result
+   */
+  async function runAction(action) {
+    if (action.kind === 'goto') {
+      if (state.tabId == null) {
+        const tab = await chrome.tabs.create({ url: action.url, active: true });
+        update({ tabId: tab.id });
+      } else {
+        await chrome.tabs.update(state.tabId, { url: action.url, active: true });
+      }
+      // Redirects (e.g. to a login page) are reported by the steps that follow
+      await waitForTabLoad(state.tabId, () => true, { checkCurrent: false });
+      return { ok: true };
+    }
+
+    if (state.tabId == null) {
+      throw new Error('No tab to replay in: the workflow has no starting URL');
+    }
+
+    if (action.kind === 'waitForUrl') {
+      await waitForTabLoad(state.tabId, tab => urlsMatch(tab.url, action.url));
+      return { ok: true };
+    }
+
+    return sendActionToTab(state.tabId, action);
+  }
+
+  /**
+   * Runs the next pending step
+   * @returns {Promise<boolean>} Whether the step succeeded
+   */
+  async function next() {
+    if (busy || isFinished()) return false;
+    if (state.current >= actions.length) {
+      update({ status: 'completed' });
+      return false;
+    }
+
+    busy = true;
+    const index = state.current;
+    state.steps[index].status = 'running';
+    update({ status: 'running' });
+
+    try {
+      const result = await runAction(actions[index]);
+      if (!result.ok) throw new Error(result.error || 'Step failed');
+
+      state.steps[index] = {
+        ...state.steps[index],
+        status: result.skipped ? 'skipped' : 'done',
+        note: result.note || (result.strategy ? `located by ${result.strategy}` : undefined)
+      };
+      const done = index + 1 >= actions.length;
+      let status = state.mode === REPLAY_MODES.STEP ? 'paused' : 'running';
+      if (state.status === 'stopped') status = 'stopped';
+      else if (done) status = 'completed';
+      update({ current: index + 1, status });
+      return status !== 'stopped';
+    } catch (error) {
+      console.error(`❌ Replay step ${index + 1} failed:`, error);
+      state.steps[index] = { ...state.steps[index], status: 'failed', error: error.message };
+      update({
+        status: 'failed',
+        failedStep: index,
+        error: `Step ${index + 1} (${state.steps[index].description}) failed: ${error.message}`
+      });
+      return false;
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Starts the replay: runs everything in continuous mode, waits for next() in step mode
+   */
+  async function start() {
+    if (actions.length === 0) {
+      update({ status: 'failed', error: 'Workflow has no replayable steps' });
+      return;
+    }
+
+    if (state.mode === REPLAY_MODES.STEP) {
+      update({ status: 'paused' });
+      return;
+    }
+
+    update({ status: 'running' });
+    while (!isFinished()) {
+      const ok = await next();
+      if (!ok) break;
+      if (!isFinished()) await sleep(STEP_DELAY);
+    }
+  }
+
+  /**
+   * Stops the replay after the running step
+   */
+  function stop() {
+    if (!isFinished()) update({ status: 'stopped' });
+  }
+
+  return { state, start, next, stop };
+}
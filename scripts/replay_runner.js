@@ -0,0 +1,230 @@
+// Executes single replay actions inside the page (content script side)
+
+import { queryDeepAll } from './shadow_dom.js';
+import { collectRoots, findByLocator } from './selector_engine.js';
+
+// Roles whose accessible name is their visible text
+const ROLE_SELECTORS = {
+  button: 'button, input[type="button"], input[type="submit"], input[type="reset"], [role="button"]',
+  link: 'a[href], [role="link"]'
+};
+
+let replaying = false;
+
+/**
+ * Whether a replay action is being executed right now
+ * @returns {boolean} True while replayed events are being dispatched
+ */
+export function isReplaying() {
+  return replaying;
+}
+
+/**
+ * Normalizes text for comparisons
+ * @param {string} text - Text to normalize
+ * @returns {string} Collapsed, trimmed text
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Checks whether an element is rendered
+ * @param {Element} el - Element to check
+ * @returns {boolean} Whether the element is visible
+ */
+function isVisible(el) {
+  if (!el.isConnected) return false;
+  if (el.type === 'hidden') return false;
+  const rect = el.getBoundingClientRect();
+  return rect.width > 0 || rect.height > 0 || el.getClientRects().length > 0;
+}
+
+/**
+ * Runs a selector, ignoring selectors the browser can't parse
+ * @param {string} selector - CSS selector, possibly piercing shadow roots
+ * @returns {Array<Element>} Matching elements
+ */
+function safeQueryAll(selector) {
+  if (!selector) return [];
+  try {
+    return queryDeepAll(selector);
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Finds form controls by their label text
+ * @param {string} label - Label text
+ * @returns {Array<Element>} Matching controls
+ */
+function findByLabel(label) {
+  const wanted = normalizeText(label);
+  const matches = [];
+
+  document.querySelectorAll('label').forEach(labelEl => {
+    if (normalizeText(labelEl.textContent) === wanted && labelEl.control) {
+      matches.push(labelEl.control);
+    }
+  });
+
+  document.querySelectorAll('input, select, textarea, [contenteditable="true"]').forEach(field => {
+    if (normalizeText(field.getAttribute('aria-label')) === wanted ||
+        normalizeText(field.getAttribute('placeholder')) === wanted) {
+      matches.push(field);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Finds elements by role and visible name
+ * @param {string} role - 'button' or 'link'
+ * @param {string} name - Accessible name
+ * @returns {Array<Element>} Matching elements
+ */
+function findByRole(role, name) {
+  const wanted = normalizeText(name);
+  return safeQueryAll(ROLE_SELECTORS[role] || `[role="${role}"]`).filter(el => {
+    const names = [el.getAttribute('aria-label'), el.getAttribute('title'), el.value, el.textContent];
+    return names.some(candidate => normalizeText(candidate) === wanted);
+  });
+}
+
+/**
+ * Locates the element a recorded action targets, trying the most robust strategy first
+ * @param {Object} locator - Locator description from the exporter's buildActions
+ * @returns {{ element: Element|null, strategy: string|null }} Located element
+ */
+export function locateElement(locator) {
+  // Locators captured with the event were unique when recorded; the first
+  // one that still is wins
+  if (locator.candidates?.length) {
+    const roots = collectRoots(document);
+    for (const candidate of locator.candidates) {
+      const matches = findByLocator(candidate, roots);
+      if (matches.length === 1) return { element: matches[0], strategy: candidate.strategy };
+    }
+  }
+
+  const strategies = [
+    ['testId', () => locator.testId && safeQueryAll(`[data-testid="${CSS.escape(locator.testId)}"]`)],
+    ['label', () => locator.label && findByLabel(locator.label)],
+    ['role', () => locator.role && findByRole(locator.role, locator.name)],
+    ['css', () => safeQueryAll(locator.css)],
+    ['path', () => safeQueryAll(locator.path)]
+  ];
+
+  for (const [strategy, find] of strategies) {
+    const candidates = (find() || []).filter(el => !locator.tag || locator.tag === 'form' || el.tagName.toLowerCase() === locator.tag || strategy === 'label');
+    const element = candidates.find(isVisible) || candidates[0];
+    if (element) return { element, strategy };
+  }
+
+  return { element: null, strategy: null };
+}
+
+/**
+ * Sets a field's value through the native setter so framework bindings notice
+ * @param {HTMLElement} el - Field element
+ * @param {string} value - Value to set
+ */
+function setNativeValue(el, value) {
+  const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value')?.set;
+  if (setter) {
+    setter.call(el, value);
+  } else {
+    el.value = value;
+  }
+}
+
+/**
+ * Dispatches input and change events on a field
+ * @param {HTMLElement} el - Field element
+ */
+function dispatchFieldEvents(el) {
+  el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Selects the option of a select element matching a label (or value)
+ * @param {HTMLSelectElement} el - Select element
+ * @param {Object} action - Replay action
+ */
+function selectOption(el, action) {
+  const labels = String(action.value ?? '').split(',').map(normalizeText);
+  const options = Array.from(el.options);
+  const wanted = options.filter(opt => labels.includes(normalizeText(opt.text)));
+  if (wanted.length === 0 && action.optionValue != null) {
+    wanted.push(...options.filter(opt => opt.value === action.optionValue));
+  }
+  if (wanted.length === 0) {
+    throw new Error(`Option "${action.value}" not found in ${options.length} options`);
+  }
+  options.forEach(opt => { opt.selected = wanted.includes(opt); });
+  dispatchFieldEvents(el);
+}
+
+/**
+ * Performs a single replay action in this document
+ * @param {Object} action - Action from the exporter's buildActions
+ * @returns {Promise<Object>} Result ({ ok, strategy, skipped, error })
+ */
+export async function performReplayAction(action) {
+  const { element: el, strategy } = locateElement(action.locator || {});
+  if (!el) {
+    return { ok: false, error: `Element not found (${action.locator?.css || action.locator?.path || 'no locator'})` };
+  }
+
+  replaying = true;
+  try {
+    el.scrollIntoView({ block: 'center', inline: 'nearest' });
+    if (el.disabled) throw new Error('Element is disabled');
+
+    switch (action.kind) {
+      case 'fill':
+        el.focus();
+        if (el.isContentEditable) {
+          el.textContent = action.value;
+          el.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        } else {
+          setNativeValue(el, action.value);
+          dispatchFieldEvents(el);
+        }
+        break;
+      case 'fillSecret':
+      case 'skip':
+        // Secrets and redacted values were never recorded; leave the field for the person replaying
+        el.focus();
+        return { ok: true, strategy, skipped: true, note: action.note || 'Value was not recorded' };
+      case 'select':
+        selectOption(el, action);
+        break;
+      case 'check':
+      case 'uncheck':
+        if (el.checked !== (action.kind === 'check')) el.click();
+        break;
+      case 'click':
+        el.click();
+        break;
+      case 'submit': {
+        const form = el.tagName === 'FORM' ? el : el.closest('form');
+        if (!form) throw new Error('No form to submit');
+        form.requestSubmit();
+        break;
+      }
+      default:
+        throw new Error(`Unsupported action "${action.kind}"`);
+    }
+
+    return { ok: true, strategy };
+  } catch (error) {
+    return { ok: false, strategy, error: error.message };
+  } finally {
+    // Events triggered by the action are dispatched synchronously or on the next tick
+    setTimeout(() => { replaying = false; }, 0);
+  }
+}
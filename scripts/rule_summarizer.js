@@ -0,0 +1,235 @@
+// Deterministic workflow summaries built from templates, without a model.
+// The same events always produce the same summary, so summaries are
+// reproducible and available on machines that can't run a model.
+
+import { COMPLETION_STATUSES } from './summary_schema.js';
+import { describeAnalysis } from './analysis_schema.js';
+import { describeRequest } from './network_tracker.js';
+
+// Longest screenshot description quoted in a step
+const MAX_DESCRIPTION_LENGTH = 160;
+
+/**
+ * Formats a value for the summary
+ * @param {*} value - Field value
+ * @returns {string} Quoted value, or "(empty)"
+ */
+function formatValue(value) {
+  if (value === undefined || value === null || value === '') return '(empty)';
+  return `"${value}"`;
+}
+
+/**
+ * Formats a page for the starting and end points
+ * @param {Object} evt - Event with url and pageTitle
+ * @returns {string} Page description
+ */
+function formatPage(evt) {
+  if (!evt) return 'Unknown';
+  return evt.pageTitle ? `"${evt.pageTitle}" (${evt.url})` : evt.url;
+}
+
+/**
+ * Describes a field change with its exact values
+ * @param {Object} change - { field, from, to, type }
+ * @returns {string} Description
+ */
+function describeFieldChange(change) {
+  const field = `"${change.field || 'unnamed field'}"`;
+  if (change.type === 'boolean') {
+    return `${change.to ? 'Checked' : 'Unchecked'} ${field}`;
+  }
+  if (change.from === undefined || change.from === null || change.from === '') {
+    return `Set ${field} to ${formatValue(change.to)}`;
+  }
+  return `Changed ${field} from ${formatValue(change.from)} to ${formatValue(change.to)}`;
+}
+
+/**
+ * Describes one event as a summary step
+ * @param {Object} evt - Event as sent to the summarizer
+ * @returns {string|null} Step text, or null for events that add nothing
+ */
+function describeStep(evt) {
+  if (evt.fieldChange) {
+    return describeFieldChange(evt.fieldChange);
+  }
+
+  switch (evt.type) {
+    case 'submit': {
+      // Changed fields say what they were when the form was first seen
+      const fields = evt.formFields
+        ? evt.formFields.map(field => `${field.fieldLabel}: ${field.changed ? `${formatValue(field.initialValue)} → ` : ''}${formatValue(field.value)}`)
+        : Object.entries(evt.formData || {}).map(([key, value]) => `${key}: ${formatValue(value)}`);
+      const submitter = evt.submitter ? ` with "${evt.submitter.label}"` : '';
+      return `Submitted form${submitter}${fields.length ? ` (${fields.join(', ')})` : ''}`;
+    }
+    case 'navigation':
+    case 'tabNavigate':
+      return `Navigated to ${formatPage(evt)}`;
+    case 'request':
+      // Successful requests are the expected outcome of the step before
+      return evt.request && !evt.request.ok ? `Request failed: ${describeRequest(evt.request)}` : null;
+    case 'screenshot': {
+      if (evt.structuredAnalysis) return `Screen: ${describeAnalysis(evt.structuredAnalysis)}`;
+      const firstLine = (evt.contextualDescription || '').split('\n').find(line => line.trim()) || '';
+      if (!firstLine) return null;
+      const text = firstLine.trim();
+      return `Screen: ${text.length > MAX_DESCRIPTION_LENGTH ? `${text.slice(0, MAX_DESCRIPTION_LENGTH)}…` : text}`;
+    }
+    default:
+      return evt.contextualDescription || (evt.type ? `${evt.type} event` : null);
+  }
+}
+
+/**
+ * Collapses consecutive identical steps into one ("... (3 times)")
+ * @param {Array} steps - Step texts
+ * @returns {Array} Collapsed steps
+ */
+function collapseRepeats(steps) {
+  const collapsed = [];
+  steps.forEach(step => {
+    const last = collapsed[collapsed.length - 1];
+    if (last?.text === step) {
+      last.count++;
+    } else {
+      collapsed.push({ text: step, count: 1 });
+    }
+  });
+  return collapsed.map(({ text, count }) => (count > 1 ? `${text} (${count} times)` : text));
+}
+
+/**
+ * Derives the main task from the workflows and events
+ * @param {Array} workflows - Workflows in the batch
+ * @param {Array} events - Events in time order
+ * @param {Object} endEvent - Last event with a page
+ * @returns {string} Main task
+ */
+function describeMainTask(workflows, events, endEvent) {
+  const page = endEvent?.pageTitle ? ` on "${endEvent.pageTitle}"` : '';
+  if (events.some(e => e.type === 'submit')) {
+    return `Fill in and submit a form${page}`;
+  }
+  if (workflows.length > 0) {
+    const names = [...new Set(workflows.map(w => `${w.type}${w.target ? ` of "${w.target}"` : ''}`))];
+    return names.join('; ');
+  }
+  if (events.some(e => e.type === 'drop')) {
+    return `Move and reorder items${page}`;
+  }
+  if (events.some(e => e.fieldChange)) {
+    return `Update form fields${page}`;
+  }
+  if (events.some(e => ['navigation', 'tabNavigate'].includes(e.type))) {
+    return `Navigate to ${formatPage(endEvent)}`;
+  }
+  return `Interact with ${endEvent ? formatPage(endEvent) : 'the page'}`;
+}
+
+/**
+ * Derives the completion status from the events
+ * @param {Array} events - Events in time order
+ * @returns {Object} { status: one of COMPLETION_STATUSES, detail }
+ */
+function describeCompletion(events) {
+  // The last action that reached the server failed when any of its requests did
+  const lastRequest = events.findLast(e => e.type === 'request' && e.request);
+  if (lastRequest) {
+    const failed = events.find(e => e.type === 'request' && e.triggeredBy === lastRequest.triggeredBy && !e.request?.ok);
+    if (failed) {
+      return { status: COMPLETION_STATUSES.FAILED, detail: `request failed: ${describeRequest(failed.request)}` };
+    }
+  }
+
+  const submitIndex = events.findLastIndex(e => e.type === 'submit');
+  if (submitIndex !== -1) {
+    const after = events.slice(submitIndex + 1);
+    const navigatedAfter = after.some(e => ['navigation', 'tabNavigate'].includes(e.type));
+    const accepted = after.find(e => e.type === 'request' && e.request?.ok);
+    let detail = 'form submitted';
+    if (accepted) detail = `form submitted, server answered ${accepted.request.status}`;
+    else if (navigatedAfter) detail = 'form submitted, next page loaded';
+    return { status: COMPLETION_STATUSES.COMPLETED, detail };
+  }
+  if (events.some(e => e.fieldChange)) {
+    return { status: COMPLETION_STATUSES.PARTIAL, detail: 'fields changed, no form submitted' };
+  }
+  if (events.some(e => ['navigation', 'tabNavigate'].includes(e.type))) {
+    return { status: COMPLETION_STATUSES.COMPLETED, detail: 'navigation finished' };
+  }
+  return { status: COMPLETION_STATUSES.UNKNOWN, detail: 'no submission or navigation observed' };
+}
+
+/**
+ * Converts a field change to a key interaction
+ * @param {Object} change - { field, from, to, type }
+ * @returns {Object} { field, from, to } strings
+ */
+function toKeyInteraction(change) {
+  const asText = (value) => {
+    if (change.type === 'boolean') return value ? 'checked' : 'unchecked';
+    return value === undefined || value === null ? '' : String(value);
+  };
+  return {
+    field: change.field || 'unnamed field',
+    from: asText(change.from),
+    to: asText(change.to)
+  };
+}
+
+/**
+ * Finds repeated actions worth pointing out
+ * @param {Array} events - Events in time order
+ * @returns {Array} Pattern descriptions
+ */
+function describePatterns(events) {
+  const patterns = [];
+
+  const changesPerField = new Map();
+  events.filter(e => e.fieldChange).forEach(e => {
+    const field = e.fieldChange.field || 'unnamed field';
+    changesPerField.set(field, (changesPerField.get(field) || 0) + 1);
+  });
+  changesPerField.forEach((count, field) => {
+    if (count > 1) patterns.push(`"${field}" changed ${count} times`);
+  });
+
+  const clicks = new Map();
+  events.filter(e => e.type === 'click' && !e.fieldChange && e.contextualDescription).forEach(e => {
+    clicks.set(e.contextualDescription, (clicks.get(e.contextualDescription) || 0) + 1);
+  });
+  clicks.forEach((count, description) => {
+    if (count > 1) patterns.push(`${description} ${count} times`);
+  });
+
+  const pages = new Set(events.map(e => e.url).filter(Boolean));
+  if (pages.size > 1) patterns.push(`Activity spans ${pages.size} pages`);
+
+  return patterns;
+}
+
+/**
+ * Builds a structured workflow summary from templates (see SUMMARY_SCHEMA)
+ * @param {Object} eventData - { workflows, otherEvents } as sent to the summarizer
+ * @returns {Object} Summary
+ */
+export function buildRuleBasedSummary({ workflows = [], otherEvents = [] }) {
+  const events = [...otherEvents].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  const withPage = events.filter(e => e.url);
+  const startEvent = withPage[0];
+  const endEvent = withPage[withPage.length - 1];
+  const completion = describeCompletion(events);
+
+  return {
+    steps: collapseRepeats(events.map(describeStep).filter(Boolean)),
+    startPoint: formatPage(startEvent),
+    endPoint: formatPage(endEvent),
+    keyInteractions: events.filter(e => e.fieldChange).map(e => toKeyInteraction(e.fieldChange)),
+    mainTask: describeMainTask(workflows, events, endEvent),
+    completionStatus: completion.status,
+    completionDetail: completion.detail,
+    patterns: describePatterns(events)
+  };
+}
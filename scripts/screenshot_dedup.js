@@ -0,0 +1,94 @@
+// Screenshot deduplication: each capture is compared with the recent ones of
+// its tab, and near-identical frames are dropped before they are stored or
+// described. Fingerprints come from fingerprintImage() in image_ops.js.
+
+import { DEFAULT_SETTINGS } from './settings.js';
+
+// Luminance change (0-255) above which a thumbnail pixel counts as changed
+const PIXEL_CHANGE_THRESHOLD = 24;
+
+/**
+ * Counts the differing bits of two hex hashes
+ * @param {string} a - First hash
+ * @param {string} b - Second hash
+ * @returns {number} Hamming distance
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    let bits = parseInt(a[i] || '0', 16) ^ parseInt(b[i] || '0', 16);
+    while (bits) {
+      distance += bits & 1;
+      bits >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Computes the share of thumbnail pixels that changed noticeably
+ * @param {Object} a - First thumbnail ({ width, height, pixels })
+ * @param {Object} b - Second thumbnail
+ * @returns {number} Ratio between 0 and 1; 1 for thumbnails of different sizes
+ */
+export function pixelDiffRatio(a, b) {
+  if (a.width !== b.width || a.height !== b.height) return 1;
+  let changed = 0;
+  for (let i = 0; i < a.pixels.length; i++) {
+    if (Math.abs(a.pixels[i] - b.pixels[i]) > PIXEL_CHANGE_THRESHOLD) changed++;
+  }
+  return changed / a.pixels.length;
+}
+
+/**
+ * Creates a per-tab screenshot deduplicator
+ * @param {Object} [options] - Deduplicator options
+ * @param {Function} [options.getConfig] - Returns the dedup settings (see DEFAULT_SETTINGS.capture.dedup)
+ * @returns {Object} Deduplicator with check and forgetTab
+ */
+export function createScreenshotDeduper({ getConfig = () => DEFAULT_SETTINGS.capture.dedup } = {}) {
+  // tabId -> recent fingerprints, newest last
+  const recent = new Map();
+
+  return {
+    /**
+     * Compares a capture with the tab's recent ones and remembers it when it
+     * is new. A duplicate refreshes the capture it matched instead, so a
+     * static page keeps matching however long it stays unchanged.
+     * @param {number} tabId - Tab the screenshot was taken in
+     * @param {Object} fingerprint - { hash, thumbnail }
+     * @returns {Object} { duplicate, distance, diffRatio } of the closest match
+     */
+    check(tabId, fingerprint) {
+      const { hashDistance, diffRatio, recent: keep } = getConfig();
+      if (!recent.has(tabId)) recent.set(tabId, []);
+      const captures = recent.get(tabId);
+
+      let closest = null;
+      for (let i = captures.length - 1; i >= 0; i--) {
+        const distance = hammingDistance(fingerprint.hash, captures[i].hash);
+        // The hash is cheap; only close hashes are worth a pixel comparison
+        if (distance > hashDistance) continue;
+        const ratio = pixelDiffRatio(fingerprint.thumbnail, captures[i].thumbnail);
+        if (!closest || ratio < closest.diffRatio) closest = { index: i, distance, diffRatio: ratio };
+      }
+
+      if (closest && closest.diffRatio <= diffRatio) {
+        captures.push(...captures.splice(closest.index, 1));
+        return { duplicate: true, distance: closest.distance, diffRatio: closest.diffRatio };
+      }
+
+      captures.push(fingerprint);
+      if (captures.length > keep) captures.splice(0, captures.length - keep);
+      return { duplicate: false, distance: closest?.distance ?? null, diffRatio: closest?.diffRatio ?? null };
+    },
+
+    /**
+     * Drops the fingerprints of a tab
+     * @param {number} tabId - Tab id
+     */
+    forgetTab(tabId) {
+      recent.delete(tabId);
+    }
+  };
+}
@@ -0,0 +1,61 @@
+// Regions to hide in a screenshot of a whole tab. Each frame reports its own
+// sensitive regions and where its child frames sit; the regions are placed
+// in the tab's viewport by walking down from the top frame. A frame that
+// can't report is hidden as a whole, and when even that isn't possible the
+// screenshot can't be masked safely.
+
+/**
+ * Composes the frames' reports into one mask in top-level viewport coordinates
+ * @param {Array} frames - The tab's frames as { frameId, parentFrameId }
+ * @param {Map} reports - frameId -> { rects, frames, style, devicePixelRatio }
+ *   from each frame's content script, missing for frames that didn't answer
+ * @returns {Object} { rects, style, devicePixelRatio }, or { rects: [], unplaceable: true }
+ *   when some region can't be placed
+ */
+export function composeMask(frames, reports) {
+  const top = reports.get(0);
+  if (!top) return { rects: [], unplaceable: true };
+
+  // Each reachable frame's content box in the top-level viewport
+  const boxes = new Map([[0, { x: 0, y: 0 }]]);
+  const queue = [0];
+  while (queue.length > 0) {
+    const frameId = queue.shift();
+    const origin = boxes.get(frameId);
+    (reports.get(frameId)?.frames || []).forEach(child => {
+      if (boxes.has(child.frameId)) return;
+      boxes.set(child.frameId, { x: origin.x + child.x, y: origin.y + child.y, width: child.width, height: child.height });
+      queue.push(child.frameId);
+    });
+  }
+
+  const parents = new Map(frames.map(frame => [frame.frameId, frame.parentFrameId]));
+  // Nearest box around a frame: its own, or an ancestor's
+  const enclosingBox = (frameId) => {
+    for (let id = frameId; id != null && id > 0; id = parents.get(id)) {
+      if (boxes.has(id)) return boxes.get(id);
+    }
+    return null;
+  };
+
+  const rects = [];
+  const frameIds = new Set([...frames.map(frame => frame.frameId), ...reports.keys()]);
+  for (const frameId of frameIds) {
+    const report = reports.get(frameId);
+    const box = boxes.get(frameId);
+    if (report && box) {
+      rects.push(...report.rects.map(r => ({ ...r, x: r.x + box.x, y: r.y + box.y })));
+    } else if (!report || report.rects.length > 0) {
+      // Unanswered, or regions with no known position: hide the whole frame
+      const enclosing = enclosingBox(frameId);
+      if (!enclosing) return { rects: [], unplaceable: true };
+      rects.push({ x: enclosing.x, y: enclosing.y, width: enclosing.width, height: enclosing.height });
+    }
+  }
+
+  return {
+    rects: rects.filter(r => r.width > 0 && r.height > 0),
+    style: top.style,
+    devicePixelRatio: top.devicePixelRatio
+  };
+}
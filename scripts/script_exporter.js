@@ -0,0 +1,492 @@
+// Turns recorded workflows and sessions into runnable Playwright or Puppeteer scripts
+
+import { SHADOW_SEPARATOR } from './shadow_dom.js';
+import { containsRedaction } from './redaction.js';
+
+export const EXPORT_FORMATS = {
+  PLAYWRIGHT: 'playwright',
+  PUPPETEER: 'puppeteer'
+};
+
+// Clicks on these elements are covered by the fill/select/check they lead to
+const FORM_FIELD_TAGS = ['input', 'select', 'textarea'];
+const NAVIGATION_TYPES = ['navigation', 'tabNavigate'];
+
+/**
+ * Quotes a value as a single-quoted JavaScript string literal
+ * @param {*} value - Value to quote
+ * @returns {string} String literal
+ */
+function quote(value) {
+  return `'${String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')}'`;
+}
+
+/**
+ * Parses the last segment of a recorded DOM path
+ * @param {string} path - Path built by the content script's domPath
+ * @returns {Object|null} Tag, attributes and classes of the target element
+ */
+function parsePathSegment(path) {
+  if (!path) return null;
+  const segment = path.split(SHADOW_SEPARATOR).pop().split(' > ').pop();
+  const tag = segment.match(/^[a-z][a-z0-9-]*/i)?.[0] || '*';
+  const attrs = {};
+  for (const [, name, value] of segment.matchAll(/([\w-]+)="([^"]*)"/g)) {
+    attrs[name] = value;
+  }
+  const classPart = segment.replace(/\[[^\]]*\]/g, '').slice(tag.length);
+  const classes = classPart.split('.').filter(Boolean);
+  return { tag, attrs, classes };
+}
+
+/**
+ * Builds a CSS attribute selector
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {string} Selector part
+ */
+function attrSelector(name, value) {
+  return `[${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`;
+}
+
+/**
+ * Builds the most specific stable CSS selector available for a step
+ * @param {Object} step - Recorded step
+ * @returns {string|null} CSS selector
+ */
+function buildCssSelector(step) {
+  const segment = parsePathSegment(step.path);
+  const id = step.fieldDetails?.id || segment?.attrs.id;
+  const name = step.fieldDetails?.name || segment?.attrs.name;
+  const tag = segment?.tag && segment.tag !== '*' ? segment.tag : (step.elementType || '');
+
+  if (id && /^[A-Za-z][\w-]*$/.test(id)) return `#${id}`;
+  if (id) return `${tag}${attrSelector('id', id)}`;
+  if (name) return `${tag}${attrSelector('name', name)}`;
+  if (segment?.attrs['aria-label']) return `${tag}${attrSelector('aria-label', segment.attrs['aria-label'])}`;
+  if (segment?.attrs.href) return `${tag}${attrSelector('href', segment.attrs.href)}`;
+  return step.path || null;
+}
+
+/**
+ * Resolves a locator description from the ranked locators captured with a
+ * step (see buildLocators in selector_engine.js)
+ * @param {Object} step - Recorded step with locators
+ * @returns {Object|null} Locator description, null when no captured locator was unique
+ */
+function resolveCapturedLocator(step) {
+  // Redacted candidates no longer describe the element
+  const candidates = step.locators.filter(candidate => !Object.values(candidate).some(containsRedaction));
+  const best = candidates.find(candidate => candidate.unique);
+  if (!best) return null;
+
+  const css = candidates.find(candidate => candidate.strategy === 'css')?.css;
+  // Replay tries every candidate; css stays available for statements that need a selector
+  const locator = { css: css || buildCssSelector(step), path: step.path, tag: step.elementType, candidates };
+  switch (best.strategy) {
+    case 'testId':
+      if (best.attribute === 'data-testid') locator.testId = best.value;
+      else locator.css = attrSelector(best.attribute, best.value);
+      break;
+    case 'role':
+      locator.role = best.role;
+      locator.name = best.name;
+      break;
+    case 'label':
+      locator.label = best.label;
+      break;
+    case 'text':
+      locator.text = best.text;
+      break;
+    case 'xpath':
+      if (!css) locator.xpath = best.xpath;
+      break;
+  }
+  return locator;
+}
+
+/**
+ * Resolves a locator description for a recorded step, most robust first
+ * @param {Object} step - Recorded step
+ * @returns {Object} Locator description ({ testId, label, role, name, text, css, xpath, path, tag, candidates })
+ */
+function resolveLocator(step) {
+  if (step.locators?.length) {
+    const captured = resolveCapturedLocator(step);
+    if (captured) return captured;
+  }
+
+  const segment = parsePathSegment(step.path);
+  // The raw path and tag are kept as a last resort for in-browser replay
+  const locator = { css: buildCssSelector(step), path: step.path, tag: step.elementType };
+  const fd = step.fieldDetails;
+
+  const testId = segment?.attrs['data-testid'] || segment?.attrs['data-test-id'] || segment?.attrs['data-test'];
+  if (testId) {
+    locator.testId = testId;
+    return locator;
+  }
+
+  // Field labels fall back to name/id/type when no label exists; those aren't labels
+  if (fd?.fieldLabel && ![fd.name, fd.id, fd.type].includes(fd.fieldLabel)) {
+    locator.label = fd.fieldLabel;
+    return locator;
+  }
+
+  const identifier = step.identifier?.trim();
+  if (identifier && identifier.length <= 80) {
+    if (step.elementType === 'a') locator.role = 'link';
+    else if (step.elementType === 'button' || segment?.attrs.role === 'button') locator.role = 'button';
+    if (locator.role) locator.name = identifier;
+  }
+
+  return locator;
+}
+
+/**
+ * Adapts a selector to Playwright, whose CSS engine pierces open shadow roots by itself
+ * @param {string} css - Selector, possibly with SHADOW_SEPARATOR
+ * @returns {string} Playwright selector
+ */
+function playwrightCss(css) {
+  return css.split(SHADOW_SEPARATOR).join(' ');
+}
+
+/**
+ * Renders a Playwright locator expression
+ * @param {Object} locator - Locator description
+ * @returns {string} Locator expression
+ */
+function playwrightLocator(locator) {
+  if (locator.testId) return `page.getByTestId(${quote(locator.testId)})`;
+  if (locator.label) return `page.getByLabel(${quote(locator.label)}, { exact: true })`;
+  if (locator.role) return `page.getByRole(${quote(locator.role)}, { name: ${quote(locator.name)}, exact: true })`;
+  if (locator.text) return `page.getByText(${quote(locator.text)}, { exact: true })`;
+  if (locator.xpath) return `page.locator(${quote(`xpath=${locator.xpath}`)})`;
+  return `page.locator(${quote(playwrightCss(locator.css))})`;
+}
+
+/**
+ * Quotes the argument of a Puppeteer pseudo-element (::-p-aria and the like),
+ * so brackets, quotes and parentheses in it don't end the selector
+ * @param {string} value - Argument
+ * @returns {string} Quoted argument
+ */
+function pseudoArgument(value) {
+  return `"${String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+}
+
+/**
+ * Renders a Puppeteer ARIA selector for a locator with a role and name or a label
+ * @param {Object} locator - Locator description
+ * @returns {string} Selector
+ */
+function puppeteerAria(locator) {
+  return locator.role
+    ? `::-p-aria(${pseudoArgument(`${locator.name}[role="${locator.role}"]`)})`
+    : `::-p-aria(${pseudoArgument(locator.label)})`;
+}
+
+/**
+ * Renders a selector for Puppeteer's page.$ family from a locator's CSS.
+ * Those don't follow SHADOW_SEPARATOR, so a path into a shadow root is found
+ * by its ARIA name when there is one, otherwise by its innermost part in any
+ * shadow root (pierce/).
+ * @param {Object} locator - Locator description
+ * @returns {string} Selector
+ */
+function puppeteerSelector(locator) {
+  const css = locator.css || locator.path || '';
+  if (!css.includes(SHADOW_SEPARATOR)) return css;
+  if (locator.role || locator.label) return puppeteerAria(locator);
+  return `pierce/${css.split(SHADOW_SEPARATOR).pop()}`;
+}
+
+/**
+ * Renders a Puppeteer locator expression
+ * @param {Object} locator - Locator description
+ * @returns {string} Locator expression
+ */
+function puppeteerLocator(locator) {
+  if (locator.testId) return `page.locator(${quote(attrSelector('data-testid', locator.testId))})`;
+  if (locator.role) return `page.locator(${quote(puppeteerAria(locator))})`;
+  if (locator.label && !locator.css) return `page.locator(${quote(puppeteerAria(locator))})`;
+  if (locator.text) return `page.locator(${quote(`::-p-text(${pseudoArgument(locator.text)})`)})`;
+  if (locator.xpath) return `page.locator(${quote(`::-p-xpath(${pseudoArgument(locator.xpath)})`)})`;
+  return `page.locator(${quote(puppeteerSelector(locator))})`;
+}
+
+/**
+ * Normalizes workflow steps into the flat step shape used by the exporter
+ * @param {Object} workflow - Recorded workflow
+ * @returns {Array} Steps
+ */
+export function stepsFromWorkflow(workflow) {
+  return (workflow.steps || []).map(step => ({
+    ...step.details,
+    description: step.action,
+    timestamp: step.timestamp
+  }));
+}
+
+/**
+ * Normalizes batch events into the flat step shape used by the exporter
+ * @param {Array} events - Captured events, in any order
+ * @returns {Array} Steps sorted by time
+ */
+export function stepsFromEvents(events) {
+  return events
+    .filter(evt => !['screenshot', 'workflow'].includes(evt.type))
+    .map(evt => ({ ...evt, timestamp: evt.timestamp || evt.ts }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Names the environment variable a value that wasn't recorded is read from.
+ * The name is rendered as `process.env.NAME`, so it must be an identifier.
+ * @param {Object} fd - Field details
+ * @param {string} fallback - Name used when the field has no usable label or name
+ * @returns {string} Variable name matching [A-Z_][A-Z0-9_]*, e.g. CARD_NUMBER
+ */
+function secretEnvName(fd, fallback) {
+  const name = String(fd.fieldLabel || fd.name || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!name) return fallback.toUpperCase();
+  return /^\d/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Converts recorded steps into abstract script actions, shared by the
+ * script renderers and the in-browser replay engine
+ * @param {Array} steps - Recorded steps in order
+ * @returns {Array} Actions ({ kind, locator, value, url, env, note, comment })
+ */
+export function buildActions(steps) {
+  const actions = [];
+  let currentUrl = null;
+  let expectNavigation = false;
+
+  steps.forEach(step => {
+    const url = step.url || null;
+
+    if (NAVIGATION_TYPES.includes(step.type)) {
+      if (url && url !== currentUrl) {
+        actions.push(currentUrl && expectNavigation
+          ? { kind: 'waitForUrl', url }
+          : { kind: 'goto', url });
+        currentUrl = url;
+      }
+      expectNavigation = false;
+      return;
+    }
+
+    // Open the page the first interaction happened on
+    if (url && !currentUrl) {
+      actions.push({ kind: 'goto', url });
+      currentUrl = url;
+    } else if (url && url !== currentUrl) {
+      actions.push(expectNavigation ? { kind: 'waitForUrl', url } : { kind: 'goto', url });
+      currentUrl = url;
+    }
+
+    const locator = resolveLocator(step);
+    const fd = step.fieldDetails;
+    const description = step.description || step.label;
+
+    switch (step.type) {
+      case 'change':
+      case 'input': {
+        if (!fd) break;
+        const value = step.fieldChange?.to ?? fd.value;
+        if (fd.fieldType === 'dropdown') {
+          if (containsRedaction(value) || containsRedaction(fd.selectedValue)) {
+            actions.push({ kind: 'skip', locator, note: 'Value was redacted when recorded', comment: `${description} (redacted when recorded, choose the option by hand)` });
+          } else {
+            actions.push({ kind: 'select', locator, value, optionValue: fd.selectedValue, comment: description });
+          }
+        } else if (fd.fieldType === 'checkbox') {
+          actions.push({ kind: fd.checked ? 'check' : 'uncheck', locator, comment: description });
+        } else if (fd.fieldType === 'radio') {
+          actions.push({ kind: 'check', locator, comment: description });
+        } else if (fd.fieldType === 'password') {
+          actions.push({ kind: 'fillSecret', locator, env: secretEnvName(fd, 'password'), note: 'Password value was not recorded', comment: 'Password values are not recorded' });
+        } else if (containsRedaction(value)) {
+          // Redaction tokens aren't real values; read the value from the environment like a password
+          actions.push({ kind: 'fillSecret', locator, env: secretEnvName(fd, 'value'), note: 'Value was redacted when recorded', comment: `${description} (redacted when recorded)` });
+        } else {
+          actions.push({ kind: 'fill', locator, value: value ?? '', comment: description });
+        }
+        break;
+      }
+      case 'click': {
+        if (FORM_FIELD_TAGS.includes(step.elementType)) break;
+        actions.push({ kind: 'click', locator, comment: description });
+        expectNavigation = Boolean(step.href) || step.elementType === 'button';
+        break;
+      }
+      case 'submit': {
+        // A click on the submit button already submitted the form
+        const previous = actions[actions.length - 1];
+        if (previous?.kind !== 'click') {
+          actions.push({ kind: 'submit', locator: { css: buildCssSelector(step) || 'form', path: step.path, tag: 'form' }, comment: description || 'Submit form' });
+        }
+        expectNavigation = true;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return actions;
+}
+
+/**
+ * Renders actions as Playwright statements
+ * @param {Array} actions - Script actions
+ * @returns {Array<string>} Statement lines
+ */
+function renderPlaywrightActions(actions) {
+  return actions.flatMap(action => {
+    const lines = action.comment ? [`// ${action.comment.replace(/\n/g, ' ')}`] : [];
+    const target = action.locator && playwrightLocator(action.locator);
+    switch (action.kind) {
+      case 'goto': lines.push(`await page.goto(${quote(action.url)});`); break;
+      case 'waitForUrl': lines.push(`await page.waitForURL(${quote(action.url)});`); break;
+      case 'fill': lines.push(`await ${target}.fill(${quote(action.value)});`); break;
+      case 'fillSecret': lines.push(`await ${target}.fill(process.env.${action.env} ?? '');`); break;
+      case 'select': lines.push(`await ${target}.selectOption({ label: ${quote(action.value)} });`); break;
+      case 'check': lines.push(`await ${target}.check();`); break;
+      case 'uncheck': lines.push(`await ${target}.uncheck();`); break;
+      case 'click': lines.push(`await ${target}.click();`); break;
+      case 'submit': lines.push(`await page.locator(${quote(playwrightCss(action.locator.css))}).evaluate(form => form.requestSubmit());`); break;
+    }
+    return lines;
+  });
+}
+
+/**
+ * Renders actions as Puppeteer statements
+ * @param {Array} actions - Script actions
+ * @returns {Array<string>} Statement lines
+ */
+function renderPuppeteerActions(actions) {
+  return actions.flatMap(action => {
+    const lines = action.comment ? [`// ${action.comment.replace(/\n/g, ' ')}`] : [];
+    const target = action.locator && puppeteerLocator(action.locator);
+    switch (action.kind) {
+      case 'goto': lines.push(`await page.goto(${quote(action.url)});`); break;
+      case 'waitForUrl': lines.push(`await page.waitForFunction(url => location.href === url, {}, ${quote(action.url)});`); break;
+      case 'fill': lines.push(`await ${target}.fill(${quote(action.value)});`); break;
+      case 'fillSecret': lines.push(`await ${target}.fill(process.env.${action.env} ?? '');`); break;
+      case 'select':
+        lines.push(action.optionValue != null
+          ? `await page.select(${quote(puppeteerSelector(action.locator))}, ${quote(action.optionValue)});`
+          : `await ${target}.fill(${quote(action.value)});`);
+        break;
+      case 'check':
+      case 'uncheck':
+        lines.push(`if (await page.$eval(${quote(puppeteerSelector(action.locator))}, el => el.checked) !== ${action.kind === 'check'}) await ${target}.click();`);
+        break;
+      case 'click': lines.push(`await ${target}.click();`); break;
+      case 'submit': lines.push(`await page.$eval(${quote(puppeteerSelector(action.locator))}, form => form.requestSubmit());`); break;
+    }
+    return lines;
+  });
+}
+
+/**
+ * Finds the page the recording ended on
+ * @param {Array} steps - Recorded steps
+ * @returns {Object} Final { url, title }
+ */
+function finalPage(steps) {
+  const last = [...steps].reverse().find(step => step.url);
+  return {
+    url: last?.url || null,
+    title: last?.pageTitle || last?.title || null
+  };
+}
+
+/**
+ * Renders a runnable script from recorded steps
+ * @param {Array} steps - Recorded steps in order
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format] - One of EXPORT_FORMATS
+ * @param {string} [options.title] - Test title
+ * @returns {string} Script source
+ */
+export function exportSteps(steps, { format = EXPORT_FORMATS.PLAYWRIGHT, title = 'Recorded workflow' } = {}) {
+  const actions = buildActions(steps);
+  const { url, title: pageTitle } = finalPage(steps);
+  const indent = (lines) => lines.map(line => (line ? `  ${line}` : line)).join('\n');
+
+  if (format === EXPORT_FORMATS.PUPPETEER) {
+    const assertions = [];
+    if (url) assertions.push(`assert.strictEqual(page.url(), ${quote(url)});`);
+    if (pageTitle) assertions.push(`assert.strictEqual(await page.title(), ${quote(pageTitle)});`);
+
+    return [
+      `// ${title}`,
+      `// Exported by 8flow Logger-AI on ${new Date().toISOString()}`,
+      `import assert from 'node:assert';`,
+      `import puppeteer from 'puppeteer';`,
+      '',
+      'const browser = await puppeteer.launch();',
+      'const page = await browser.newPage();',
+      'try {',
+      indent([...renderPuppeteerActions(actions), '', '// Final state', ...assertions]),
+      '} finally {',
+      '  await browser.close();',
+      '}',
+      ''
+    ].join('\n');
+  }
+
+  const assertions = [];
+  if (url) assertions.push(`await expect(page).toHaveURL(${quote(url)});`);
+  if (pageTitle) assertions.push(`await expect(page).toHaveTitle(${quote(pageTitle)});`);
+
+  return [
+    `// Exported by 8flow Logger-AI on ${new Date().toISOString()}`,
+    `import { test, expect } from '@playwright/test';`,
+    '',
+    `test(${quote(title)}, async ({ page }) => {`,
+    indent([...renderPlaywrightActions(actions), '', '// Final state', ...assertions]),
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Renders a runnable script for a recorded workflow
+ * @param {Object} workflow - Recorded workflow
+ * @param {Object} [options] - Export options (see exportSteps)
+ * @returns {string} Script source
+ */
+export function exportWorkflow(workflow, options = {}) {
+  return exportSteps(stepsFromWorkflow(workflow), {
+    title: `${workflow.patternName || workflow.workflowType} workflow: ${workflow.target || 'unknown target'}`,
+    ...options
+  });
+}
+
+/**
+ * Renders a runnable script for all events captured in a session
+ * @param {Array} batchRecords - Batch records of the session
+ * @param {Object} [options] - Export options (see exportSteps)
+ * @returns {string} Script source
+ */
+export function exportSession(batchRecords, options = {}) {
+  const events = batchRecords.flatMap(record => record.events || []);
+  return exportSteps(stepsFromEvents(events), {
+    title: 'Recorded session',
+    ...options
+  });
+}
@@ -0,0 +1,348 @@
+// Ranked locators for captured elements. Each target gets candidates from
+// the most to the least robust strategy (test id, role and name, label,
+// visible text, CSS, XPath), each checked against the live document, so
+// exports and replay rely on locators that pick exactly that element.
+
+import { getAriaRole, getAccessibleName, findFieldLabel, roleSelector } from './accessibility.js';
+import { SHADOW_SEPARATOR, queryDeepAll } from './shadow_dom.js';
+
+// In order of preference
+const LOCATOR_STRATEGIES = ['testId', 'role', 'label', 'text', 'css', 'xpath'];
+
+const TEST_ID_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa'];
+// Roles worth finding by name; landmarks and generic containers aren't
+const NAMED_ROLES = [
+  'button', 'link', 'checkbox', 'radio', 'switch', 'textbox', 'searchbox', 'combobox',
+  'listbox', 'option', 'slider', 'spinbutton', 'tab', 'menuitem', 'menuitemcheckbox',
+  'menuitemradio', 'treeitem', 'heading', 'img', 'cell', 'row', 'listitem'
+];
+// Attributes that identify an element in a CSS selector, best first
+const CSS_ATTRIBUTES = ['name', 'aria-label', 'placeholder', 'title', 'alt', 'for'];
+// Longest name or text a locator is built from
+const MAX_TEXT_LENGTH = 80;
+// Ancestors a CSS selector may include before giving up on uniqueness
+const MAX_CSS_DEPTH = 5;
+const FIELD_SELECTOR = 'input, select, textarea, [contenteditable="true"], [contenteditable=""]';
+// Elements a role, label or text locator is checked against at most; past
+// this the check costs too much to run while an event is being captured
+const MAX_SCANNED_ELEMENTS = 1000;
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * Collapses whitespace
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether an id or class looks hand-written rather than generated by a
+ * framework or build tool, and so is likely to survive the next deploy
+ * @param {string} value - Id or class name
+ * @returns {boolean}
+ */
+function isStableToken(value) {
+  return Boolean(value) &&
+    value.length <= 40 &&
+    !/\d{3,}|[0-9a-f]{6,}|^\d|^:|__|^(css|sc|jsx|emotion|ember|react|mui|svelte)-/i.test(value);
+}
+
+/**
+ * Quotes an attribute value for a CSS selector
+ * @param {string} name - Attribute name
+ * @param {string} value - Attribute value
+ * @returns {string} Attribute selector
+ */
+function cssAttribute(name, value) {
+  return `[${name}="${String(value).replace(/["\\]/g, '\\$&')}"]`;
+}
+
+/**
+ * Label a form field is found by (see findFieldLabel)
+ * @param {Element} el - Form field
+ * @returns {string} Normalized label
+ */
+function fieldLabel(el) {
+  return normalizeText(findFieldLabel(el));
+}
+
+// Roots found per document, until a mutation in any of them: { roots, observer }
+const rootCache = new WeakMap();
+
+/**
+ * Walks a document for its open shadow roots, nested ones included
+ * @param {Document} doc - Document
+ * @returns {Array<Document|ShadowRoot>} The document, then its shadow roots
+ */
+function scanRoots(doc) {
+  const roots = [doc];
+  for (let i = 0; i < roots.length; i++) {
+    roots[i].querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) roots.push(el.shadowRoot);
+    });
+  }
+  return roots;
+}
+
+/**
+ * Lists the document and every open shadow root in it. The walk is cached
+ * until the DOM of the document or of one of its shadow roots changes.
+ * @param {Document} doc - Document
+ * @returns {Array<Document|ShadowRoot>} Roots to search
+ */
+export function collectRoots(doc = document) {
+  let cache = rootCache.get(doc);
+  if (!cache) {
+    cache = { roots: null, observer: null };
+    cache.observer = new MutationObserver(() => { cache.roots = null; });
+    rootCache.set(doc, cache);
+  }
+  // Changes made earlier in this task haven't reached the callback yet
+  if (cache.observer.takeRecords().length > 0) cache.roots = null;
+
+  if (!cache.roots) {
+    cache.roots = scanRoots(doc);
+    cache.observer.disconnect();
+    cache.roots.forEach(root => cache.observer.observe(root, { childList: true, subtree: true }));
+  }
+  return cache.roots;
+}
+
+/**
+ * Runs a selector in every root
+ * @param {Array} roots - Roots from collectRoots
+ * @param {string} selector - CSS selector
+ * @param {number} [maxMatches] - Gives up past this many matches
+ * @returns {Array<Element>|null} Matches, null when there are too many
+ */
+function queryRoots(roots, selector, maxMatches = Infinity) {
+  const matches = [];
+  for (const root of roots) {
+    matches.push(...root.querySelectorAll(selector));
+    if (matches.length > maxMatches) return null;
+  }
+  return matches;
+}
+
+/**
+ * Counts the matches of a selector within one root, 0 when it doesn't parse
+ * @param {Document|ShadowRoot} root - Root
+ * @param {string} selector - CSS selector
+ * @returns {number} Matches
+ */
+function countMatches(root, selector) {
+  try {
+    return root.querySelectorAll(selector).length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Builds the selector part for one element, from its most identifying trait
+ * @param {Element} el - Element
+ * @returns {string} Selector part
+ */
+function ownSelector(el) {
+  const tag = CSS.escape(el.localName);
+  if (isStableToken(el.id)) return `#${CSS.escape(el.id)}`;
+
+  const attribute = CSS_ATTRIBUTES.find(name => {
+    const value = el.getAttribute(name);
+    return value && value.length <= MAX_TEXT_LENGTH;
+  });
+  if (attribute) return `${tag}${cssAttribute(attribute, el.getAttribute(attribute))}`;
+
+  const classes = Array.from(el.classList).filter(isStableToken).slice(0, 2);
+  return `${tag}${classes.map(c => `.${CSS.escape(c)}`).join('')}`;
+}
+
+/**
+ * Builds a CSS selector unique within the element's own root, adding
+ * ancestors and sibling indexes until it is
+ * @param {Element} el - Element
+ * @param {Document|ShadowRoot} root - Root the element is in
+ * @returns {string|null} Selector, null when none is unique
+ */
+function buildScopedCss(el, root) {
+  const parts = [ownSelector(el)];
+  let top = el;
+
+  for (let depth = 0; depth < MAX_CSS_DEPTH; depth++) {
+    if (countMatches(root, parts.join(' > ')) === 1) return parts.join(' > ');
+
+    // Tell the topmost element apart from same-tag siblings
+    const siblings = top.parentElement ? Array.from(top.parentElement.children).filter(s => s.localName === top.localName) : [];
+    if (siblings.length > 1 && !parts[0].startsWith('#')) {
+      parts[0] += `:nth-of-type(${siblings.indexOf(top) + 1})`;
+      if (countMatches(root, parts.join(' > ')) === 1) return parts.join(' > ');
+    }
+
+    top = top.parentElement;
+    if (!top) break;
+    parts.unshift(ownSelector(top));
+  }
+
+  return null;
+}
+
+/**
+ * Builds a unique CSS selector, piercing shadow roots with SHADOW_SEPARATOR
+ * @param {Element} el - Element
+ * @returns {string|null} Selector
+ */
+function buildCss(el) {
+  const root = el.getRootNode();
+  const scoped = buildScopedCss(el, root);
+  if (!scoped) return null;
+  if (!(root instanceof ShadowRoot)) return scoped;
+
+  const host = buildCss(root.host);
+  return host ? `${host}${SHADOW_SEPARATOR}${scoped}` : null;
+}
+
+/**
+ * Builds an XPath from the nearest ancestor with a stable id. XPath can't
+ * reach into shadow roots, so elements inside them get none.
+ * @param {Element} el - Element
+ * @returns {string|null} XPath
+ */
+function buildXPath(el) {
+  if (el.getRootNode() instanceof ShadowRoot) return null;
+
+  const steps = [];
+  for (let node = el; node; node = node.parentElement) {
+    if (node !== el && isStableToken(node.id) && !node.id.includes('"')) {
+      return `//*[@id="${node.id}"]/${steps.join('/')}`;
+    }
+    const name = node.namespaceURI === HTML_NAMESPACE ? node.localName : `*[local-name()="${node.localName}"]`;
+    const sameName = node.parentElement
+      ? Array.from(node.parentElement.children).filter(s => s.localName === node.localName)
+      : [node];
+    steps.unshift(`${name}[${sameName.indexOf(node) + 1}]`);
+  }
+  return `/${steps.join('/')}`;
+}
+
+/**
+ * Finds the elements a locator matches
+ * @param {Object} locator - Candidate from buildLocators
+ * @param {Array} [roots] - Roots from collectRoots
+ * @param {number} [maxScanned] - Most elements a role, label or text
+ *   locator is checked against
+ * @returns {Array<Element>|null} Matches, null when there were more elements to check than maxScanned
+ */
+export function findByLocator(locator, roots = collectRoots(document), maxScanned = Infinity) {
+  try {
+    switch (locator.strategy) {
+      case 'testId':
+        return queryRoots(roots, cssAttribute(locator.attribute, locator.value));
+      case 'role':
+        return queryRoots(roots, roleSelector(locator.role), maxScanned)
+          ?.filter(el => getAriaRole(el) === locator.role && normalizeText(getAccessibleName(el)) === locator.name) ?? null;
+      case 'label':
+        return queryRoots(roots, FIELD_SELECTOR, maxScanned)?.filter(el => fieldLabel(el) === locator.label) ?? null;
+      case 'text':
+        // The innermost elements with the text, not every ancestor around it.
+        // Collapsing whitespace only shortens a text, so shorter ones can't match.
+        return queryRoots(roots, CSS.escape(locator.tag), maxScanned)
+          ?.filter(el => (el.textContent || '').length >= locator.text.length &&
+            normalizeText(el.textContent) === locator.text &&
+            !Array.from(el.children).some(child => normalizeText(child.textContent) === locator.text)) ?? null;
+      case 'css':
+        return queryDeepAll(locator.css, roots[0]);
+      case 'xpath': {
+        const doc = roots[0].ownerDocument || roots[0];
+        const result = doc.evaluate(locator.xpath, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        return Array.from({ length: result.snapshotLength }, (_, i) => result.snapshotItem(i));
+      }
+      default:
+        return [];
+    }
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Builds the candidate locators of an element, unique ones first, then in
+ * LOCATOR_STRATEGIES order. Candidates are built and checked in order of
+ * preference until one is unique; the rest aren't worth a scan, except CSS,
+ * which exports need as a selector. XPath is only tried when nothing else is
+ * unique. Candidates that don't find the element at all, or are too costly to
+ * check, are dropped.
+ * @param {Element} el - Captured element
+ * @returns {Array<Object>} Candidates ({ strategy, ...fields, count, unique })
+ */
+export function buildLocators(el) {
+  if (!(el instanceof Element)) return [];
+  const roots = collectRoots(el.ownerDocument);
+  const checked = [];
+
+  // Keeps a candidate that finds the element; true when it finds only that
+  const check = (candidate) => {
+    if (!candidate) return false;
+    const matches = findByLocator(candidate, roots, MAX_SCANNED_ELEMENTS);
+    if (!matches?.includes(el)) return false;
+    checked.push({ ...candidate, count: matches.length, unique: matches.length === 1 });
+    return matches.length === 1;
+  };
+
+  const isField = el.matches(FIELD_SELECTOR);
+  const preferred = [
+    () => {
+      const attribute = TEST_ID_ATTRIBUTES.find(name => el.getAttribute(name));
+      return attribute && { strategy: 'testId', attribute, value: el.getAttribute(attribute) };
+    },
+    () => {
+      const role = getAriaRole(el);
+      if (!NAMED_ROLES.includes(role)) return null;
+      const name = normalizeText(getAccessibleName(el));
+      return name && name.length <= MAX_TEXT_LENGTH && { strategy: 'role', role, name };
+    },
+    () => {
+      const label = isField ? fieldLabel(el) : '';
+      return label && label.length <= MAX_TEXT_LENGTH && { strategy: 'label', label };
+    },
+    () => {
+      const text = isField ? '' : normalizeText(el.textContent);
+      return text && text.length <= MAX_TEXT_LENGTH && { strategy: 'text', text, tag: el.localName };
+    }
+  ];
+
+  let unique = false;
+  for (const build of preferred) {
+    unique = check(build());
+    if (unique) break;
+  }
+
+  const css = buildCss(el);
+  if (check(css && { strategy: 'css', css })) unique = true;
+
+  if (!unique) {
+    const xpath = buildXPath(el);
+    check(xpath && { strategy: 'xpath', xpath });
+  }
+
+  return checked.sort((a, b) => Number(b.unique) - Number(a.unique) ||
+    LOCATOR_STRATEGIES.indexOf(a.strategy) - LOCATOR_STRATEGIES.indexOf(b.strategy));
+}
+
+/**
+ * Renders a locator for summaries and the dashboard
+ * @param {Object} locator - Candidate from buildLocators
+ * @returns {string} Description
+ */
+export function describeLocator(locator) {
+  switch (locator.strategy) {
+    case 'testId': return cssAttribute(locator.attribute, locator.value);
+    case 'role': return `${locator.role} "${locator.name}"`;
+    case 'label': return `field labelled "${locator.label}"`;
+    case 'text': return `${locator.tag} with text "${locator.text}"`;
+    case 'css': return locator.css;
+    case 'xpath': return locator.xpath;
+    default: return '';
+  }
+}
@@ -0,0 +1,491 @@
+// IndexedDB-backed history of everything the logger captures.
+// Every record belongs to a session and carries the tab, URL and time it was
+// captured at, so the popup, dashboard and exporters can query whole days of
+// activity instead of just the latest batch.
+
+const DB_NAME = 'llm-logger-history';
+const DB_VERSION = 2;
+const SESSIONS_STORE = 'sessions';
+const RECORDS_STORE = 'records';
+
+// A new session starts after this much inactivity
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // 30 minutes
+// Records older than this are pruned on startup
+const HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export const RECORD_KINDS = {
+  BATCH: 'batch',
+  WORKFLOW: 'workflow',
+  SUMMARY: 'summary',
+  DESCRIPTION: 'description'
+};
+
+let dbPromise = null;
+let currentSession = null;
+// Lookup of the latest stored session, shared by concurrent callers
+let currentSessionPromise = null;
+
+/**
+ * Wraps an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wrap
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction has committed
+ * @param {IDBTransaction} tx - Transaction to wait for
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Opens (and upgrades if needed) the history database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+        const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        sessions.createIndex('startTime', 'startTime');
+        sessions.createIndex('lastActivity', 'lastActivity');
+      }
+
+      if (!db.objectStoreNames.contains(RECORDS_STORE)) {
+        const records = db.createObjectStore(RECORDS_STORE, { keyPath: 'id' });
+        records.createIndex('timestamp', 'timestamp');
+        records.createIndex('sessionId', 'sessionId');
+        records.createIndex('tabId', 'tabId');
+        records.createIndex('kind', 'kind');
+        records.createIndex('domain', 'domain');
+        records.createIndex('workflowType', 'workflowType');
+      }
+
+      // Version 2: summaries carry a completion status
+      const records = request.transaction.objectStore(RECORDS_STORE);
+      if (!records.indexNames.contains('completionStatus')) {
+        records.createIndex('completionStatus', 'completionStatus');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Extracts the hostname from a URL
+ * @param {string} url - URL to parse
+ * @returns {string|null} Hostname or null for invalid URLs
+ */
+export function getDomain(url) {
+  if (!url) return null;
+  try {
+    return new URL(url).hostname || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads the most recently active stored session
+ * @returns {Promise<Object|null>} Session record, null when none is stored
+ */
+async function findLatestSession() {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, 'readonly');
+  const cursor = await promisifyRequest(
+    tx.objectStore(SESSIONS_STORE).index('lastActivity').openCursor(null, 'prev')
+  );
+  return cursor ? cursor.value : null;
+}
+
+/**
+ * Returns the active session, starting a new one after a period of inactivity
+ * @param {number} now - Current timestamp
+ * @returns {Promise<Object>} Session record
+ */
+export async function getCurrentSession(now = Date.now()) {
+  if (!currentSession) {
+    // Service workers restart often, so resume the latest stored session.
+    // Callers arriving while it loads wait for the same lookup instead of
+    // each resuming (or starting) a session of their own.
+    currentSessionPromise ??= findLatestSession().catch(error => {
+      currentSessionPromise = null;
+      throw error;
+    });
+    const latest = await currentSessionPromise;
+    currentSession ??= latest;
+  }
+
+  if (!currentSession || now - currentSession.lastActivity > SESSION_IDLE_TIMEOUT) {
+    currentSession = {
+      id: crypto.randomUUID(),
+      startTime: now,
+      lastActivity: now,
+      tabIds: [],
+      domains: []
+    };
+    // The stored session the lookup found has ended
+    currentSessionPromise = null;
+    console.log('🗂️ Started new history session:', currentSession.id);
+  }
+
+  return currentSession;
+}
+
+/**
+ * Builds a record for the records store
+ * @param {Object} session - Session the record belongs to
+ * @param {string} kind - One of RECORD_KINDS
+ * @param {Object} fields - Record fields (tabId, url, timestamp, data, ...)
+ * @returns {Object} Record ready to be stored
+ */
+function buildRecord(session, kind, fields) {
+  const { tabId = null, url = null, timestamp = Date.now(), ...rest } = fields;
+  return {
+    id: crypto.randomUUID(),
+    kind,
+    sessionId: session.id,
+    tabId,
+    url,
+    domain: getDomain(url),
+    timestamp,
+    ...rest
+  };
+}
+
+/**
+ * Updates the session's activity bookkeeping for a set of records
+ * @param {Object} session - Session to update
+ * @param {Array} records - Records being added
+ */
+function touchSession(session, records) {
+  records.forEach(record => {
+    if (record.tabId != null && !session.tabIds.includes(record.tabId)) {
+      session.tabIds.push(record.tabId);
+    }
+    if (record.domain && !session.domains.includes(record.domain)) {
+      session.domains.push(record.domain);
+    }
+    session.lastActivity = Math.max(session.lastActivity, record.timestamp);
+  });
+}
+
+/**
+ * Writes records and the updated session in a single transaction
+ * @param {Array} records - Records to store
+ * @returns {Promise<Array>} Stored records
+ */
+async function putRecords(records) {
+  if (records.length === 0) return records;
+
+  const db = await openDatabase();
+  const session = await getCurrentSession();
+  records.forEach(record => { record.sessionId = session.id; });
+  touchSession(session, records);
+
+  const tx = db.transaction([SESSIONS_STORE, RECORDS_STORE], 'readwrite');
+  tx.objectStore(SESSIONS_STORE).put(session);
+  const store = tx.objectStore(RECORDS_STORE);
+  records.forEach(record => store.put(record));
+  await transactionDone(tx);
+
+  return records;
+}
+
+/**
+ * Stores a processed batch along with its workflows and summary
+ * @param {Object} batch - Batch to store
+ * @param {Array} batch.events - Raw events of the batch (images are stripped)
+ * @param {string|null} batch.summary - Generated summary text, if any
+ * @param {Object|null} [batch.structuredSummary] - Summary fields (see SUMMARY_SCHEMA)
+ * @returns {Promise<Object|null>} The stored batch record, null for an empty batch
+ */
+export async function recordBatch({ events, summary, structuredSummary = null }) {
+  // Nothing to store, and no start time to give it
+  if (!events?.length) return null;
+
+  const session = await getCurrentSession();
+  const now = Date.now();
+  const tabIds = [...new Set(events.map(e => e.tabId).filter(id => id != null))];
+  const lastWithUrl = [...events].reverse().find(e => e.url);
+
+  const batchRecord = buildRecord(session, RECORD_KINDS.BATCH, {
+    tabId: tabIds.length === 1 ? tabIds[0] : null,
+    url: lastWithUrl?.url || null,
+    timestamp: now,
+    tabIds,
+    startTime: Math.min(...events.map(e => e.timestamp || e.ts || e.startTime || now)),
+    events: events
+      .filter(e => e.type !== 'workflow')
+      .map(e => ({ ...e, imgBase64: null }))
+  });
+
+  const workflowRecords = events
+    .filter(e => e.type === 'workflow')
+    .map(w => buildRecord(session, RECORD_KINDS.WORKFLOW, {
+      tabId: w.tabId ?? null,
+      url: w.url || null,
+      timestamp: w.startTime,
+      batchId: batchRecord.id,
+      workflowType: w.workflowType,
+      workflow: w
+    }));
+
+  const summaryRecord = buildRecord(session, RECORD_KINDS.SUMMARY, {
+    tabId: batchRecord.tabId,
+    url: batchRecord.url,
+    timestamp: now,
+    batchId: batchRecord.id,
+    summary,
+    structuredSummary,
+    completionStatus: structuredSummary?.completionStatus || null,
+    mainTask: structuredSummary?.mainTask || null
+  });
+
+  // Batches whose summary failed are kept without one
+  await putRecords([batchRecord, ...workflowRecords, ...(summary ? [summaryRecord] : [])]);
+  return batchRecord;
+}
+
+/**
+ * Stores a VLM description of a screenshot
+ * @param {Object} entry - Description entry
+ * @returns {Promise<Object>} The stored record
+ */
+export async function recordDescription({ tabId, url, timestamp, trigger, description }) {
+  const session = await getCurrentSession();
+  const [record] = await putRecords([
+    buildRecord(session, RECORD_KINDS.DESCRIPTION, { tabId, url, timestamp, trigger, description })
+  ]);
+  return record;
+}
+
+/**
+ * Checks whether a record matches the non-indexed query filters
+ * @param {Object} record - Stored record
+ * @param {Object} filters - Query filters
+ * @returns {boolean} Whether the record matches
+ */
+function matchesQuery(record, filters) {
+  const { kinds, sessionId, tabId, url, domain, workflowType, completionStatus } = filters;
+
+  if (kinds?.length && !kinds.includes(record.kind)) return false;
+  if (sessionId && record.sessionId !== sessionId) return false;
+  if (tabId != null && record.tabId !== tabId) return false;
+  if (url && !(record.url || '').toLowerCase().includes(url.toLowerCase())) return false;
+  if (domain) {
+    const host = record.domain || '';
+    if (host !== domain && !host.endsWith(`.${domain}`)) return false;
+  }
+  // With both set, each applies to its own record kind; filterRecords then
+  // keeps the batches that satisfy both
+  const combined = workflowType && completionStatus;
+  if (workflowType && !(combined && record.kind === RECORD_KINDS.SUMMARY) &&
+      record.workflowType !== workflowType) return false;
+  if (completionStatus && !(combined && record.kind === RECORD_KINDS.WORKFLOW) &&
+      record.completionStatus !== completionStatus) return false;
+
+  return true;
+}
+
+/**
+ * Filters records by a query's non-indexed filters. A workflow type and a
+ * completion status together select the workflows and summaries of the
+ * batches that have both a workflow of that type and a summary with that status.
+ * @param {Array} records - Stored records
+ * @param {Object} query - Query filters (see queryRecords)
+ * @returns {Array} Matching records, in their original order
+ */
+export function filterRecords(records, query = {}) {
+  const matching = records.filter(record => matchesQuery(record, query));
+  if (!(query.workflowType && query.completionStatus)) return matching;
+
+  const batchesOf = (kind) => new Set(matching.filter(r => r.kind === kind).map(r => r.batchId));
+  const workflowBatches = batchesOf(RECORD_KINDS.WORKFLOW);
+  const summaryBatches = batchesOf(RECORD_KINDS.SUMMARY);
+  return matching.filter(r => r.batchId != null && workflowBatches.has(r.batchId) && summaryBatches.has(r.batchId));
+}
+
+/**
+ * Builds a store query from the history filters the dashboard offers
+ * @param {Object} filters - Filter values
+ * @param {string} [filters.workflowType] - Workflow type
+ * @param {string} [filters.completionStatus] - Summary completion status
+ * @param {string} [filters.domain] - Domain
+ * @param {number} [filters.from] - Start of the time range
+ * @param {number} [filters.to] - End of the time range
+ * @param {number} [filters.limit] - Maximum number of records
+ * @returns {Object} Query for queryRecords
+ */
+export function buildRecordQuery({ workflowType, completionStatus, domain, from, to, limit } = {}) {
+  const query = {};
+  const kinds = [];
+  if (workflowType) {
+    kinds.push(RECORD_KINDS.WORKFLOW);
+    query.workflowType = workflowType;
+  }
+  if (completionStatus) {
+    kinds.push(RECORD_KINDS.SUMMARY);
+    query.completionStatus = completionStatus;
+  }
+  if (kinds.length > 0) query.kinds = kinds;
+  if (domain) query.domain = domain;
+  if (from != null) query.from = from;
+  if (to != null) query.to = to;
+  if (limit != null) query.limit = limit;
+  return query;
+}
+
+/**
+ * Queries stored records
+ * @param {Object} [query] - Query options
+ * @param {Array<string>} [query.kinds] - Record kinds to include
+ * @param {number} [query.from] - Start of the time range (inclusive)
+ * @param {number} [query.to] - End of the time range (inclusive)
+ * @param {string} [query.sessionId] - Only records of this session
+ * @param {number} [query.tabId] - Only records of this tab
+ * @param {string} [query.url] - Substring the record URL must contain
+ * @param {string} [query.domain] - Domain (or parent domain) of the record URL
+ * @param {string} [query.workflowType] - Workflow type for workflow records
+ * @param {string} [query.completionStatus] - Completion status for summary records;
+ *   with workflowType, only batches matching both (see filterRecords)
+ * @param {number} [query.limit] - Maximum number of records
+ * @param {string} [query.order] - 'desc' (newest first, default) or 'asc'
+ * @returns {Promise<Array>} Matching records
+ */
+export async function queryRecords(query = {}) {
+  const { from, to, limit = Infinity, order = 'desc' } = query;
+  // A combined filter is only settled once every record in range is read
+  const combined = Boolean(query.workflowType && query.completionStatus);
+  const db = await openDatabase();
+
+  let range = null;
+  if (from != null && to != null) range = IDBKeyRange.bound(from, to);
+  else if (from != null) range = IDBKeyRange.lowerBound(from);
+  else if (to != null) range = IDBKeyRange.upperBound(to);
+
+  const tx = db.transaction(RECORDS_STORE, 'readonly');
+  const index = tx.objectStore(RECORDS_STORE).index('timestamp');
+  const results = [];
+
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor(range, order === 'asc' ? 'next' : 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || (!combined && results.length >= limit)) {
+        resolve();
+        return;
+      }
+      if (matchesQuery(cursor.value, query)) {
+        results.push(cursor.value);
+      }
+      cursor.continue();
+    };
+  });
+
+  return combined ? filterRecords(results, query).slice(0, limit) : results;
+}
+
+/**
+ * Lists stored sessions, newest first
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.from] - Only sessions active after this time
+ * @param {number} [options.to] - Only sessions started before this time
+ * @param {number} [options.limit] - Maximum number of sessions
+ * @returns {Promise<Array>} Sessions
+ */
+export async function listSessions({ from, to, limit = Infinity } = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS_STORE, 'readonly');
+  const sessions = await promisifyRequest(tx.objectStore(SESSIONS_STORE).getAll());
+
+  return sessions
+    .filter(s => (from == null || s.lastActivity >= from) && (to == null || s.startTime <= to))
+    .sort((a, b) => b.startTime - a.startTime)
+    .slice(0, limit);
+}
+
+/**
+ * Deletes records (and emptied sessions) older than a timestamp
+ * @param {number} before - Cut-off timestamp
+ * @returns {Promise<number>} Number of deleted records
+ */
+export async function pruneHistory(before = Date.now() - HISTORY_RETENTION) {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSIONS_STORE, RECORDS_STORE], 'readwrite');
+  const records = tx.objectStore(RECORDS_STORE);
+  const sessions = tx.objectStore(SESSIONS_STORE);
+  let deleted = 0;
+
+  await new Promise((resolve, reject) => {
+    const request = records.index('timestamp').openCursor(IDBKeyRange.upperBound(before, true));
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      deleted++;
+      cursor.continue();
+    };
+  });
+
+  await new Promise((resolve, reject) => {
+    const request = sessions.index('lastActivity').openCursor(IDBKeyRange.upperBound(before, true));
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (currentSession?.id !== cursor.value.id) cursor.delete();
+      cursor.continue();
+    };
+  });
+
+  await transactionDone(tx);
+  return deleted;
+}
+
+/**
+ * Removes all stored history
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSIONS_STORE, RECORDS_STORE], 'readwrite');
+  tx.objectStore(SESSIONS_STORE).clear();
+  tx.objectStore(RECORDS_STORE).clear();
+  await transactionDone(tx);
+  currentSession = null;
+  currentSessionPromise = null;
+}
@@ -0,0 +1,246 @@
+// Extension settings, stored in chrome.storage.local and merged over defaults.
+// Every part of the extension reads settings through this module so changes
+// made on the options page apply live.
+
+export const SETTINGS_KEY = 'settings';
+
+export const CAPTURE_MODES = {
+  EVENTS_SCREENSHOTS: 'events_screenshots',
+  EVENTS: 'events',
+  OFF: 'off'
+};
+
+export const BACKEND_PROVIDERS = {
+  WEBLLM: 'webllm',
+  OPENAI: 'openai',
+  RULES: 'rules'
+};
+
+export const SUMMARIZER_MODES = {
+  MODEL: 'model',
+  RULES: 'rules'
+};
+
+export const DEFAULT_SETTINGS = {
+  // Inference backend used by the VLM and summarizer workers
+  backend: {
+    provider: BACKEND_PROVIDERS.WEBLLM,
+    // Jobs run at once; web-llm always runs one at a time
+    concurrency: 1,
+    // Queued jobs beyond which new screenshot descriptions are rejected
+    maxQueueDepth: 20,
+    webllm: {
+      model: 'Llama-3.1-8B-Instruct-q4f32_1-MLC'
+    },
+    // Any OpenAI-compatible server, e.g. llama.cpp (http://localhost:8080/v1)
+    // or Ollama (http://localhost:11434/v1)
+    openai: {
+      baseUrl: 'http://localhost:11434/v1',
+      apiKey: '',
+      model: 'llama3.1',
+      // Model for screenshot descriptions; the text model is used when empty
+      visionModel: '',
+      timeout: 120000
+    }
+  },
+  summarizer: {
+    // 'model' asks the inference backend, 'rules' builds reproducible summaries from templates
+    mode: SUMMARIZER_MODES.MODEL,
+    // Use the rule-based summary when the model fails to load or answer
+    fallbackToRules: true
+  },
+  workflows: {
+    // Match the built-in Field Update, Form Submission and Navigation patterns
+    builtIn: true,
+    // User-defined patterns, matched before the built-in ones (see workflow_patterns.js)
+    patterns: []
+  },
+  capture: {
+    // Mode for sites without a matching rule
+    defaultMode: CAPTURE_MODES.EVENTS_SCREENSHOTS,
+    // Only capture on sites matching an allow rule
+    allowlistOnly: false,
+    // Site rules, first match wins: [{ match, list: 'allow' | 'deny', mode }]
+    siteRules: [],
+    // Event kinds the content script records
+    eventKinds: {
+      click: true,
+      change: true,
+      select: true,
+      submit: true,
+      navigation: true,
+      // Typing is coalesced into one event per field edit
+      input: true,
+      paste: true,
+      // Keyboard shortcuts such as Enter, Escape and Ctrl+S
+      keydown: true,
+      // Drag and drop, reordering and file drops
+      drop: true,
+      // Network requests an interaction triggered, with their status
+      request: true
+    },
+    // Near-identical screenshots of a tab are dropped before they reach the model
+    dedup: {
+      enabled: true,
+      // Max differing bits (of 64) between perceptual hashes to compare pixels at all
+      hashDistance: 6,
+      // Max share of downscaled pixels that changed for a capture to count as a duplicate
+      diffRatio: 0.01,
+      // Recent captures per tab each new one is compared with
+      recent: 5
+    }
+  },
+  redaction: {
+    enabled: true,
+    // Built-in detectors applied to every captured value
+    detectors: {
+      email: true,
+      phone: true,
+      creditCard: true,
+      nationalId: true,
+      iban: true
+    },
+    // Replace whole free-text values (text inputs, textareas) instead of scanning them
+    maskFreeText: false,
+    // User-defined patterns: [{ name, pattern, flags }]
+    customPatterns: [],
+    // Field rules matched against label, name and id: [{ label, action: 'redact' | 'allow' }]
+    fieldRules: [
+      { label: 'ssn|social security|passport|national id|tax id|iban|account number|card number|cvv|cvc|security code|date of birth', action: 'redact' }
+    ],
+    // Screenshot masking, applied before images are stored or sent to the VLM
+    screenshots: {
+      enabled: true,
+      style: 'blackout', // 'blackout' | 'blur'
+      // Extra CSS selectors whose regions are always masked
+      selectors: []
+    },
+    // Per-site overrides: [{ match, ...any of the settings above }]
+    siteOverrides: []
+  }
+};
+
+/**
+ * Checks whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep-merges stored settings over defaults (objects merge, arrays replace)
+ * @param {Object} defaults - Default values
+ * @param {Object} overrides - Values that take precedence
+ * @returns {Object} Merged settings
+ */
+export function mergeSettings(defaults, overrides) {
+  if (!isPlainObject(overrides)) return structuredClone(defaults);
+
+  const merged = structuredClone(defaults);
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeSettings(merged[key], value)
+      : structuredClone(value);
+  });
+  return merged;
+}
+
+/**
+ * Loads the current settings
+ * @returns {Promise<Object>} Settings merged over defaults
+ */
+export async function loadSettings() {
+  const { [SETTINGS_KEY]: stored } = await chrome.storage.local.get(SETTINGS_KEY);
+  return mergeSettings(DEFAULT_SETTINGS, stored);
+}
+
+/**
+ * Saves a partial settings update
+ * @param {Object} patch - Settings to change, merged into the stored settings
+ * @returns {Promise<Object>} The new settings
+ */
+export async function saveSettings(patch) {
+  const { [SETTINGS_KEY]: stored = {} } = await chrome.storage.local.get(SETTINGS_KEY);
+  const next = mergeSettings(stored, patch);
+  await chrome.storage.local.set({ [SETTINGS_KEY]: next });
+  return mergeSettings(DEFAULT_SETTINGS, next);
+}
+
+/**
+ * Calls back with the full settings whenever they change
+ * @param {Function} callback - Receives the new settings
+ * @returns {Function} Unsubscribe function
+ */
+export function watchSettings(callback) {
+  const listener = (changes, area) => {
+    if (area !== 'local' || !changes[SETTINGS_KEY]) return;
+    callback(mergeSettings(DEFAULT_SETTINGS, changes[SETTINGS_KEY].newValue));
+  };
+  chrome.storage.onChanged.addListener(listener);
+  return () => chrome.storage.onChanged.removeListener(listener);
+}
+
+/**
+ * Matches a URL against a site pattern.
+ * Patterns are a host ("example.com", also matching subdomains), a host
+ * wildcard ("*.example.com") or a URL prefix with optional * wildcards
+ * ("https://example.com/admin/*").
+ * @param {string} pattern - Site pattern
+ * @param {string} url - URL to test
+ * @returns {boolean} Whether the URL matches
+ */
+export function matchesUrlPattern(pattern, url) {
+  if (!pattern || !url) return false;
+  const trimmed = pattern.trim();
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  // Bare host patterns
+  if (!trimmed.includes('/')) {
+    const host = trimmed.replace(/^\*\./, '').toLowerCase();
+    const hostname = parsed.hostname.toLowerCase();
+    return hostname === host || hostname.endsWith(`.${host}`);
+  }
+
+  // URL patterns with wildcards; a missing scheme matches any scheme
+  const withScheme = /^[a-z*]+:\/\//i.test(trimmed) ? trimmed : `*://${trimmed}`;
+  const regex = new RegExp(`^${withScheme
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')}`, 'i');
+  return regex.test(url);
+}
+
+/**
+ * Resolves the capture mode for a URL from the capture settings
+ * @param {Object} capture - Capture settings
+ * @param {string} url - Page URL
+ * @returns {string} One of CAPTURE_MODES
+ */
+export function resolveCaptureMode(capture, url) {
+  const rule = (capture.siteRules || []).find(r => matchesUrlPattern(r.match, url));
+  if (rule) {
+    return rule.list === 'deny' ? CAPTURE_MODES.OFF : (rule.mode || capture.defaultMode);
+  }
+  return capture.allowlistOnly ? CAPTURE_MODES.OFF : capture.defaultMode;
+}
+
+/**
+ * Checks whether an event kind is recorded for a URL
+ * @param {Object} capture - Capture settings
+ * @param {string} url - Page URL
+ * @param {string} kind - Event type
+ * @returns {boolean} Whether the event should be recorded
+ */
+export function isEventCaptured(capture, url, kind) {
+  if (resolveCaptureMode(capture, url) === CAPTURE_MODES.OFF) return false;
+  // Kinds without a toggle (e.g. tab navigations) follow the site mode
+  return capture.eventKinds?.[kind] !== false;
+}
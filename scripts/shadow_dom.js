@@ -0,0 +1,61 @@
+// Helpers for elements inside shadow roots. Events from web components are
+// retargeted to the component's host by the time they reach the document,
+// and most form events don't leave the shadow root at all.
+
+// Separates a path inside a shadow root from the path to its host, as in
+// Puppeteer's deep selectors
+export const SHADOW_SEPARATOR = ' >>> ';
+
+// Events the browser doesn't let out of a shadow root
+const UNCOMPOSED_EVENTS = ['change', 'select', 'submit'];
+
+/**
+ * Finds the element an event really happened on, inside open shadow roots
+ * @param {Event} e - DOM event
+ * @returns {EventTarget} Innermost element of the event path, e.target otherwise
+ */
+export function getEventTarget(e) {
+  const path = e.composedPath?.() || [];
+  return path.find(node => node instanceof Element) || e.target;
+}
+
+/**
+ * Returns an element's parent, continuing from a shadow root to its host
+ * @param {Element} el - Element
+ * @returns {Element|null} Parent element or shadow host
+ */
+export function getComposedParent(el) {
+  if (el.parentElement) return el.parentElement;
+  return el.parentNode instanceof ShadowRoot ? el.parentNode.host : null;
+}
+
+/**
+ * Runs a selector that may pierce shadow roots with SHADOW_SEPARATOR
+ * @param {string} selector - CSS selector, with SHADOW_SEPARATOR between shadow levels
+ * @param {Document|ShadowRoot} [root] - Where to start
+ * @returns {Array<Element>} Matching elements
+ */
+export function queryDeepAll(selector, root = document) {
+  const [outer, ...inner] = selector.split(SHADOW_SEPARATOR);
+  return inner.reduce(
+    (hosts, part) => hosts.flatMap(host => (host.shadowRoot ? Array.from(host.shadowRoot.querySelectorAll(part)) : [])),
+    Array.from(root.querySelectorAll(outer))
+  );
+}
+
+/**
+ * Makes events that stay inside shadow roots reach a listener. Each shadow
+ * root an event passed through gets the listener for UNCOMPOSED_EVENTS, so
+ * it is enough to call this from events that do cross (focus, pointer).
+ * @param {Event} e - Composed event that may come from inside shadow roots
+ * @param {Function} listener - Listener for the uncomposed events
+ * @param {WeakSet} observed - Shadow roots already listened to
+ */
+export function listenInShadowRoots(e, listener, observed) {
+  (e.composedPath?.() || [])
+    .filter(node => node instanceof ShadowRoot && !observed.has(node))
+    .forEach(root => {
+      observed.add(root);
+      UNCOMPOSED_EVENTS.forEach(type => root.addEventListener(type, listener, { capture: true, passive: true }));
+    });
+}
@@ -1,4 +1,18 @@
-import enginePromise from './getEngine.js';
+import { getEngine } from './getEngine.js';
+import { buildRuleBasedSummary } from './rule_summarizer.js';
+import { DEFAULT_SETTINGS, SUMMARIZER_MODES } from './settings.js';
+import { describeAnalysis } from './analysis_schema.js';
+import { describeRequest } from './network_tracker.js';
+import {
+  COMPLETION_STATUSES,
+  SUMMARY_SCHEMA,
+  formatSummaryText,
+  parseJsonReply,
+  repairSummary,
+  validateSummary
+} from './summary_schema.js';
+
+// Batch summaries, run by the engine worker
 
 // Constants for event categorization and timing
 const CONSTANTS = {
@@ -7,12 +21,16 @@ const CONSTANTS = {
   DRAG_EVENT_TYPES: ['dragstart', 'drag', 'dragenter', 'dragover', 'dragleave', 'drop'],
   TEXT_EVENT_TYPES: ['input', 'keydown', 'keyup', 'paste', 'cut', 'copy'],
   GROUP_TIME_THRESHOLD: 2000, // milliseconds
-  MAX_CACHE_SIZE: 50
+  MAX_CACHE_SIZE: 50,
+  MAX_SUMMARY_ATTEMPTS: 2
 };
 
 // Cache for summarized responses
 const summaryCache = new Map();
 
+// Summarizer settings, sent by the background with the backend settings
+let summarizerConfig = DEFAULT_SETTINGS.summarizer;
+
 // Template for workflow summary
 const SUMMARY_TEMPLATE = `Analyze this sequence of user interactions and create a detailed workflow summary.
 Focus on the specific values and changes made during the user's interactions.
@@ -20,75 +38,136 @@ Focus on the specific values and changes made during the user's interactions.
 Event Sequence:
 {eventBlocks}
 
-Provide a structured summary in the following format:
-
-[FINAL SUMMARY] WORKFLOW SUMMARY
---------------
-Step-by-Step Actions:
-1. [First action with EXACT field values - What field was changed? From what value to what value?]
-2. [Second action with EXACT field values]
-3. [Continue with numbered steps...]
+Reply with a single JSON object and nothing else, with these fields:
+- "steps": step-by-step actions, each with the EXACT field values (what field was changed, from what value to what value)
+- "startPoint": initial page/state with any relevant field values
+- "endPoint": final page/state with any relevant field values
+- "keyInteractions": each form field change as { "field", "from", "to" } with the exact values
+- "mainTask": what the user was trying to accomplish
+- "completionStatus": one of ${Object.values(COMPLETION_STATUSES).map(s => `"${s}"`).join(', ')}
+- "completionDetail": why the task is considered completed or not
+- "patterns": any repeated actions or patterns in field updates
 
-Context Details:
-- Starting Point: [Initial page/state with any relevant field values]
-- End Point: [Final page/state with any relevant field values]
-- Key Interactions: [List each form field change with exact before/after values]
-
-Process Analysis:
-- Main Task: [What was the user trying to accomplish]
-- Completion Status: [Whether the task was completed]
-- Notable Patterns: [Any repeated actions or patterns in field updates]
+Requests show how the server answered an action: when the last action's request failed (4xx, 5xx or a network error), the task "failed".
 
 IMPORTANT: Always include the exact values that were changed in fields, not just the field names.
 For example, instead of "Updated Category field", say "Changed Category field from 'Electronics' to 'Books'"`;
 
 /**
- * Main message handler for the summarizer worker
+ * Applies new summarizer settings
+ * @param {Object} config - Summarizer settings (see DEFAULT_SETTINGS.summarizer)
+ */
+export function configureSummarizer(config) {
+  summarizerConfig = config || DEFAULT_SETTINGS.summarizer;
+  summaryCache.clear();
+}
+
+/**
+ * Summarises a batch of events
+ * @param {Object} data - summarise request ({ id, events })
+ * @returns {Promise<Object>} Response with summary text, structuredSummary and generator
+ */
+export async function summariseEvents(data) {
+  const cacheKey = generateCacheKey(data.events);
+  
+  // Check cache first
+  if (summaryCache.has(cacheKey)) {
+    return summaryCache.get(cacheKey);
+  }
+
+  const response = {
+    id: data.id,
+    ...(await summarise(data.events)),
+  };
+
+  // Cache model responses; rule-based ones are cheap to rebuild and a
+  // fallback shouldn't stick once the model is back
+  if (response.generator === 'model') summaryCache.set(cacheKey, response);
+  if (summaryCache.size > CONSTANTS.MAX_CACHE_SIZE) {
+    const firstKey = summaryCache.keys().next().value;
+    summaryCache.delete(firstKey);
+  }
+
+  return response;
+}
+
+/**
+ * Builds a rule-based response
+ * @param {Object} events - Object containing workflows and otherEvents
+ * @returns {Object} { summary, structuredSummary, generator: 'rules' }
  */
-self.onmessage = async ({ data }) => {
-  if (data.cmd !== 'summarise') return;
+function ruleBasedResponse(events) {
+  const structuredSummary = buildRuleBasedSummary(events);
+  return { summary: formatSummaryText(structuredSummary), structuredSummary, generator: 'rules' };
+}
+
+/**
+ * Parses and validates model output, repairing it where possible
+ * @param {string} text - Model output
+ * @returns {Object} { summary } when valid, { errors } otherwise
+ */
+function checkSummary(text) {
+  const parsed = parseJsonReply(text);
+  if (parsed === null) return { errors: ['Reply is not a JSON object'] };
+  if (validateSummary(parsed).length === 0) return { summary: parsed };
+
+  const repaired = repairSummary(parsed);
+  const errors = validateSummary(repaired);
+  return errors.length === 0 ? { summary: repaired } : { errors };
+}
+
+/**
+ * Summarises events with the model, or from templates in rules mode, without
+ * a model backend, or when the model fails and the fallback is enabled.
+ * Model output is constrained to SUMMARY_SCHEMA, validated and repaired;
+ * output that can't be repaired is retried with the errors.
+ * @param {Object} events - Object containing workflows and otherEvents
+ * @returns {Promise<Object>} { summary, structuredSummary, generator: 'model' | 'rules' }
+ */
+async function summarise(events) {
+  if (summarizerConfig.mode === SUMMARIZER_MODES.RULES) {
+    return ruleBasedResponse(events);
+  }
 
   try {
-    const engine = await enginePromise;
-    const cacheKey = generateCacheKey(data.events);
-    
-    // Check cache first
-    if (summaryCache.has(cacheKey)) {
-      self.postMessage(summaryCache.get(cacheKey));
-      return;
+    const engine = await getEngine();
+    if (!engine.usesModel) {
+      return ruleBasedResponse(events);
     }
 
-    const groupedEvents = groupRelatedEvents(data.events);
+    const groupedEvents = groupRelatedEvents(events);
     const eventBlocks = buildEventBlocks(groupedEvents);
     const prompt = SUMMARY_TEMPLATE.replace('{eventBlocks}', eventBlocks.join('\n\n'));
+    const messages = [{ role: 'user', content: prompt }];
+
+    let errors = [];
+    for (let attempt = 1; attempt <= CONSTANTS.MAX_SUMMARY_ATTEMPTS; attempt++) {
+      const reply = await engine.complete({
+        messages,
+        schema: SUMMARY_SCHEMA,
+        max_tokens: 700,
+        temperature: 0.2,
+      });
 
-    const result = await engine.chat.completions.create({
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 500,
-      temperature: 0.2,
-    });
-
-    const response = {
-      id: data.id,
-      summary: result.choices[0].message.content.trim(),
-    };
+      const result = checkSummary(reply);
+      if (result.summary) {
+        return { summary: formatSummaryText(result.summary), structuredSummary: result.summary, generator: 'model' };
+      }
 
-    // Cache the response
-    summaryCache.set(cacheKey, response);
-    if (summaryCache.size > CONSTANTS.MAX_CACHE_SIZE) {
-      const firstKey = summaryCache.keys().next().value;
-      summaryCache.delete(firstKey);
+      errors = result.errors;
+      console.warn(`⚠ Invalid summary (attempt ${attempt}):`, errors.join('; '));
+      messages.push(
+        { role: 'assistant', content: reply },
+        { role: 'user', content: `That reply is not valid: ${errors.join('; ')}. Reply again with only the corrected JSON object.` }
+      );
     }
-
-    self.postMessage(response);
+    throw new Error(`Model returned an invalid summary: ${errors.join('; ')}`);
   } catch (error) {
-    console.error('Error in summarizer worker:', error);
-    self.postMessage({
-      id: data.id,
-      error: error.message
-    });
+    if (!summarizerConfig.fallbackToRules) throw error;
+    console.warn('⚠ Model summary failed, using rule-based summary:', error.message);
+    return ruleBasedResponse(events);
   }
-};
+}
 
 /**
  * Generates a cache key for a set of events
@@ -135,7 +214,7 @@ function determineEventCategory(events) {
   if (types.some(t => ['tabNavigate', 'navigation'].includes(t))) {
     return 'Navigation';
   }
-  if (types.some(t => CONSTANTS.DRAG_EVENT_TYPES.slice(0, 2).includes(t))) {
+  if (types.some(t => CONSTANTS.DRAG_EVENT_TYPES.includes(t))) {
     return 'Content Manipulation';
   }
   if (types.some(t => ['click', 'dblclick', 'contextmenu'].includes(t))) {
@@ -160,6 +239,9 @@ function groupRelatedEvents(eventData) {
   const workflowEvents = workflows.map(w => ({
     type: 'workflow',
     workflowType: w.type,
+    completed: w.completed,
+    outcome: w.outcome,
+    target: w.target,
     timestamp: w.startTime,
     description: `${w.type} workflow: ${w.target}`,
     steps: w.steps,
@@ -254,8 +336,8 @@ function areEventsRelated(event1, event2) {
     const context1 = event1.structuredAnalysis.interaction.context;
     const context2 = event2.structuredAnalysis.interaction.context;
     
-    if (context1?.user_flow && context1.user_flow === context2?.user_flow) return true;
-    if (context1?.parent_container && context1.parent_container === context2?.parent_container) return true;
+    if (sameText(context1?.user_flow, context2?.user_flow)) return true;
+    if (sameText(context1?.parent_container, context2?.parent_container)) return true;
   }
   
   // Fall back to basic relationship checks
@@ -267,6 +349,17 @@ function areEventsRelated(event1, event2) {
   );
 }
 
+/**
+ * Compares two model-written values, ignoring case and surrounding whitespace
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} Whether both are set and equal
+ */
+function sameText(a, b) {
+  if (!a || !b) return false;
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
 /**
  * Checks if an event is a form event
  * @param {Object} event - Event to check
@@ -334,7 +427,8 @@ function formatEventDetails(evt, index) {
 
   // Add context-specific details
   if (evt.type === 'workflow') {
-    mainDetail += `${evt.workflowType} workflow on "${evt.target}"`;
+    mainDetail += `${evt.workflowType} workflow on "${evt.target}"${evt.completed === false ? ' (not completed)' : ''}`;
+    if (evt.outcome) mainDetail += ` [${evt.outcome.status}: ${evt.outcome.detail}]`;
     if (evt.steps?.length > 0) {
       details.push(mainDetail);
       evt.steps.forEach((step, i) => {
@@ -343,6 +437,10 @@ function formatEventDetails(evt, index) {
           const fd = step.details.fieldDetails;
           stepDetail += ` (Field: "${fd.fieldLabel || fd.name}", Value: "${fd.value}")`;
         }
+        const changedFields = (step.details?.formFields || []).filter(field => field.changed);
+        if (changedFields.length > 0) {
+          stepDetail += ` (Changed: ${changedFields.map(field => `"${field.fieldLabel}" from "${field.initialValue}" to "${field.value}"`).join(', ')})`;
+        }
         details.push(stepDetail);
       });
       return details;
@@ -350,7 +448,14 @@ function formatEventDetails(evt, index) {
   }
   else if (evt.type === 'navigation') {
     mainDetail += `Navigated to: ${evt.pageTitle} (${evt.url})`;
+    if (evt.navigation) {
+      const timing = evt.navigation.duration != null ? `, ${evt.navigation.duration} ms` : '';
+      details.push(`    From: ${evt.navigation.from} (${evt.navigation.kind}${timing})`);
+    }
   } 
+  else if (evt.type === 'request' && evt.request) {
+    mainDetail += `Request ${describeRequest(evt.request)}${evt.request.ok ? '' : ' FAILED'}`;
+  }
   else if (evt.type === 'click') {
     if (evt.href) {
       mainDetail += `Clicked link "${evt.identifier}" → ${evt.href}`;
@@ -376,9 +481,22 @@ function formatEventDetails(evt, index) {
       mainDetail += ` in ${evt.parentContext}`;
     }
   }
+  else if (evt.type === 'keydown' || evt.type === 'paste' || evt.type === 'drop') {
+    mainDetail += evt.description || evt.contextualDescription;
+  }
+  else if (evt.type === 'screenshot' && evt.structuredAnalysis) {
+    mainDetail += `Screen: ${describeAnalysis(evt.structuredAnalysis)}`;
+  }
   else if (evt.type === 'submit') {
     mainDetail += `Submitted form${evt.parentContext ? ` in ${evt.parentContext}` : ''}`;
-    if (evt.formData) {
+    if (evt.submitter) mainDetail += ` with "${evt.submitter.label}"`;
+    if (evt.formFields) {
+      // Fields the user changed say what they were before
+      details.push('    Form data:');
+      evt.formFields.forEach(field => {
+        details.push(`      ${field.fieldLabel}: ${field.value}${field.changed ? ` (was "${field.initialValue}")` : ''}`);
+      });
+    } else if (evt.formData) {
       details.push('    Form data:');
       Object.entries(evt.formData).forEach(([key, value]) => {
         details.push(`      ${key}: ${value}`);
@@ -388,9 +506,24 @@ function formatEventDetails(evt, index) {
 
   details.unshift(mainDetail);
 
-  // Add any additional context
-  if (evt.description && !mainDetail.includes(evt.description)) {
-    details.push(`    Details: ${evt.description}`);
+  if (evt.locator) {
+    details.push(`    Element: ${evt.locator}`);
+  }
+
+  // Events from embedded frames say which frame
+  if (evt.frameId && evt.frameUrl) {
+    details.push(`    In frame: ${evt.frameUrl}`);
+  }
+
+  // What the screenshot after an interaction showed
+  if (evt.type !== 'screenshot' && evt.structuredAnalysis) {
+    details.push(`    Screen analysis: ${describeAnalysis(evt.structuredAnalysis)}`);
+  }
+
+  // Add any additional context; the analysis replaces a screenshot's raw reply
+  const description = evt.description || evt.contextualDescription;
+  if (description && !mainDetail.includes(description) && !(evt.type === 'screenshot' && evt.structuredAnalysis)) {
+    details.push(`    Details: ${description}`);
   }
 
   return details;
@@ -0,0 +1,57 @@
+// What the summarizer gets of a batch: its workflows and the other events,
+// reduced to the fields summaries are built from.
+
+import { describeLocator } from './selector_engine.js';
+
+/**
+ * Builds the summarise request's events from a batch
+ * @param {Array} events - Batch events, workflows included
+ * @returns {Object} { workflows, otherEvents } (see summariseEvents)
+ */
+export function buildSummaryInput(events) {
+  // Group events by workflow
+  const workflows = events.filter(e => e.type === 'workflow');
+  const otherEvents = events.filter(e => e.type !== 'workflow');
+
+  return {
+    workflows: workflows.map(w => ({
+      type: w.patternName || w.workflowType,
+      completed: w.completed,
+      outcome: w.outcome || null,
+      target: w.target,
+      startTime: w.startTime,
+      duration: w.duration,
+      steps: w.steps.map(s => ({
+        action: s.action,
+        details: s.details
+      }))
+    })),
+    otherEvents: otherEvents.map(evt => ({
+      type: evt.type,
+      elementType: evt.elementType,
+      identifier: evt.identifier,
+      href: evt.href,
+      path: evt.path,
+      // Best captured locator, unique when the event was recorded
+      locator: evt.locators?.[0] ? describeLocator(evt.locators[0]) : null,
+      frameId: evt.frameId ?? 0,
+      frameUrl: evt.frameUrl || null,
+      structuredAnalysis: evt.structuredAnalysis || null,
+      contextualDescription: evt.description || evt.label,
+      actionType: evt.actionType || 'interaction',
+      fieldDetails: evt.fieldDetails || null,
+      fieldChange: evt.fieldChange || null,
+      formData: evt.formData,
+      // Each submitted field, with its value when the form was first seen if it changed
+      formFields: evt.formFields || null,
+      submitter: evt.submitter || null,
+      eventId: evt.eventId,
+      // Requests say which action triggered them and how it went
+      triggeredBy: evt.triggeredBy || null,
+      request: evt.request || null,
+      url: evt.url,
+      pageTitle: evt.pageTitle || evt.title,
+      timestamp: evt.timestamp || evt.ts
+    }))
+  };
+}
@@ -0,0 +1,193 @@
+// Structured workflow summaries: the JSON schema the model's output is
+// constrained to, validation and repair of what comes back, and the text
+// rendering kept for the popup and older history entries.
+
+export const COMPLETION_STATUSES = {
+  COMPLETED: 'completed',
+  PARTIAL: 'partial',
+  // The action reached the server and was refused, e.g. a 4xx after submit
+  FAILED: 'failed',
+  ABANDONED: 'abandoned',
+  UNKNOWN: 'unknown'
+};
+
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    steps: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Step-by-step actions with exact field values'
+    },
+    startPoint: { type: 'string', description: 'Initial page or state' },
+    endPoint: { type: 'string', description: 'Final page or state' },
+    keyInteractions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          from: { type: 'string' },
+          to: { type: 'string' }
+        },
+        required: ['field', 'from', 'to']
+      }
+    },
+    mainTask: { type: 'string', description: 'What the user was trying to accomplish' },
+    completionStatus: { type: 'string', enum: Object.values(COMPLETION_STATUSES) },
+    completionDetail: { type: 'string', description: 'Why the task is considered completed or not' },
+    patterns: {
+      type: 'array',
+      items: { type: 'string' },
+      description: 'Repeated actions or patterns in field updates'
+    }
+  },
+  required: ['steps', 'startPoint', 'endPoint', 'keyInteractions', 'mainTask', 'completionStatus', 'patterns']
+};
+
+// Words models use for a status, mapped onto COMPLETION_STATUSES
+const STATUS_SYNONYMS = [
+  [/^(complete|completed|done|success|successful|finished|yes)\b/i, COMPLETION_STATUSES.COMPLETED],
+  [/^(partial|partially|incomplete|in progress|ongoing|pending)\b/i, COMPLETION_STATUSES.PARTIAL],
+  [/^(failed|failure|error|errored|rejected|unsuccessful)\b/i, COMPLETION_STATUSES.FAILED],
+  [/^(abandoned|cancel|cancelled|canceled|no)\b/i, COMPLETION_STATUSES.ABANDONED]
+];
+
+/**
+ * Validates a summary object against SUMMARY_SCHEMA
+ * @param {*} summary - Parsed summary
+ * @returns {Array} Error messages, empty when valid
+ */
+export function validateSummary(summary) {
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) {
+    return ['Summary must be an object'];
+  }
+
+  const errors = [];
+  const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!isStringList(summary.steps)) errors.push('steps must be a list of strings');
+  if (!isStringList(summary.patterns)) errors.push('patterns must be a list of strings');
+  ['startPoint', 'endPoint', 'mainTask'].forEach(key => {
+    if (typeof summary[key] !== 'string' || !summary[key].trim()) errors.push(`${key} must be a non-empty string`);
+  });
+  if (!Object.values(COMPLETION_STATUSES).includes(summary.completionStatus)) {
+    errors.push(`completionStatus must be one of ${Object.values(COMPLETION_STATUSES).join(', ')}`);
+  }
+  if (summary.completionDetail !== undefined && typeof summary.completionDetail !== 'string') {
+    errors.push('completionDetail must be a string');
+  }
+  if (!Array.isArray(summary.keyInteractions) || !summary.keyInteractions.every(item =>
+    item && typeof item === 'object' && ['field', 'from', 'to'].every(key => typeof item[key] === 'string'))) {
+    errors.push('keyInteractions must be a list of { field, from, to } strings');
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts a JSON object from model output, tolerating code fences and prose.
+ * Also used for the screenshot analyses (see analysis_schema.js).
+ * @param {string} text - Model output
+ * @returns {*} Parsed value, or null when there is no JSON object
+ */
+export function parseJsonReply(text) {
+  if (typeof text !== 'string') return null;
+  const unfenced = text.replace(/```(?:json)?/gi, '');
+  const start = unfenced.indexOf('{');
+  const end = unfenced.lastIndexOf('}');
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(unfenced.slice(start, end + 1));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Converts a value to a trimmed string
+ * @param {*} value - Value to convert
+ * @returns {string} String value
+ */
+export function toText(value) {
+  if (value === undefined || value === null) return '';
+  return (typeof value === 'object' ? JSON.stringify(value) : String(value)).trim();
+}
+
+/**
+ * Converts a value to a list of strings
+ * @param {*} value - List, single value or newline separated text
+ * @returns {Array} Strings
+ */
+export function toTextList(value) {
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean);
+  if (typeof value === 'string') {
+    return value.split('\n').map(line => line.replace(/^\s*(?:\d+[.)]|[-*])\s*/, '').trim()).filter(Boolean);
+  }
+  return value ? [toText(value)] : [];
+}
+
+/**
+ * Repairs common deviations: wrong types, missing fields, synonyms for the
+ * completion status. Returns null when there is nothing to repair from.
+ * @param {*} summary - Parsed summary
+ * @returns {Object|null} Repaired summary
+ */
+export function repairSummary(summary) {
+  if (!summary || typeof summary !== 'object' || Array.isArray(summary)) return null;
+
+  const status = toText(summary.completionStatus ?? summary.completion_status ?? summary.status);
+  const normalizedStatus = Object.values(COMPLETION_STATUSES).includes(status.toLowerCase())
+    ? status.toLowerCase()
+    : (STATUS_SYNONYMS.find(([pattern]) => pattern.test(status))?.[1] || COMPLETION_STATUSES.UNKNOWN);
+
+  const repaired = {
+    steps: toTextList(summary.steps),
+    startPoint: toText(summary.startPoint ?? summary.start_point) || 'Unknown',
+    endPoint: toText(summary.endPoint ?? summary.end_point) || 'Unknown',
+    keyInteractions: (Array.isArray(summary.keyInteractions ?? summary.key_interactions)
+      ? (summary.keyInteractions ?? summary.key_interactions)
+      : [])
+      .map(item => (item && typeof item === 'object'
+        ? { field: toText(item.field), from: toText(item.from), to: toText(item.to) }
+        : { field: toText(item), from: '', to: '' }))
+      .filter(item => item.field),
+    mainTask: toText(summary.mainTask ?? summary.main_task) || 'Unknown',
+    completionStatus: normalizedStatus,
+    patterns: toTextList(summary.patterns)
+  };
+  const detail = toText(summary.completionDetail) || (normalizedStatus !== status.toLowerCase() ? status : '');
+  if (detail) repaired.completionDetail = detail;
+
+  return repaired;
+}
+
+/**
+ * Renders a structured summary in the WORKFLOW SUMMARY text format
+ * @param {Object} summary - Valid summary
+ * @returns {string} Summary text
+ */
+export function formatSummaryText(summary) {
+  const interactions = summary.keyInteractions.map(({ field, from, to }) =>
+    (from ? `"${field}" from "${from}" to "${to}"` : `"${field}" set to "${to}"`));
+  const status = summary.completionDetail
+    ? `${summary.completionStatus} (${summary.completionDetail})`
+    : summary.completionStatus;
+
+  return [
+    '[FINAL SUMMARY] WORKFLOW SUMMARY',
+    '--------------',
+    'Step-by-Step Actions:',
+    ...(summary.steps.length ? summary.steps.map((step, i) => `${i + 1}. ${step}`) : ['1. No user actions recorded']),
+    '',
+    'Context Details:',
+    `- Starting Point: ${summary.startPoint}`,
+    `- End Point: ${summary.endPoint}`,
+    `- Key Interactions: ${interactions.length ? interactions.join('; ') : 'None'}`,
+    '',
+    'Process Analysis:',
+    `- Main Task: ${summary.mainTask}`,
+    `- Completion Status: ${status}`,
+    `- Notable Patterns: ${summary.patterns.length ? summary.patterns.join('; ') : 'None'}`
+  ].join('\n');
+}
@@ -1,4 +1,7 @@
-import enginePromise from './getEngine.js';
+import { getEngine } from './getEngine.js';
+import { ANALYSIS_SCHEMA, INTERACTION_CATEGORIES, parseAnalysis } from './analysis_schema.js';
+
+// Screenshot descriptions, run by the engine worker
 
 // Constants for event categorization
 const EVENT_SECTIONS = {
@@ -15,11 +18,11 @@ const responseCache = new Map();
 // Template for VLM analysis prompt
 const ANALYSIS_TEMPLATE = `Analyze this micro-interaction in detail. The captured event context is:
 {eventContext}
-
-Provide a structured analysis in JSON-like format:
+{focusNote}
+Reply with a single JSON object and nothing else, in this format:
 {
   "interaction": {
-    "category": "[Form Input|Navigation|UI Control|Data Manipulation|Media Control]",
+    "category": "[${INTERACTION_CATEGORIES.join('|')}]",
     "action": {
       "type": "[The specific interaction type]",
       "target": "[The element interacted with]",
@@ -32,8 +35,7 @@ Provide a structured analysis in JSON-like format:
     },
     "sequence": [
       "Step 1: [First micro-action]",
-      "Step 2: [Second micro-action]",
-      ...
+      "Step 2: [Second micro-action]"
     ],
     "visual_evidence": {
       "confirms_action": "[yes/no]",
@@ -127,12 +129,13 @@ function formatInputDetails(inputDetails) {
  * @returns {string} Formatted spatial information
  */
 function formatSpatialInfo(rect) {
-  const spatial = [`Screen Position: (${rect.x}, ${rect.y})`];
+  const spatial = [`Page Position: (${rect.x}, ${rect.y})`];
   
-  if (rect.viewportX !== undefined) {
+  if (rect.viewportX != null) {
     spatial.push(`Viewport Position: (${rect.viewportX}, ${rect.viewportY})`);
   }
   spatial.push(`Size: ${rect.width}x${rect.height}`);
+  if (rect.devicePixelRatio) spatial.push(`Device Pixel Ratio: ${rect.devicePixelRatio}`);
   
   return spatial.join('\n');
 }
@@ -153,82 +156,89 @@ function formatSections(sections) {
 }
 
 /**
- * Attempts to parse JSON-like structure from VLM response
- * @param {string} description - Raw VLM response
- * @returns {Object|null} Parsed structure or null
+ * Clears cached descriptions, e.g. after the backend changed
  */
-function parseStructuredAnalysis(description) {
-  try {
-    const jsonMatch = description.match(/\{[\s\S]*\}/);
-    return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
-  } catch (e) {
-    console.warn('Failed to parse structured analysis:', e);
-    return null;
-  }
+export function clearDescriptionCache() {
+  responseCache.clear();
 }
 
-// Main message handler
-self.onmessage = async ({ data }) => {
-  if (data.cmd !== 'describe') return;
-
-  try {
-    const engine = await enginePromise;
-    const cacheKey = `${data.id}-${data.imgBase64.slice(0, 100)}`;
-    
-    // Check cache first
-    if (responseCache.has(cacheKey)) {
-      self.postMessage(responseCache.get(cacheKey));
-      return;
-    }
+/**
+ * Describes a screenshot in the context of the event that triggered it
+ * @param {Object} data - describe request ({ id, imgBase64, cropBase64, eventContext })
+ * @returns {Promise<Object>} Response with description and structuredAnalysis
+ */
+export async function describeScreenshot(data) {
+  const engine = await getEngine();
+  const cacheKey = `${data.id}-${data.imgBase64.slice(0, 100)}`;
+  
+  // Check cache first
+  if (responseCache.has(cacheKey)) {
+    return responseCache.get(cacheKey);
+  }
 
-    const eventContextDesc = data.eventContext ? formatEventContext(data.eventContext) : '';
-    const userMessage = [{
-      role: 'user',
-      content: [
-        {
-          type: 'image_url',
-          image_url: {
-            url: `data:image/png;base64,${data.imgBase64}`,
-            format: 'image/png',
-          },
-        },
-        {
-          type: 'text',
-          text: ANALYSIS_TEMPLATE.replace('{eventContext}', eventContextDesc)
-        },
-      ],
-    }];
-
-    const result = await engine.chat.completions.create({
-      messages: userMessage,
-      max_tokens: 400,
-      temperature: 0.1,
-    });
-
-    const description = result.choices[0].message.content.trim();
-    const structuredAnalysis = parseStructuredAnalysis(description);
-    
-    const response = {
+  const eventContextDesc = data.eventContext ? formatEventContext(data.eventContext) : '';
+
+  // Without a vision model, describe the screenshot from its event context
+  if (!engine.supportsVision) {
+    return {
       id: data.id,
-      description,
-      structuredAnalysis,
+      description: `Screenshot captured (no vision model)\n\n${eventContextDesc}`.trim(),
+      structuredAnalysis: null,
       eventContext: data.eventContext
     };
+  }
 
-    // Cache the response
-    responseCache.set(cacheKey, response);
-    if (responseCache.size > 100) { // Prevent unbounded growth
-      const firstKey = responseCache.keys().next().value;
-      responseCache.delete(firstKey);
-    }
-
-    self.postMessage(response);
-  } catch (error) {
-    console.error('Error in VLM worker:', error);
-    self.postMessage({
-      id: data.id,
-      error: error.message,
-      eventContext: data.eventContext
-    });
+  // A close-up of the interacted element follows the full screenshot
+  const images = [data.imgBase64, data.cropBase64].filter(Boolean);
+  const focusNote = data.cropBase64
+    ? '\nThe first image is the full screen, the second a close-up of the element the user interacted with. Focus on what changed in and around that element.\n'
+    : '';
+
+  const userMessage = [{
+    role: 'user',
+    content: [
+      ...images.map(img => ({
+        type: 'image_url',
+        image_url: {
+          url: `data:image/png;base64,${img}`,
+          format: 'image/png',
+        },
+      })),
+      {
+        type: 'text',
+        text: ANALYSIS_TEMPLATE
+          .replace('{eventContext}', eventContextDesc)
+          .replace('{focusNote}', focusNote)
+      },
+    ],
+  }];
+
+  const description = await engine.complete({
+    messages: userMessage,
+    schema: ANALYSIS_SCHEMA,
+    max_tokens: 400,
+    temperature: 0.1,
+  });
+
+  // Only validated (or repaired) analyses reach the summarizer's grouping
+  const { analysis: structuredAnalysis = null, errors } = parseAnalysis(description);
+  if (errors) {
+    console.warn('⚠ Invalid screenshot analysis:', errors.join('; '));
+  }
+  
+  const response = {
+    id: data.id,
+    description,
+    structuredAnalysis,
+    eventContext: data.eventContext
+  };
+
+  // Cache the response
+  responseCache.set(cacheKey, response);
+  if (responseCache.size > 100) { // Prevent unbounded growth
+    const firstKey = responseCache.keys().next().value;
+    responseCache.delete(firstKey);
   }
-};
\ No newline at end of file
+
+  return response;
+}
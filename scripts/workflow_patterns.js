@@ -0,0 +1,233 @@
+// Declarative workflow patterns. A pattern is an ordered list of steps; a
+// workflow starts when an event matches the first step and completes once the
+// last required step has matched. Events in between are kept as context.
+//
+// {
+//   "name": "Approve expense",
+//   "url": "https://expenses.example.com/*",   // optional, string or list
+//   "timeout": 60000,                           // optional idle timeout (ms)
+//   "steps": [
+//     { "event": "click", "selector": "tr.expense-row" },
+//     { "event": "change", "field": "status|decision", "value": "approved" },
+//     { "event": "click", "role": "button", "name": "^approve$", "optional": true },
+//     { "event": "submit" }
+//   ]
+// }
+//
+// Step conditions, all optional and combined with AND:
+//   event     - event type or list of types
+//   element   - tag name or list of tag names of the target
+//   selector  - CSS selector the target (or an ancestor) matches
+//   role      - ARIA role of the target
+//   name      - regex on the accessible name of the target
+//   field     - regex on the field label
+//   value     - regex on the new field value
+//   optional  - the step may be skipped
+
+import { matchesUrlPattern } from './settings.js';
+
+// Idle time after which an open workflow is finished, unless the pattern sets one
+export const DEFAULT_PATTERN_TIMEOUT = 5000;
+
+const STEP_KEYS = ['event', 'element', 'selector', 'role', 'name', 'field', 'value', 'optional'];
+const REGEX_KEYS = ['name', 'field', 'value'];
+
+// The original hard-coded patterns, in the declarative format
+export const BUILT_IN_PATTERNS = [
+  {
+    id: 'FIELD_UPDATE',
+    name: 'Field Update',
+    steps: [
+      { event: ['select', 'click'], element: ['select', 'input', 'textarea'] },  // select for dropdowns, click for other fields
+      { event: ['change', 'input'] }  // typing is reported as input; its trailing change is dropped
+    ]
+  },
+  {
+    id: 'FORM_SUBMISSION',
+    name: 'Form Submission',
+    steps: [
+      { event: 'change', element: 'form' },
+      { event: 'submit' }
+    ]
+  },
+  {
+    id: 'NAVIGATION',
+    name: 'Navigation',
+    steps: [
+      { event: 'click', element: ['a', 'button'] },
+      { event: 'navigation' }
+    ]
+  }
+];
+
+/**
+ * Normalizes a string-or-list condition
+ * @param {string|Array} value - Condition value
+ * @returns {Array} List of values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Tests a case-insensitive regex condition; invalid patterns never match
+ * @param {string} pattern - Regex source
+ * @param {*} value - Value to test
+ * @returns {boolean} Whether the value matches
+ */
+function testRegex(pattern, value) {
+  if (value === undefined || value === null) return false;
+  try {
+    return new RegExp(pattern, 'i').test(String(value));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a pattern applies to a page
+ * @param {Object} pattern - Workflow pattern
+ * @param {string} url - Page URL
+ * @returns {boolean} Whether the pattern applies
+ */
+export function patternAppliesTo(pattern, url) {
+  if (!pattern.url) return true;
+  return toList(pattern.url).some(match => matchesUrlPattern(match, url));
+}
+
+/**
+ * Checks whether an event matches a pattern step
+ * @param {Object} step - Pattern step
+ * @param {Object} evt - Event as received from the content script
+ * @returns {boolean} Whether the event matches
+ */
+export function matchesStep(step, evt) {
+  if (step.event && !toList(step.event).includes(evt.type)) return false;
+  if (step.element && !toList(step.element).includes(evt.elementType)) return false;
+  if (step.selector && !(evt.matchedSelectors || []).includes(step.selector)) return false;
+  if (step.role && String(evt.role || '').toLowerCase() !== step.role.toLowerCase()) return false;
+  if (step.name && !testRegex(step.name, evt.accessibleName || evt.identifier)) return false;
+  if (step.field && !testRegex(step.field, evt.fieldChange?.field || evt.fieldDetails?.fieldLabel)) return false;
+  if (step.value && !testRegex(step.value, evt.fieldChange?.to ?? evt.fieldDetails?.value)) return false;
+  return true;
+}
+
+/**
+ * Finds the step an event advances a workflow to. Optional steps may be
+ * skipped, so every step up to and including the next required one is a
+ * candidate.
+ * @param {Object} pattern - Workflow pattern
+ * @param {number} position - Index of the next step to match
+ * @param {Object} evt - Event
+ * @returns {number} Index of the matched step, or -1
+ */
+export function findMatchingStep(pattern, position, evt) {
+  for (let i = position; i < pattern.steps.length; i++) {
+    if (matchesStep(pattern.steps[i], evt)) return i;
+    if (!pattern.steps[i].optional) break;
+  }
+  return -1;
+}
+
+/**
+ * Checks whether every step from a position on is optional
+ * @param {Object} pattern - Workflow pattern
+ * @param {number} position - Index of the next step to match
+ * @returns {boolean} Whether the workflow can be considered complete
+ */
+export function isComplete(pattern, position) {
+  return pattern.steps.slice(position).every(step => step.optional);
+}
+
+/**
+ * Returns the patterns to match, user-defined ones first
+ * @param {Object} workflows - Workflow settings ({ patterns, builtIn })
+ * @returns {Array} Patterns with an id
+ */
+export function resolvePatterns(workflows) {
+  const custom = (workflows?.patterns || [])
+    .filter(pattern => pattern?.name && pattern.steps?.length)
+    .map(pattern => ({ ...pattern, id: pattern.name }));
+  return workflows?.builtIn === false ? custom : [...custom, ...BUILT_IN_PATTERNS];
+}
+
+/**
+ * Collects the CSS selectors of the patterns applying to a page, so the
+ * content script can report which ones an event target matches
+ * @param {Object} workflows - Workflow settings
+ * @param {string} url - Page URL
+ * @returns {Array} Unique selectors
+ */
+export function collectSelectors(workflows, url) {
+  const selectors = resolvePatterns(workflows)
+    .filter(pattern => patternAppliesTo(pattern, url))
+    .flatMap(pattern => pattern.steps.map(step => step.selector).filter(Boolean));
+  return [...new Set(selectors)];
+}
+
+/**
+ * Validates user-defined patterns
+ * @param {*} patterns - Parsed patterns
+ * @returns {Array} Error messages, empty when valid
+ */
+export function validatePatterns(patterns) {
+  if (!Array.isArray(patterns)) return ['Patterns must be a list'];
+
+  const errors = [];
+  const names = new Set();
+  patterns.forEach((pattern, i) => {
+    const where = `Pattern ${i + 1}${pattern?.name ? ` ("${pattern.name}")` : ''}`;
+    if (!pattern || typeof pattern !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (!pattern.name || typeof pattern.name !== 'string') {
+      errors.push(`${where}: needs a name`);
+    } else if (names.has(pattern.name)) {
+      errors.push(`${where}: duplicate name`);
+    } else {
+      names.add(pattern.name);
+    }
+    if (pattern.timeout !== undefined && !(Number(pattern.timeout) > 0)) {
+      errors.push(`${where}: timeout must be a positive number of milliseconds`);
+    }
+    if (!Array.isArray(pattern.steps) || pattern.steps.length === 0) {
+      errors.push(`${where}: needs at least one step`);
+      return;
+    }
+    if (pattern.steps.every(step => step?.optional)) {
+      errors.push(`${where}: needs at least one required step`);
+    }
+
+    pattern.steps.forEach((step, j) => {
+      const stepWhere = `${where}, step ${j + 1}`;
+      if (!step || typeof step !== 'object') {
+        errors.push(`${stepWhere}: must be an object`);
+        return;
+      }
+      const unknown = Object.keys(step).filter(key => !STEP_KEYS.includes(key));
+      if (unknown.length) {
+        errors.push(`${stepWhere}: unknown condition ${unknown.join(', ')}`);
+      }
+      if (!STEP_KEYS.some(key => key !== 'optional' && step[key])) {
+        errors.push(`${stepWhere}: needs at least one condition`);
+      }
+      // Selectors can only be checked where there is a DOM (the options page)
+      if (step.selector && typeof document !== 'undefined') {
+        try {
+          document.createDocumentFragment().querySelector(step.selector);
+        } catch (error) {
+          errors.push(`${stepWhere}: invalid selector "${step.selector}"`);
+        }
+      }
+      REGEX_KEYS.filter(key => step[key]).forEach(key => {
+        try {
+          new RegExp(step[key], 'i');
+        } catch (error) {
+          errors.push(`${stepWhere}: invalid ${key} regex (${error.message})`);
+        }
+      });
+    });
+  });
+  return errors;
+}
@@ -0,0 +1,213 @@
+// Workflow detection, one state machine per tab and frame so events from
+// different tabs and iframes never interleave into the same workflow.
+// Patterns are declarative, see workflow_patterns.js.
+
+import { describeRequest } from './network_tracker.js';
+import {
+  DEFAULT_PATTERN_TIMEOUT,
+  findMatchingStep,
+  isComplete,
+  patternAppliesTo
+} from './workflow_patterns.js';
+
+/**
+ * Builds the key of a tab/frame context
+ * @param {number} tabId - Tab id
+ * @param {number} [frameId] - Frame id, 0 for the top frame
+ * @returns {string} Context key
+ */
+export function contextKey(tabId, frameId = 0) {
+  return `${tabId ?? 'none'}:${frameId ?? 0}`;
+}
+
+/**
+ * Builds a workflow step from an event
+ * @param {Object} evt - Event
+ * @param {number} now - Step time
+ * @returns {Object} Step
+ */
+function buildStep(evt, now) {
+  return {
+    action: evt.description || evt.type,
+    timestamp: now,
+    // Index of the pattern step this event matched, null for events in between
+    patternStep: null,
+    details: {
+      type: evt.type,
+      eventId: evt.eventId,
+      elementType: evt.elementType,
+      path: evt.path,
+      locators: evt.locators,
+      url: evt.url,
+      pageTitle: evt.pageTitle,
+      identifier: evt.identifier,
+      href: evt.href,
+      fieldDetails: evt.fieldDetails,
+      actionType: evt.actionType,
+      // Add field change details if available
+      fieldChange: evt.fieldChange ? {
+        field: evt.fieldChange.field,
+        from: evt.fieldChange.from,
+        to: evt.fieldChange.to,
+        options: evt.fieldChange.options
+      } : null,
+      // Add form data if available
+      formData: evt.formData,
+      formFields: evt.formFields,
+      submitter: evt.submitter,
+      // Outcome of a request, and the event that triggered it
+      request: evt.request,
+      triggeredBy: evt.triggeredBy
+    }
+  };
+}
+
+/**
+ * Adds a request to a finished workflow and updates its outcome: failed
+ * when any request failed, succeeded otherwise
+ * @param {Object} workflow - Workflow event
+ * @param {Object} request - Request summary ({ method, urlPattern, status, ok, error, duration })
+ */
+export function recordWorkflowRequest(workflow, request) {
+  workflow.requests = [...(workflow.requests || []), request];
+  const failed = workflow.requests.filter(r => !r.ok);
+  workflow.outcome = failed.length > 0
+    ? { status: 'failed', detail: failed.map(describeRequest).join('; ') }
+    : { status: 'succeeded', detail: `${workflow.requests.length} request${workflow.requests.length === 1 ? '' : 's'} succeeded` };
+}
+
+/**
+ * Creates a workflow tracker
+ * @param {Object} options - Tracker options
+ * @param {Function} options.getPatterns - Returns the patterns to match, in priority order
+ * @param {Function} options.onWorkflow - Receives each finished workflow and its context key
+ * @returns {Object} Tracker with track, finish and finishTab
+ */
+export function createWorkflowTracker({ getPatterns, onWorkflow }) {
+  // contextKey -> { tabId, frameId, pattern, position, workflow, timer }
+  const contexts = new Map();
+
+  /**
+   * Finishes the open workflow of a context, if any
+   * @param {string} key - Context key
+   */
+  function finish(key) {
+    const context = contexts.get(key);
+    if (!context) return;
+    clearTimeout(context.timer);
+    contexts.delete(key);
+
+    const { workflow, pattern } = context;
+    if (!workflow || workflow.steps.length === 0) return;
+
+    // Extract field changes for the summary
+    const fieldChanges = workflow.steps
+      .filter(step => step.details.fieldChange)
+      .map(step => step.details.fieldChange);
+
+    const workflowEvent = {
+      type: 'workflow',
+      workflowType: pattern.id,
+      patternName: pattern.name,
+      // Whether every required step of the pattern was seen
+      completed: isComplete(pattern, context.position),
+      target: workflow.target,
+      tabId: context.tabId,
+      frameId: context.frameId,
+      url: workflow.url,
+      steps: workflow.steps,
+      startTime: workflow.startTime,
+      endTime: workflow.lastEventTime,
+      duration: workflow.lastEventTime - workflow.startTime,
+      fieldChanges, // Add field changes to the workflow summary
+      // Set by recordWorkflowRequest once a step's request finishes
+      outcome: null
+    };
+    // Only requests the workflow's own actions triggered
+    const eventIds = new Set(workflow.steps.map(step => step.details.eventId));
+    workflow.steps
+      .filter(step => step.details.request && eventIds.has(step.details.triggeredBy))
+      .forEach(step => recordWorkflowRequest(workflowEvent, step.details.request));
+
+    onWorkflow(workflowEvent, key);
+  }
+
+  /**
+   * Starts a workflow for the first pattern whose first steps match the event
+   * @param {Object} evt - Event
+   * @param {number} now - Event time
+   * @returns {Object|null} New context, or null when no pattern starts
+   */
+  function start(evt, now) {
+    for (const pattern of getPatterns()) {
+      if (!patternAppliesTo(pattern, evt.url)) continue;
+      if (findMatchingStep(pattern, 0, evt) === -1) continue;
+      return {
+        tabId: evt.tabId ?? null,
+        frameId: evt.frameId ?? 0,
+        pattern,
+        position: 0,
+        timer: null,
+        workflow: {
+          target: evt.fieldDetails?.fieldLabel || evt.accessibleName || evt.identifier,
+          url: evt.url || null,
+          steps: [],
+          startTime: now,
+          lastEventTime: now
+        }
+      };
+    }
+    return null;
+  }
+
+  return {
+    /**
+     * Feeds an event into the workflow of its tab and frame
+     * @param {Object} evt - Event with tabId and frameId
+     */
+    track(evt) {
+      const now = Date.now();
+      const key = contextKey(evt.tabId, evt.frameId);
+
+      // Check if this event starts a new workflow
+      let context = contexts.get(key);
+      if (!context) {
+        context = start(evt, now);
+        if (!context) return;
+        contexts.set(key, context);
+      }
+
+      // Add step to the context's workflow, advancing the pattern when it matches
+      const step = buildStep(evt, now);
+      const matched = findMatchingStep(context.pattern, context.position, evt);
+      if (matched !== -1) {
+        step.patternStep = matched;
+        context.position = matched + 1;
+      }
+      context.workflow.steps.push(step);
+      context.workflow.lastEventTime = now;
+
+      // Check if this event ends the workflow
+      if (context.position >= context.pattern.steps.length) {
+        finish(key);
+        return;
+      }
+
+      // Each context times out on its own
+      clearTimeout(context.timer);
+      context.timer = setTimeout(() => finish(key), context.pattern.timeout || DEFAULT_PATTERN_TIMEOUT);
+    },
+
+    finish,
+
+    /**
+     * Finishes the open workflows of every frame of a tab
+     * @param {number} tabId - Tab id
+     */
+    finishTab(tabId) {
+      [...contexts.entries()]
+        .filter(([, context]) => context.tabId === tabId)
+        .forEach(([key]) => finish(key));
+    }
+  };
+}
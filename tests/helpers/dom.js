@@ -0,0 +1,46 @@
+// Browser globals for modules that run in pages (content script side), backed
+// by jsdom. Modules read them when called, so installing them before the
+// first call is enough.
+
+import { JSDOM } from 'jsdom';
+
+const GLOBALS = [
+  'window', 'document', 'Node', 'Element', 'HTMLElement', 'HTMLInputElement',
+  'ShadowRoot', 'MutationObserver', 'XPathResult', 'getComputedStyle', 'Event'
+];
+
+/**
+ * Serializes a string as a CSS identifier (CSSOM's CSS.escape, which jsdom lacks)
+ * @param {string} value - Identifier
+ * @returns {string} Escaped identifier
+ */
+function cssEscape(value) {
+  const string = String(value);
+  return Array.from(string, (char, index) => {
+    const code = char.codePointAt(0);
+    if (code === 0) return '�';
+    if ((code >= 0x1 && code <= 0x1f) || code === 0x7f ||
+        (index === 0 && /\d/.test(char)) ||
+        (index === 1 && /\d/.test(char) && string[0] === '-')) {
+      return `\\${code.toString(16)} `;
+    }
+    if (index === 0 && char === '-' && string.length === 1) return '\\-';
+    if (code >= 0x80 || /[\w-]/.test(char)) return char;
+    return `\\${char}`;
+  }).join('');
+}
+
+/**
+ * Replaces the global document with a new one
+ * @param {string} html - Body markup
+ * @returns {JSDOM} The new DOM
+ */
+export function installDom(html = '') {
+  const dom = new JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`);
+  GLOBALS.forEach(name => {
+    const value = dom.window[name];
+    globalThis[name] = typeof value === 'function' && /^[a-z]/.test(name) ? value.bind(dom.window) : value;
+  });
+  globalThis.CSS = { escape: cssEscape };
+  return dom;
+}
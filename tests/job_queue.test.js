@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createJobQueue } from '../scripts/job_queue.js';
+
+/**
+ * Creates a queue that records the order jobs start in
+ * @param {Object} [options] - Queue options
+ * @returns {Object} Queue, plus the ids of started jobs
+ */
+function recordingQueue(options = {}) {
+  const started = [];
+  const queue = createJobQueue({ run: job => started.push(job.id), ...options });
+  return { queue, started };
+}
+
+test('runs lower priorities first and equal ones in arrival order', () => {
+  const { queue, started } = recordingQueue();
+  queue.push({ id: 'busy' }, { priority: 1 });
+  queue.push({ id: 'describe-1' }, { priority: 2 });
+  queue.push({ id: 'summarise' }, { priority: 1 });
+  queue.push({ id: 'describe-2' }, { priority: 2 });
+
+  ['busy', 'summarise', 'describe-1'].forEach(id => queue.done(id));
+
+  assert.deepEqual(started, ['busy', 'summarise', 'describe-1', 'describe-2']);
+});
+
+test('sheds sheddable jobs once the queue is deep, but never the others', () => {
+  const { queue } = recordingQueue({ maxDepth: 1 });
+  queue.push({ id: 'running' }, { priority: 1 });
+  queue.push({ id: 'queued' }, { priority: 1 });
+
+  assert.deepEqual(queue.push({ id: 'screenshot' }, { priority: 2, sheddable: true }), { accepted: false, duplicate: false, depth: 1 });
+  assert.equal(queue.push({ id: 'summary' }, { priority: 1 }).accepted, true);
+});
+
+test('accepts a resent job once', () => {
+  const { queue, started } = recordingQueue();
+  queue.push({ id: 'a' }, { priority: 1 });
+
+  assert.equal(queue.push({ id: 'a' }, { priority: 1 }).duplicate, true);
+  queue.done('a');
+  assert.deepEqual(started, ['a']);
+});
+
+test('cancels queued jobs and starts more when concurrency grows', () => {
+  const { queue, started } = recordingQueue();
+  ['a', 'b', 'c'].forEach(id => queue.push({ id }, { priority: 1 }));
+
+  assert.equal(queue.cancel('b'), true);
+  assert.equal(queue.cancel('a'), false, 'running jobs finish normally');
+  queue.configure({ concurrency: 2 });
+
+  assert.deepEqual(started, ['a', 'c']);
+});
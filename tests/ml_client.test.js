@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMLClient, RPC_ERRORS } from '../scripts/ml_client.js';
+
+/**
+ * Fake mlPipe port whose worker answers each request with the next reply
+ * @param {Array<Object>} replies - Reply fields, e.g. { error } or { summary }
+ * @returns {Object} Port, plus the messages posted to it
+ */
+function fakePort(replies) {
+  const listeners = [];
+  const posted = [];
+  return {
+    posted,
+    onMessage: {
+      addListener: (fn) => listeners.push(fn),
+      removeListener: (fn) => listeners.splice(listeners.indexOf(fn), 1)
+    },
+    postMessage(msg) {
+      posted.push(msg);
+      const reply = replies.shift();
+      if (reply) queueMicrotask(() => listeners.forEach(fn => fn({ id: msg.id, ...reply })));
+    }
+  };
+}
+
+test('retries a request the worker rejected and resolves with the next answer', async () => {
+  const client = createMLClient({ retryDelay: 5 });
+  const port = fakePort([{ error: 'WebGPU device lost' }, { summary: 'Done' }]);
+  client.attach(port);
+
+  const response = await client.request('summarise', { text: 'events' });
+
+  assert.equal(response.summary, 'Done');
+  assert.equal(port.posted.length, 2);
+  assert.equal(port.posted[0].id, port.posted[1].id);
+});
+
+test('fails with the worker error once retries run out', async () => {
+  const client = createMLClient({ retryDelay: 5 });
+  client.attach(fakePort([{ error: 'first' }, { error: 'second' }]));
+
+  await assert.rejects(client.request('summarise', {}), { code: RPC_ERRORS.WORKER, message: 'second' });
+});
+
+test('does not retry a busy engine', async () => {
+  const client = createMLClient({ retryDelay: 5 });
+  const port = fakePort([{ error: 'Engine busy', busy: true }]);
+  client.attach(port);
+
+  await assert.rejects(client.request('describe', {}), { code: RPC_ERRORS.BUSY });
+  assert.equal(port.posted.length, 1);
+});
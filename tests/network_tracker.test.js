@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createNetworkTracker, describeRequest, toUrlPattern } from '../scripts/network_tracker.js';
+
+function createTracker() {
+  const requests = [];
+  return { tracker: createNetworkTracker({ onRequest: request => requests.push(request) }), requests };
+}
+
+const started = (requestId, extra = {}) => ({
+  requestId, tabId: 4, frameId: 0, method: 'POST', type: 'xmlhttprequest',
+  url: 'https://example.com/api/orders', timeStamp: 1000.4, ...extra
+});
+
+test('URL patterns drop the query and replace ids', () => {
+  assert.equal(toUrlPattern('https://example.com/api/orders/1234/items?page=2#top'), 'https://example.com/api/orders/:id/items');
+  assert.equal(
+    toUrlPattern('https://example.com/users/3f2504e0-4f89-11d3-9a0c-0305e82c3301/avatar'),
+    'https://example.com/users/:id/avatar'
+  );
+  assert.equal(toUrlPattern('https://example.com/api/v2/orders'), 'https://example.com/api/v2/orders');
+  assert.equal(toUrlPattern('not a url'), '');
+});
+
+test('describes a request by its status or error', () => {
+  assert.equal(
+    describeRequest({ method: 'POST', urlPattern: 'https://example.com/api/orders', status: 422, duration: 180 }),
+    'POST https://example.com/api/orders → 422 (180 ms)'
+  );
+  assert.equal(
+    describeRequest({ method: 'GET', urlPattern: 'https://example.com/', status: null, error: 'net::ERR_FAILED' }),
+    'GET https://example.com/ → net::ERR_FAILED'
+  );
+});
+
+test('reports a completed request with its status and duration', () => {
+  const { tracker, requests } = createTracker();
+  tracker.start(started('1'));
+  tracker.complete({ requestId: '1', statusCode: 422, timeStamp: 1180.6 });
+
+  assert.deepEqual(requests, [{
+    tabId: 4, frameId: 0, method: 'POST', url: 'https://example.com/api/orders', resourceType: 'xmlhttprequest',
+    status: 422, ok: false, error: null, startTime: 1000, duration: 180
+  }]);
+});
+
+test('reports failed requests and ignores unknown ones', () => {
+  const { tracker, requests } = createTracker();
+  tracker.start(started('1'));
+  tracker.fail({ requestId: '1', error: 'net::ERR_CONNECTION_RESET', timeStamp: 1050 });
+  tracker.complete({ requestId: '1', statusCode: 200, timeStamp: 1060 });
+  tracker.complete({ requestId: 'unknown', statusCode: 200, timeStamp: 1060 });
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].ok, false);
+  assert.equal(requests[0].status, null);
+  assert.equal(requests[0].error, 'net::ERR_CONNECTION_RESET');
+});
+
+test('ignores requests outside tabs and forgets closed tabs', () => {
+  const { tracker, requests } = createTracker();
+  tracker.start(started('1', { tabId: -1 }));
+  tracker.start(started('2'));
+  tracker.start(started('3', { tabId: 5 }));
+  tracker.forgetTab(4);
+  ['1', '2', '3'].forEach(requestId => tracker.complete({ requestId, statusCode: 200, timeStamp: 1100 }));
+
+  assert.deepEqual(requests.map(r => [r.tabId, r.ok]), [[5, true]]);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRedactor } from '../scripts/redaction.js';
+
+test('locators changed by redaction are no longer unique', () => {
+  const redactor = createRedactor({ enabled: true, detectors: { email: true } });
+  const context = redactor.redactContext({
+    locators: [
+      { strategy: 'css', css: 'input[value="jane@example.com"]', count: 1, unique: true },
+      { strategy: 'label', label: 'Email', count: 1, unique: true }
+    ]
+  });
+
+  assert.deepEqual(context.locators, [
+    { strategy: 'css', css: 'input[value="[REDACTED:email]"]', count: 1, unique: false },
+    { strategy: 'label', label: 'Email', count: 1, unique: true }
+  ]);
+});
+
+test('every attribute of a masked field is hidden in its path', () => {
+  const redactor = createRedactor({ enabled: true, detectors: { email: true } });
+  const context = redactor.redactContext({
+    path: 'form[id="login"][data-owner="jane@example.com"] > my-field >>> input[name="pwd"][type="password"][data-previous-value="hunter2"]',
+    fieldDetails: { fieldLabel: 'Password', name: 'pwd', type: 'password', fieldType: 'password', value: 'hunter2' }
+  });
+
+  assert.equal(
+    context.path,
+    'form[id="login"][data-owner="[REDACTED:email]"] > my-field >>> input[name="[REDACTED:field]"][type="[REDACTED:field]"][data-previous-value="[REDACTED:field]"]'
+  );
+});
+
+test('paths of scanned fields only lose what the detectors find', () => {
+  const redactor = createRedactor({ enabled: true, detectors: { email: true } });
+  const context = redactor.redactContext({
+    path: 'input[name="contact > email"][value="jane@example.com"]',
+    fieldDetails: { fieldLabel: 'Email', name: 'email', type: 'email', fieldType: 'email', value: 'jane@example.com' }
+  });
+
+  assert.equal(context.path, 'input[name="contact > email"][value="[REDACTED:email]"]');
+});
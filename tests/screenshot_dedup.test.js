@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScreenshotDeduper, hammingDistance, pixelDiffRatio } from '../scripts/screenshot_dedup.js';
+import { differenceHash } from '../scripts/image_ops.js';
+
+const SIZE = 8;
+const config = { enabled: true, hashDistance: 6, diffRatio: 0.01, recent: 2 };
+
+/**
+ * Builds a fingerprint of a flat gray thumbnail with some pixels changed
+ * @param {string} hash - Hash to report
+ * @param {number} [changed] - Pixels set to white
+ * @returns {Object} { hash, thumbnail }
+ */
+function fingerprint(hash, changed = 0) {
+  const pixels = new Array(SIZE * SIZE).fill(128).fill(255, 0, changed);
+  return { hash, thumbnail: { width: SIZE, height: SIZE, pixels } };
+}
+
+test('difference hashes set a bit where the left pixel is brighter', () => {
+  // Every row falls from left to right, except the last, which rises
+  const rows = Array.from({ length: 8 }, (_, y) => Array.from({ length: 9 }, (_, x) => (y < 7 ? 255 - x : x)));
+
+  assert.equal(differenceHash(rows.flat()), 'ffffffffffffff00');
+});
+
+test('hamming distance counts differing bits', () => {
+  assert.equal(hammingDistance('ffffffffffffff00', 'ffffffffffffff00'), 0);
+  assert.equal(hammingDistance('ffffffffffffff00', 'ffffffffffffff0f'), 4);
+  assert.equal(hammingDistance('0', '7'), 3);
+});
+
+test('pixel diff ratio is the share of clearly changed pixels', () => {
+  assert.equal(pixelDiffRatio(fingerprint('').thumbnail, fingerprint('', 16).thumbnail), 0.25);
+  // Small luminance shifts (compression noise) don't count
+  const noisy = fingerprint('').thumbnail;
+  noisy.pixels[0] += 10;
+  assert.equal(pixelDiffRatio(fingerprint('').thumbnail, noisy), 0);
+  assert.equal(pixelDiffRatio(fingerprint('').thumbnail, { width: 4, height: 4, pixels: [] }), 1);
+});
+
+test('drops near-identical captures of the same tab only', () => {
+  const deduper = createScreenshotDeduper({ getConfig: () => config });
+
+  assert.equal(deduper.check(1, fingerprint('00ff')).duplicate, false);
+  assert.deepEqual(deduper.check(1, fingerprint('00fe')), { duplicate: true, distance: 1, diffRatio: 0 });
+  assert.equal(deduper.check(2, fingerprint('00ff')).duplicate, false);
+});
+
+test('keeps captures whose hash is close but whose pixels changed', () => {
+  const deduper = createScreenshotDeduper({ getConfig: () => config });
+  deduper.check(1, fingerprint('00ff'));
+
+  assert.deepEqual(deduper.check(1, fingerprint('00ff', 2)), { duplicate: false, distance: 0, diffRatio: 2 / 64 });
+});
+
+test('remembers only the most recent captures, refreshing matched ones', () => {
+  const deduper = createScreenshotDeduper({ getConfig: () => config });
+  deduper.check(1, fingerprint('0000'));
+  deduper.check(1, fingerprint('ffff'));
+  // Matching the first capture makes it the newest again
+  deduper.check(1, fingerprint('0000'));
+  deduper.check(1, fingerprint('f0f0'));
+
+  assert.equal(deduper.check(1, fingerprint('0000')).duplicate, true);
+  assert.equal(deduper.check(1, fingerprint('ffff')).duplicate, false);
+});
+
+test('forgets a closed tab', () => {
+  const deduper = createScreenshotDeduper({ getConfig: () => config });
+  deduper.check(1, fingerprint('00ff'));
+  deduper.forgetTab(1);
+
+  assert.equal(deduper.check(1, fingerprint('00ff')).duplicate, false);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { composeMask } from '../scripts/screenshot_mask.js';
+
+const style = 'blackout';
+const report = (rects, frames = []) => ({ rects, frames, style, devicePixelRatio: 2 });
+const rect = (x, y, width, height) => ({ x, y, width, height });
+
+test('places nested frames\' regions in the top-level viewport', () => {
+  const frames = [
+    { frameId: 0, parentFrameId: -1 },
+    { frameId: 1, parentFrameId: 0 },
+    { frameId: 2, parentFrameId: 1 }
+  ];
+  const reports = new Map([
+    [0, report([rect(5, 5, 10, 10)], [{ frameId: 1, x: 100, y: 50, width: 400, height: 300 }])],
+    [1, report([rect(10, 10, 20, 5)], [{ frameId: 2, x: 20, y: 30, width: 200, height: 100 }])],
+    [2, report([rect(1, 2, 3, 4)])]
+  ]);
+
+  assert.deepEqual(composeMask(frames, reports), {
+    rects: [rect(5, 5, 10, 10), rect(110, 60, 20, 5), rect(121, 82, 3, 4)],
+    style,
+    devicePixelRatio: 2
+  });
+});
+
+test('hides a frame that did not answer as its whole box', () => {
+  const frames = [{ frameId: 0, parentFrameId: -1 }, { frameId: 3, parentFrameId: 0 }];
+  const reports = new Map([[0, report([], [{ frameId: 3, x: 10, y: 20, width: 300, height: 150 }])]]);
+
+  assert.deepEqual(composeMask(frames, reports).rects, [rect(10, 20, 300, 150)]);
+});
+
+test('hides a frame with regions but no known box as its nearest placed ancestor', () => {
+  const frames = [
+    { frameId: 0, parentFrameId: -1 },
+    { frameId: 1, parentFrameId: 0 },
+    { frameId: 2, parentFrameId: 1 }
+  ];
+  // Frame 1 answered without listing frame 2 (e.g. inside a closed shadow root)
+  const reports = new Map([
+    [0, report([], [{ frameId: 1, x: 0, y: 100, width: 800, height: 400 }])],
+    [1, report([])],
+    [2, report([rect(0, 0, 50, 20)])]
+  ]);
+
+  assert.deepEqual(composeMask(frames, reports).rects, [rect(0, 100, 800, 400)]);
+});
+
+test('gives up when a frame can\'t be placed at all', () => {
+  const frames = [{ frameId: 0, parentFrameId: -1 }, { frameId: 4, parentFrameId: 0 }];
+
+  assert.deepEqual(composeMask(frames, new Map([[0, report([])]])), { rects: [], unplaceable: true });
+  assert.deepEqual(composeMask(frames, new Map()), { rects: [], unplaceable: true });
+});
+
+test('drops empty regions', () => {
+  const frames = [{ frameId: 0, parentFrameId: -1 }];
+  const reports = new Map([[0, report([rect(0, 0, 0, 10), rect(1, 1, 5, 5)])]]);
+
+  assert.deepEqual(composeMask(frames, reports).rects, [rect(1, 1, 5, 5)]);
+});
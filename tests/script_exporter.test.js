@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildActions, exportSteps, EXPORT_FORMATS } from '../scripts/script_exporter.js';
+
+const url = 'https://shop.example/account';
+
+test('redacted fill values are read from the environment, not replayed', () => {
+  const [, fill] = buildActions([{
+    type: 'change',
+    url,
+    description: 'Changed Email',
+    elementType: 'input',
+    fieldDetails: { fieldLabel: 'Email', name: 'email', fieldType: 'text', value: '[REDACTED:email]' },
+    locators: [
+      { strategy: 'css', css: 'input[value="[REDACTED:email]"]', count: 1, unique: true },
+      { strategy: 'label', label: 'Email', count: 1, unique: true }
+    ]
+  }]);
+
+  assert.equal(fill.kind, 'fillSecret');
+  assert.equal(fill.env, 'EMAIL');
+  assert.equal(fill.locator.label, 'Email');
+  assert.deepEqual(fill.locator.candidates.map(c => c.strategy), ['label']);
+});
+
+test('redacted dropdown choices are skipped', () => {
+  const [, select] = buildActions([{
+    type: 'change',
+    url,
+    description: 'Selected Card',
+    elementType: 'select',
+    fieldDetails: { fieldLabel: 'Card', fieldType: 'dropdown', value: '[REDACTED:creditCard]', selectedValue: '[REDACTED:creditCard]' }
+  }]);
+
+  assert.equal(select.kind, 'skip');
+});
+
+test('secret variable names are valid identifiers', () => {
+  const envFor = (fieldLabel) => buildActions([{
+    type: 'change',
+    url,
+    elementType: 'input',
+    fieldDetails: { fieldLabel, fieldType: 'password' }
+  }])[1].env;
+
+  assert.equal(envFor('2FA code'), '_2FA_CODE');
+  assert.equal(envFor('Mot de passe *'), 'MOT_DE_PASSE');
+  assert.equal(envFor('Пароль'), 'PASSWORD');
+});
+
+test('puppeteer selectors into shadow roots use pierce/ instead of the shadow separator', () => {
+  const script = exportSteps([{
+    type: 'change',
+    url,
+    elementType: 'input',
+    path: 'settings-panel >>> div.row > input[type="checkbox"]',
+    fieldDetails: { name: 'newsletter', fieldType: 'checkbox', checked: true },
+    locators: [
+      { strategy: 'css', css: 'settings-panel >>> div.row > input[type="checkbox"]', count: 1, unique: true }
+    ]
+  }], { format: EXPORT_FORMATS.PUPPETEER });
+
+  assert.match(script, /page\.\$eval\('pierce\/div\.row > input\[type="checkbox"\]', el => el\.checked\)/);
+  assert.doesNotMatch(script, /page\.\$eval\('[^']*>>>/);
+});
+
+test('puppeteer ARIA names are quoted', () => {
+  const script = exportSteps([{
+    type: 'click',
+    url,
+    elementType: 'button',
+    locators: [
+      { strategy: 'role', role: 'button', name: 'Save "draft" [v2] (now)', count: 1, unique: true }
+    ]
+  }], { format: EXPORT_FORMATS.PUPPETEER });
+
+  // The name is a quoted CSS string inside a single-quoted JavaScript string
+  assert.ok(script.includes(
+    String.raw`await page.locator('::-p-aria("Save \\"draft\\" [v2] (now)[role=\\"button\\"]")').click();`
+  ), script);
+});
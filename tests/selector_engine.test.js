@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installDom } from './helpers/dom.js';
+import { buildLocators, collectRoots, findByLocator } from '../scripts/selector_engine.js';
+
+test('stops checking candidates after the first unique one, keeping css', () => {
+  installDom(`
+    <button data-testid="save">Save</button>
+    <button>Save draft</button>
+  `);
+  const button = document.querySelector('[data-testid="save"]');
+
+  const locators = buildLocators(button);
+
+  assert.deepEqual(locators.map(l => [l.strategy, l.unique]), [['testId', true], ['css', true]]);
+});
+
+test('falls back to weaker strategies while none is unique', () => {
+  installDom(`
+    <ul><li><a href="/a">Open</a></li><li><a href="/b">Open</a></li></ul>
+  `);
+  const link = document.querySelectorAll('a')[1];
+
+  const locators = buildLocators(link);
+
+  assert.equal(locators[0].strategy, 'css');
+  assert.equal(locators[0].unique, true);
+  assert.ok(locators.some(l => l.strategy === 'role' && l.count === 2 && !l.unique));
+  assert.ok(!locators.some(l => l.strategy === 'xpath'));
+});
+
+test('skips text and role checks over too many elements', () => {
+  installDom(`${'<span>filler</span>'.repeat(1001)}<span id="total">Total</span>`);
+
+  assert.equal(findByLocator({ strategy: 'text', text: 'Total', tag: 'span' }, collectRoots(document), 1000), null);
+  assert.equal(findByLocator({ strategy: 'text', text: 'Total', tag: 'span' }).length, 1);
+});
+
+test('reuses the shadow roots it found until the DOM changes', () => {
+  installDom('<div id="host"></div>');
+  document.getElementById('host').attachShadow({ mode: 'open' }).innerHTML = '<button>Inside</button>';
+
+  const roots = collectRoots(document);
+  assert.equal(roots.length, 2);
+  assert.equal(collectRoots(document), roots);
+
+  const second = document.createElement('div');
+  document.body.append(second);
+  second.attachShadow({ mode: 'open' });
+
+  assert.equal(collectRoots(document).length, 3);
+});
+
+test('finds elements inside shadow roots by their text', () => {
+  installDom('<div id="host"></div>');
+  document.getElementById('host').attachShadow({ mode: 'open' }).innerHTML = '<p>Hello <b>there</b></p>';
+  const paragraph = document.getElementById('host').shadowRoot.querySelector('p');
+
+  const locators = buildLocators(paragraph);
+
+  assert.deepEqual(locators[0], { strategy: 'text', text: 'Hello there', tag: 'p', count: 1, unique: true });
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildRecordQuery, filterRecords, getCurrentSession, recordBatch, RECORD_KINDS } from '../scripts/session_store.js';
+
+const records = [
+  { id: 1, kind: RECORD_KINDS.WORKFLOW, batchId: 'a', workflowType: 'checkout' },
+  { id: 2, kind: RECORD_KINDS.SUMMARY, batchId: 'a', completionStatus: 'completed' },
+  { id: 3, kind: RECORD_KINDS.WORKFLOW, batchId: 'b', workflowType: 'checkout' },
+  { id: 4, kind: RECORD_KINDS.SUMMARY, batchId: 'b', completionStatus: 'abandoned' },
+  { id: 5, kind: RECORD_KINDS.WORKFLOW, batchId: 'c', workflowType: 'search' },
+  { id: 6, kind: RECORD_KINDS.SUMMARY, batchId: 'c', completionStatus: 'completed' },
+  { id: 7, kind: RECORD_KINDS.BATCH, batchId: 'a' }
+];
+
+const ids = (list) => list.map(r => r.id);
+
+test('workflow type and completion status combine instead of replacing each other', () => {
+  const query = buildRecordQuery({ workflowType: 'checkout', completionStatus: 'completed' });
+  assert.deepEqual(query.kinds, [RECORD_KINDS.WORKFLOW, RECORD_KINDS.SUMMARY]);
+  assert.deepEqual(ids(filterRecords(records, query)), [1, 2]);
+});
+
+test('each filter alone selects its own record kind', () => {
+  assert.deepEqual(ids(filterRecords(records, buildRecordQuery({ workflowType: 'checkout' }))), [1, 3]);
+  assert.deepEqual(ids(filterRecords(records, buildRecordQuery({ completionStatus: 'completed' }))), [2, 6]);
+});
+
+test('empty batches are not stored', async () => {
+  // Returns before the database is opened, which node doesn't have
+  assert.equal(await recordBatch({ events: [], summary: null }), null);
+});
+
+/**
+ * Minimal stand-in for the IndexedDB calls the session lookup makes; every
+ * request succeeds on a later turn of the event loop, like the real one
+ * @param {Object|null} storedSession - Most recently active stored session
+ * @returns {Object} indexedDB replacement, plus the number of cursors opened
+ */
+function fakeIndexedDB(storedSession) {
+  const later = (request, result) => setTimeout(() => {
+    request.result = result;
+    request.onsuccess?.();
+  });
+  const fake = { cursors: 0 };
+  const db = {
+    transaction: () => ({
+      objectStore: () => ({
+        index: () => ({
+          openCursor() {
+            fake.cursors++;
+            const request = {};
+            later(request, storedSession && { value: storedSession });
+            return request;
+          }
+        })
+      })
+    })
+  };
+  fake.open = () => {
+    const request = {};
+    later(request, db);
+    return request;
+  };
+  return fake;
+}
+
+test('concurrent callers share one session', async () => {
+  const fake = fakeIndexedDB(null);
+  globalThis.indexedDB = fake;
+  try {
+    const sessions = await Promise.all([getCurrentSession(), getCurrentSession(), getCurrentSession()]);
+    assert.equal(new Set(sessions.map(s => s.id)).size, 1);
+    assert.equal(fake.cursors, 1);
+  } finally {
+    delete globalThis.indexedDB;
+  }
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSummaryInput } from '../scripts/summary_input.js';
+import { buildRuleBasedSummary } from '../scripts/rule_summarizer.js';
+
+const submit = {
+  type: 'submit',
+  tabId: 1,
+  frameId: 0,
+  url: 'https://shop.example/checkout',
+  pageTitle: 'Checkout',
+  timestamp: 1000,
+  description: 'Submitted "Shipping" with "Place order" (2 fields, 1 changed)',
+  submitter: { label: 'Place order', name: '' },
+  formFields: [
+    { fieldLabel: 'City', name: 'city', type: 'text', fieldType: 'text', value: 'Lyon', changed: true, initialValue: 'Paris' },
+    { fieldLabel: 'Country', name: 'country', type: 'select-one', fieldType: 'dropdown', value: 'France', changed: false }
+  ],
+  formData: { City: 'Lyon', Country: 'France' }
+};
+
+test('forwards submitted fields with their initial values', () => {
+  const { otherEvents } = buildSummaryInput([submit]);
+  assert.deepEqual(otherEvents[0].formFields, submit.formFields);
+});
+
+test('rule-based summary reports changed fields as from → to', () => {
+  const summary = buildRuleBasedSummary(buildSummaryInput([submit]));
+  assert.equal(
+    summary.steps[0],
+    'Submitted form with "Place order" (City: "Paris" → "Lyon", Country: "France")'
+  );
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  BUILT_IN_PATTERNS,
+  collectSelectors,
+  findMatchingStep,
+  isComplete,
+  matchesStep,
+  patternAppliesTo,
+  resolvePatterns,
+  validatePatterns
+} from '../scripts/workflow_patterns.js';
+
+const approveExpense = {
+  name: 'Approve expense',
+  url: 'https://expenses.example.com/*',
+  steps: [
+    { event: 'click', selector: 'tr.expense-row' },
+    { event: 'change', field: 'status|decision', value: '^approved$' },
+    { event: 'click', role: 'button', name: '^approve$', optional: true },
+    { event: 'submit' }
+  ]
+};
+
+test('steps combine their conditions', () => {
+  const change = { type: 'change', fieldChange: { field: 'Decision', to: 'Approved' } };
+
+  assert.equal(matchesStep(approveExpense.steps[1], change), true);
+  assert.equal(matchesStep(approveExpense.steps[1], { ...change, fieldChange: { field: 'Decision', to: 'Rejected' } }), false);
+  assert.equal(matchesStep(approveExpense.steps[1], { ...change, type: 'input' }), false);
+  assert.equal(matchesStep(approveExpense.steps[0], { type: 'click', matchedSelectors: ['tr.expense-row'] }), true);
+  assert.equal(matchesStep(approveExpense.steps[0], { type: 'click', matchedSelectors: [] }), false);
+  assert.equal(matchesStep(approveExpense.steps[2], { type: 'click', role: 'Button', accessibleName: 'Approve' }), true);
+});
+
+test('invalid regexes never match', () => {
+  assert.equal(matchesStep({ name: '(' }, { accessibleName: '(' }), false);
+});
+
+test('optional steps may be skipped, required ones may not', () => {
+  const submit = { type: 'submit' };
+  const approve = { type: 'click', role: 'button', accessibleName: 'Approve' };
+
+  assert.equal(findMatchingStep(approveExpense, 2, approve), 2);
+  assert.equal(findMatchingStep(approveExpense, 2, submit), 3);
+  assert.equal(findMatchingStep(approveExpense, 1, submit), -1);
+  assert.equal(isComplete(approveExpense, 3), false);
+  assert.equal(isComplete({ steps: [{ event: 'submit' }, { event: 'click', optional: true }] }, 1), true);
+});
+
+test('patterns apply to their URLs only', () => {
+  assert.equal(patternAppliesTo(approveExpense, 'https://expenses.example.com/reports/42'), true);
+  assert.equal(patternAppliesTo(approveExpense, 'https://example.com/'), false);
+  assert.equal(patternAppliesTo({ steps: [] }, 'https://example.com/'), true);
+});
+
+test('user patterns come before the built-in ones, which can be turned off', () => {
+  const workflows = { patterns: [approveExpense, { name: 'No steps', steps: [] }], builtIn: true };
+
+  assert.deepEqual(resolvePatterns(workflows).map(p => p.id), ['Approve expense', ...BUILT_IN_PATTERNS.map(p => p.id)]);
+  assert.deepEqual(resolvePatterns({ ...workflows, builtIn: false }).map(p => p.id), ['Approve expense']);
+});
+
+test('collects the selectors of the patterns applying to a page', () => {
+  const workflows = { patterns: [approveExpense] };
+
+  assert.deepEqual(collectSelectors(workflows, 'https://expenses.example.com/'), ['tr.expense-row']);
+  assert.deepEqual(collectSelectors(workflows, 'https://example.com/'), []);
+});
+
+test('validation reports every problem with where it is', () => {
+  assert.deepEqual(validatePatterns([approveExpense]), []);
+  assert.deepEqual(validatePatterns({}), ['Patterns must be a list']);
+  assert.deepEqual(validatePatterns([
+    { name: 'A', timeout: -1, steps: [{ event: 'click', colour: 'red' }, { optional: true }] },
+    { name: 'A', steps: [{ field: '(' }] }
+  ]), [
+    'Pattern 1 ("A"): timeout must be a positive number of milliseconds',
+    'Pattern 1 ("A"), step 1: unknown condition colour',
+    'Pattern 1 ("A"), step 2: needs at least one condition',
+    'Pattern 2 ("A"): duplicate name',
+    'Pattern 2 ("A"), step 1: invalid field regex (Invalid regular expression: /(/i: Unterminated group)'
+  ]);
+});
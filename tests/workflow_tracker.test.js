@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { contextKey, createWorkflowTracker, recordWorkflowRequest } from '../scripts/workflow_tracker.js';
+
+const signIn = {
+  id: 'sign-in',
+  name: 'Sign in',
+  steps: [
+    { event: 'input', field: 'email' },
+    { event: 'click', name: 'remember', optional: true },
+    { event: 'submit' }
+  ]
+};
+
+function createTracker(patterns = [signIn]) {
+  const workflows = [];
+  const tracker = createWorkflowTracker({
+    getPatterns: () => patterns,
+    onWorkflow: (workflow, key) => workflows.push({ workflow, key })
+  });
+  return { tracker, workflows };
+}
+
+const email = (tabId, frameId = 0) => ({
+  type: 'input', eventId: `${tabId}-email`, tabId, frameId, url: 'https://example.com/login',
+  fieldDetails: { fieldLabel: 'Email' }
+});
+const submit = (tabId, frameId = 0, extra = {}) => ({
+  type: 'submit', eventId: `${tabId}-submit`, tabId, frameId, url: 'https://example.com/login', ...extra
+});
+
+test('context keys tell tabs and frames apart', () => {
+  assert.equal(contextKey(3), '3:0');
+  assert.equal(contextKey(3, 2), '3:2');
+  assert.equal(contextKey(undefined, null), 'none:0');
+});
+
+test('finishes a workflow once its last step is seen', () => {
+  const { tracker, workflows } = createTracker();
+  tracker.track({ type: 'click', tabId: 1, url: 'https://example.com/' });
+  tracker.track(email(1));
+  tracker.track(submit(1));
+
+  assert.equal(workflows.length, 1);
+  const { workflow, key } = workflows[0];
+  assert.equal(key, '1:0');
+  assert.equal(workflow.workflowType, 'sign-in');
+  assert.equal(workflow.completed, true);
+  assert.equal(workflow.target, 'Email');
+  assert.deepEqual(workflow.steps.map(step => step.patternStep), [0, 2]);
+  assert.equal(workflow.outcome, null);
+});
+
+test('keeps the workflows of different tabs and frames apart', () => {
+  const { tracker, workflows } = createTracker();
+  tracker.track(email(1));
+  tracker.track(email(1, 5));
+  tracker.track(email(2));
+  tracker.track(submit(2));
+
+  assert.deepEqual(workflows.map(w => w.key), ['2:0']);
+  assert.equal(workflows[0].workflow.steps.length, 2);
+
+  tracker.finishTab(1);
+  assert.deepEqual(workflows.map(w => w.key), ['2:0', '1:0', '1:5']);
+  assert.equal(workflows[1].workflow.completed, false);
+});
+
+test('only counts requests the workflow itself triggered', () => {
+  const { tracker, workflows } = createTracker();
+  const ok = { method: 'POST', urlPattern: 'https://example.com/session', status: 200, ok: true };
+  tracker.track(email(1));
+  tracker.track(submit(1, 0, { request: ok, triggeredBy: '1-submit' }));
+  tracker.track(email(2));
+  tracker.track(submit(2, 0, { request: ok, triggeredBy: 'elsewhere' }));
+
+  assert.deepEqual(workflows[0].workflow.outcome, { status: 'succeeded', detail: '1 request succeeded' });
+  assert.equal(workflows[1].workflow.outcome, null);
+});
+
+test('a failed request fails the workflow', () => {
+  const workflow = {};
+  recordWorkflowRequest(workflow, { method: 'GET', urlPattern: 'https://example.com/me', status: 200, ok: true });
+  assert.deepEqual(workflow.outcome, { status: 'succeeded', detail: '1 request succeeded' });
+
+  recordWorkflowRequest(workflow, { method: 'POST', urlPattern: 'https://example.com/session', status: 401, ok: false, duration: 12 });
+  assert.equal(workflow.requests.length, 2);
+  assert.deepEqual(workflow.outcome, { status: 'failed', detail: 'POST https://example.com/session → 401 (12 ms)' });
+});
@@ -0,0 +1,27 @@
+// Fails the build when a content script in dist/ imports or exports
+// anything. Chrome runs content scripts as classic scripts, where a module
+// statement is a SyntaxError and the whole script never runs.
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+const DIST = resolve(import.meta.dirname, '..', 'dist');
+const MODULE_STATEMENT = /^\s*(import\s*[\w{*'"]|export\s)/m;
+
+const manifest = JSON.parse(readFileSync(resolve(DIST, 'manifest.json'), 'utf8'));
+const files = [...new Set((manifest.content_scripts || []).flatMap(script => script.js || []))];
+
+const failures = files.filter(file => {
+  try {
+    return MODULE_STATEMENT.test(readFileSync(resolve(DIST, file), 'utf8'));
+  } catch (error) {
+    console.error(`❌ Content script ${file} is missing from dist/`);
+    return true;
+  }
+});
+
+if (failures.length > 0) {
+  console.error(`❌ Content scripts must be self-contained classic scripts: ${failures.join(', ')}`);
+  process.exit(1);
+}
+console.log(`✅ ${files.length} content scripts are self-contained`);
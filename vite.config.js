@@ -1,27 +1,57 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
 
-export default defineConfig({
-  build: {
-    outDir: 'dist',
-    target: 'esnext',
-    minify: false,
-    sourcemap: true,
-    rollupOptions: {
-      input: {
-        'scripts/background': resolve(__dirname, 'scripts/background.js'),
-        'scripts/content': resolve(__dirname, 'scripts/content.js'),
-        'scripts/offscreen_controller': resolve(__dirname, 'scripts/offscreen_controller.js'),
-        'scripts/vlm_worker': resolve(__dirname, 'scripts/vlm_worker.js'),
-        'scripts/summarizer_worker': resolve(__dirname, 'scripts/summarizer_worker.js'),
+// Content scripts run as classic scripts and can't import shared chunks, so
+// each is built on its own as a self-contained bundle after the main build,
+// with its name as the mode (`vite build --mode content`)
+const CONTENT_SCRIPTS = {
+  'scripts/content': resolve(__dirname, 'scripts/content.js'),
+  'scripts/navigation_hook': resolve(__dirname, 'scripts/navigation_hook.js'),
+};
+
+export default defineConfig(({ mode }) => {
+  const entry = `scripts/${mode}`;
+  if (CONTENT_SCRIPTS[entry]) {
+    return {
+      build: {
+        outDir: 'dist',
+        target: 'esnext',
+        minify: false,
+        sourcemap: true,
+        copyPublicDir: false,
+        emptyOutDir: false,
+        lib: {
+          entry: CONTENT_SCRIPTS[entry],
+          formats: ['iife'],
+          name: entry.replace(/\W/g, '_'),
+          fileName: () => `${entry}.js`,
+        },
       },
-      output: {
-        entryFileNames: '[name].js',
-        chunkFileNames: 'assets/[name]-[hash].js',
-        assetFileNames: 'assets/[name]-[hash][extname]',
+    };
+  }
+
+  return {
+    build: {
+      outDir: 'dist',
+      target: 'esnext',
+      minify: false,
+      sourcemap: true,
+      rollupOptions: {
+        input: {
+          'scripts/background': resolve(__dirname, 'scripts/background.js'),
+          'scripts/offscreen_controller': resolve(__dirname, 'scripts/offscreen_controller.js'),
+          'scripts/engine_worker': resolve(__dirname, 'scripts/engine_worker.js'),
+          'scripts/dashboard': resolve(__dirname, 'scripts/dashboard.js'),
+          'scripts/options': resolve(__dirname, 'scripts/options.js'),
+        },
+        output: {
+          entryFileNames: '[name].js',
+          chunkFileNames: 'assets/[name]-[hash].js',
+          assetFileNames: 'assets/[name]-[hash][extname]',
+        },
       },
+      emptyOutDir: true,
     },
-    emptyOutDir: true,
-  },
-  publicDir: './public',
+    publicDir: './public',
+  };
 });